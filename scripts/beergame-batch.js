@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+// --- BEER GAME BATCH CLI ---
+// Usage:
+//   npm run batch -- --runs 100 --policy all=sterman --policy retailer=base-stock:target=30
+//
+// Options:
+//   --runs <n>              Number of games to play (default 1)
+//   --policy <role>=<spec>  Policy per role id, or "all". Spec is a policy
+//                           name with optional params: sterman:alpha=0.3,beta=0.2
+//   --demand <spec>         Consumer demand pattern, e.g. poisson:mean=6 or
+//                           step:base=4,stepTo=10,stepWeek=3 (default step)
+//   --chain <ids>           Comma separated echelons from consumer to producer,
+//                           e.g. retailer,warehouse,manufacturer,supplier
+//   --weeks <n>             Override CONFIG.totalWeeks
+//   --param <key>=<value>   Override any other numeric CONFIG parameter, e.g.
+//                           --param shippingDelay=3 --param costBacklog=2
+//   --scenario <file>       Scenario JSON with timed disruptions, see
+//                           src/shared/scenario.js
+//   --transit <file>        JSON with random lead times and transit loss
+//                           per link, see src/beergame/transit.js
+//   --seed <seed>           Make random demand reproducible (run n uses
+//                           "<seed>-<n>")
+//   --out <dir>             Output directory (default batch-results)
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { runBatch, toJSON, toTotalsCSV, toTraceCSV } from '../src/beergame/batch.js';
+import { POLICIES } from '../src/beergame/policies.js';
+import { DEMAND_PATTERNS } from '../src/beergame/demand.js';
+import { CONFIG, CONFIG_FIELDS, ROLE_CATALOG, getScenarioOptions, validateConfig } from '../src/beergame/engine.js';
+import { validateTransit } from '../src/beergame/transit.js';
+import { parseScenario } from '../src/shared/scenario.js';
+import { validateAgentParams } from '../src/shared/orderingAgents.js';
+
+// "name:key=value,key=value" -> { name, params }
+const parseSpec = (spec) => {
+  const [name, rawParams = ''] = spec.split(':');
+  const params = Object.fromEntries(rawParams.split(',').filter(Boolean).map(pair => {
+    const [key, value] = pair.split('=');
+    return [key, Number(value)];
+  }));
+  return { name, params };
+};
+
+const { values } = parseArgs({
+  options: {
+    runs: { type: 'string', default: '1' },
+    policy: { type: 'string', multiple: true, default: ['all=pass-through'] },
+    demand: { type: 'string' },
+    chain: { type: 'string' },
+    weeks: { type: 'string' },
+    param: { type: 'string', multiple: true, default: [] },
+    out: { type: 'string', default: 'batch-results' },
+    seed: { type: 'string' },
+    scenario: { type: 'string' },
+    transit: { type: 'string' },
+    help: { type: 'boolean', short: 'h' },
+  },
+});
+
+if (values.help) {
+  console.log(`Policies: ${Object.keys(POLICIES).join(', ')}`);
+  console.log(`Echelons: ${ROLE_CATALOG.map(role => role.id).join(', ')}`);
+  console.log(`Demand patterns: ${Object.keys(DEMAND_PATTERNS).filter(type => type !== 'csv').join(', ')}`);
+  process.exit(0);
+}
+
+const policies = {};
+values.policy.forEach(entry => {
+  const separator = entry.indexOf('=');
+  if (separator === -1) {
+    console.error(`Invalid --policy "${entry}". Expected <role>=<spec>.`);
+    process.exit(1);
+  }
+  const role = entry.slice(0, separator);
+  const spec = parseSpec(entry.slice(separator + 1));
+  const errors = validateAgentParams(spec.name, spec.params);
+  if (errors.length > 0) {
+    console.error(`Invalid --policy "${entry}": ${errors.join('; ')}`);
+    process.exit(1);
+  }
+  policies[role === 'all' ? 'default' : role] = spec;
+});
+
+const runs = Number(values.runs);
+if (!Number.isInteger(runs) || runs < 1) {
+  console.error(`Invalid --runs "${values.runs}". Expected a whole number of at least 1.`);
+  process.exit(1);
+}
+
+const config = Object.fromEntries(values.param.map(entry => {
+  const [key, value] = entry.split('=');
+  if (!(key in CONFIG_FIELDS) || value === undefined || value.trim() === '') {
+    console.error(`Invalid --param "${entry}". Expected <key>=<number> with key one of: ${Object.keys(CONFIG_FIELDS).join(', ')}`);
+    process.exit(1);
+  }
+  return [key, Number(value)];
+}));
+if (values.chain) {
+  config.roles = values.chain.split(',').map(id => {
+    const role = ROLE_CATALOG.find(r => r.id === id.trim());
+    if (!role) {
+      console.error(`Unknown echelon "${id}". Available: ${ROLE_CATALOG.map(r => r.id).join(', ')}`);
+      process.exit(1);
+    }
+    return role;
+  });
+}
+if (values.weeks) config.totalWeeks = Number(values.weeks);
+if (values.demand) {
+  const { name, params } = parseSpec(values.demand);
+  config.demand = { type: name, params };
+}
+// Checked before the scenario, which is validated against the week count
+const configErrors = Object.values(validateConfig({ ...CONFIG, ...config }));
+if (configErrors.length > 0) {
+  console.error(`Invalid settings: ${configErrors.join('; ')}`);
+  process.exit(1);
+}
+if (values.scenario) {
+  try {
+    config.scenario = parseScenario(readFileSync(values.scenario, 'utf8'), getScenarioOptions({ ...CONFIG, ...config }));
+  } catch (error) {
+    console.error(`Invalid --scenario "${values.scenario}": ${error.message}`);
+    process.exit(1);
+  }
+}
+if (values.transit) {
+  try {
+    config.transit = JSON.parse(readFileSync(values.transit, 'utf8'));
+  } catch (error) {
+    console.error(`Invalid --transit "${values.transit}": ${error.message}`);
+    process.exit(1);
+  }
+  const errors = validateTransit(config.transit, config.roles ?? CONFIG.roles);
+  if (errors.length > 0) {
+    console.error(`Invalid --transit "${values.transit}": ${errors.join('; ')}`);
+    process.exit(1);
+  }
+}
+const results = runBatch({ runs, config, policies, seed: values.seed });
+
+mkdirSync(values.out, { recursive: true });
+writeFileSync(join(values.out, 'totals.csv'), toTotalsCSV(results));
+writeFileSync(join(values.out, 'trace.csv'), toTraceCSV(results));
+writeFileSync(join(values.out, 'results.json'), toJSON(results));
+
+const mean = results.reduce((acc, r) => acc + r.totalCost, 0) / results.length;
+console.log(`Played ${results.length} game(s). Mean team cost: $${mean.toFixed(2)}. Results written to ${values.out}/`);
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+// --- BEER GAME MULTIPLAYER SERVER ---
+// Usage:
+//   npm run server -- --port 8787
+//
+// Holds the authoritative state of every room (see src/beergame/rooms.js)
+// and pushes each participant a view of their own role after every change.
+// Participants connect from the Beer Game's "Play Online" screen; instructors
+// running several teams use the facilitator dashboard, which needs the
+// facilitator token printed when the server starts.
+//
+// Options:
+//   --port <n>     Port to listen on (default 8787)
+//   --host <addr>  Interface to bind (default 0.0.0.0, reachable on the LAN)
+//
+// Messages are JSON objects with a `type`:
+//   client -> server  create { config, seed, ruleAgents }
+//                     join   { roomId, roleId?, name? }  (no roleId = watch)
+//                     order  { amount }
+//                     leave
+//   facilitator       facilitate { token }                (subscribe to the dashboard)
+//                     create-rooms { count, config, seed, ruleAgents }
+//                     pause / resume { roomIds? }         (no roomIds = every room)
+//                     inject { roomIds?, event: { amount, weeks? } }
+//   server -> client  created { roomId }, view { view }, dashboard { rooms },
+//                     error { message }
+
+import { randomBytes } from 'node:crypto';
+import { parseArgs } from 'node:util';
+import { WebSocketServer } from 'ws';
+import {
+  createRoom, getRoomStats, getSeatView, injectDemand, leaveSeat, setRoomPaused, submitRoomOrder, takeSeat
+} from '../src/beergame/rooms.js';
+import { isGameOver } from '../src/beergame/engine.js';
+import { normalizeSeed, randomSeed } from '../src/shared/random.js';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    host: { type: 'string', default: '0.0.0.0' },
+  },
+});
+
+const rooms = new Map();   // room id -> room
+const clients = new Map(); // socket -> { roomId, roleId, facilitator }
+const MAX_ROOMS_PER_REQUEST = 30;
+// Only whoever can read the server console may run the dashboard
+const FACILITATOR_TOKEN = randomBytes(4).toString('hex');
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+};
+
+const broadcast = (room) => {
+  clients.forEach((client, socket) => {
+    if (client.roomId === room.id) {
+      send(socket, { type: 'view', view: getSeatView(room, client.roleId) });
+    }
+  });
+};
+
+const broadcastDashboard = () => {
+  const facilitators = [...clients].filter(([, client]) => client.facilitator);
+  if (facilitators.length === 0) return;
+  const dashboard = { type: 'dashboard', rooms: [...rooms.values()].map(getRoomStats) };
+  facilitators.forEach(([socket]) => send(socket, dashboard));
+};
+
+const getRoom = (roomId) => {
+  const room = rooms.get(normalizeSeed(roomId ?? ''));
+  if (!room) throw new Error(`Room "${roomId}" does not exist`);
+  return room;
+};
+
+const addRoom = (setup) => {
+  let id;
+  do { id = randomSeed().slice(0, 4); } while (rooms.has(id));
+  const room = createRoom(id, setup);
+  rooms.set(id, room);
+  console.log(`Room ${id} created (${room.game.config.roles.length} roles, seed ${room.game.seed})`);
+  return room;
+};
+
+const requireFacilitator = (client) => {
+  if (!client.facilitator) throw new Error('Open the facilitator dashboard first');
+};
+
+// Facilitator commands act on the listed rooms, or on every room.
+const getTargetRooms = (client, roomIds) => {
+  requireFacilitator(client);
+  return Array.isArray(roomIds) ? roomIds.map(getRoom) : [...rooms.values()];
+};
+
+// Handlers return the room(s) whose participants need a fresh view.
+const handlers = {
+  create: (socket, client, { config, seed, ruleAgents }) => {
+    const room = addRoom({ config, seed, ruleAgents });
+    send(socket, { type: 'created', roomId: room.id });
+    // The host gives up any seat they held and watches the new room until
+    // they take a seat there
+    const previous = handlers.leave(socket, client);
+    client.roomId = room.id;
+    return previous ? [previous, room] : room;
+  },
+
+  join: (socket, client, { roomId, roleId, name }) => {
+    const room = getRoom(roomId);
+    if (client.roleId && client.roomId === room.id && client.roleId === roleId) return room;
+    if (roleId) takeSeat(room, roleId, typeof name === 'string' ? name.trim().slice(0, 40) : '');
+    const previous = client.roleId ? rooms.get(client.roomId) : null;
+    if (previous) leaveSeat(previous, client.roleId);
+    client.roomId = room.id;
+    client.roleId = roleId || null;
+    if (previous && previous !== room) broadcast(previous);
+    return room;
+  },
+
+  order: (socket, client, { amount }) => {
+    if (!client.roleId) throw new Error('Take a role before ordering');
+    const room = getRoom(client.roomId);
+    const week = room.game.currentWeek;
+    if (submitRoomOrder(room, client.roleId, amount)) {
+      console.log(`Room ${room.id} played week ${week}`);
+    }
+    return room;
+  },
+
+  // Frees the client's seat so the role can be taken again, e.g. after a
+  // reconnect.
+  leave: (socket, client) => {
+    const room = rooms.get(client.roomId);
+    if (room && client.roleId) leaveSeat(room, client.roleId);
+    client.roomId = null;
+    client.roleId = null;
+    return room;
+  },
+
+  facilitate: (socket, client, { token }) => {
+    if (token !== FACILITATOR_TOKEN) throw new Error('Wrong facilitator token; it is printed in the server console');
+    client.facilitator = true;
+    return [];
+  },
+
+  // Every team gets the same seed, so all of them face the same demand.
+  'create-rooms': (socket, client, { count, config, seed, ruleAgents }) => {
+    requireFacilitator(client);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_ROOMS_PER_REQUEST) {
+      throw new Error(`Number of rooms must be between 1 and ${MAX_ROOMS_PER_REQUEST}`);
+    }
+    const sharedSeed = normalizeSeed(seed || randomSeed());
+    const firstTeam = [...rooms.values()].filter(room => room.team).length + 1;
+    return Array.from({ length: count }, (_, i) =>
+      addRoom({ config, seed: sharedSeed, ruleAgents, team: `Team ${firstTeam + i}` }));
+  },
+
+  pause: (socket, client, { roomIds }) => {
+    const targets = getTargetRooms(client, roomIds);
+    targets.forEach(room => setRoomPaused(room, true));
+    return targets;
+  },
+
+  resume: (socket, client, { roomIds }) => {
+    const targets = getTargetRooms(client, roomIds);
+    targets.forEach(room => setRoomPaused(room, false));
+    return targets;
+  },
+
+  inject: (socket, client, { roomIds, event }) => {
+    // Injected demand starts next week, so rooms in their last week are skipped
+    const targets = getTargetRooms(client, roomIds)
+      .filter(room => room.game.currentWeek < room.game.config.totalWeeks);
+    if (targets.length === 0) throw new Error('No game has a week left to change');
+    targets.forEach(room => injectDemand(room, event ?? {}));
+    console.log(`Injected demand ${event.amount} into ${targets.map(room => room.id).join(', ')}`);
+    return targets;
+  },
+};
+
+const server = new WebSocketServer({ port: Number(values.port), host: values.host });
+
+server.on('connection', (socket) => {
+  const client = { roomId: null, roleId: null, facilitator: false };
+  clients.set(socket, client);
+
+  socket.on('message', (data) => {
+    try {
+      const message = JSON.parse(data.toString());
+      const handler = handlers[message?.type];
+      if (!handler) throw new Error(`Unknown message type "${message?.type}"`);
+      const changed = handler(socket, client, message);
+      [].concat(changed ?? []).forEach(broadcast);
+      // The sender always learns the outcome, even when it left the room
+      if (!client.roomId && !client.facilitator) send(socket, { type: 'view', view: null });
+      broadcastDashboard();
+    } catch (error) {
+      send(socket, { type: 'error', message: error.message });
+    }
+  });
+
+  socket.on('close', () => {
+    const room = handlers.leave(socket, client);
+    clients.delete(socket);
+    if (room) {
+      broadcast(room);
+      // Finished rooms are dropped once everybody has gone; a connected
+      // facilitator keeps them for the leaderboard
+      const occupied = [...clients.values()].some(c => c.roomId === room.id || c.facilitator);
+      if (!occupied && isGameOver(room.game)) rooms.delete(room.id);
+    }
+    broadcastDashboard();
+  });
+});
+
+server.on('listening', () => {
+  console.log(`Beer Game server listening on ws://${values.host === '0.0.0.0' ? 'localhost' : values.host}:${values.port}`);
+  console.log(`Facilitator token: ${FACILITATOR_TOKEN}`);
+});
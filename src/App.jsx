@@ -5,16 +5,40 @@ import './App.css'
 import BeerGame from './beergame/BeerGame'
 import McdonaldsGame from './mcdonaldsgame/McdonaldsGame'
 import NvidiaGame from './nvidiagame/NvidiaGame'
+import AgentSettingsDialog from './shared/AgentSettingsDialog'
+import { AI_PROVIDERS } from './shared/aiProviders'
+import { isAgentReady, testConnection } from './shared/agentClient'
+import { useAgentSettings } from './shared/useAgentSettings'
 
 function App() {
   // This "state" keeps track of which component is currently visible
   const [activeView, setActiveView] = useState('intro');
+  const [showKeyDialog, setShowKeyDialog] = useState(false);
+
+  // App-wide AI settings shared by every simulation
+  const agent = useAgentSettings();
+  const [isTestingAgent, setIsTestingAgent] = useState(false);
+
+  const handleTestAgent = async () => {
+    setIsTestingAgent(true);
+    await testConnection();
+    setIsTestingAgent(false);
+  };
+
+  const renderIntroduction = () => (
+    <Introduction
+      agent={agent}
+      onSetKey={() => setShowKeyDialog(true)}
+      onTest={handleTestAgent}
+      isTesting={isTestingAgent}
+    />
+  );
 
   // Logic to decide what to show on the right side
   const renderMainContent = () => {
     switch (activeView) {
       case 'intro':
-        return <Introduction />;
+        return renderIntroduction();
 	  case 'beer':
         return <BeerGame />;
       case 'game2':
@@ -22,7 +46,7 @@ function App() {
       case 'game3':
         return <NvidiaGame />;
       default:
-        return <Introduction />;
+        return renderIntroduction();
     }
   };
 
@@ -37,7 +61,10 @@ function App() {
     }
   };
   
- const Introduction = ({ apiKey, onSetKey }) => {
+ const Introduction = ({ agent, onSetKey, onTest, isTesting }) => {
+  const { settings, status } = agent;
+  const providerLabel = AI_PROVIDERS[settings.provider].label;
+
   return (
     <div style={{ ...styles.content, padding: '40px' }}>
       <div style={{ maxWidth: '900px', margin: '0 auto' }}>
@@ -76,19 +103,34 @@ function App() {
 
         {/* System Connection Section */}
         <div style={{ ...styles.dynamicBox, borderLeftColor: '#e74c3c', marginBottom: '40px' }}>
-          <h3 style={styles.subTitle}>System Connection (Under Construction)</h3>
-          {apiKey ? (
+          <h3 style={styles.subTitle}>System Connection</h3>
+          {isAgentReady() ? (
             <div style={{ display: 'flex', alignItems: 'center', gap: '15px' }}>
-              <p style={{ ...styles.dynamicText, color: '#4ade80', fontWeight: 'bold' }}>
-                ✅ AI Engine Connected
-              </p>
+              {status.state === 'connected' && (
+                <p style={{ ...styles.dynamicText, color: '#4ade80', fontWeight: 'bold' }}>
+                  ✅ AI Engine Connected ({providerLabel})
+                </p>
+              )}
+              {status.state === 'error' && (
+                <p style={{ ...styles.dynamicText, color: '#f87171', fontWeight: 'bold' }}>
+                  ❌ AI Engine Unreachable ({providerLabel}): {status.message}
+                </p>
+              )}
+              {status.state === 'untested' && (
+                <p style={styles.dynamicText}>
+                  {providerLabel} configured, connection not verified yet.
+                </p>
+              )}
+              <button onClick={onTest} disabled={isTesting} style={{ ...styles.btn, padding: '4px 10px', fontSize: '0.75rem' }}>
+                {isTesting ? 'Testing…' : 'Test Connection'}
+              </button>
               <button onClick={onSetKey} style={{ ...styles.btn, padding: '4px 10px', fontSize: '0.75rem' }}>
                 Update Key
               </button>
             </div>
           ) : (
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-              <p style={styles.dynamicText}>To enable Agentic AI roles, please provide a Gemini API Key.</p>
+              <p style={styles.dynamicText}>To enable Agentic AI roles, please provide an API Key (or choose a local or offline provider).</p>
               <button onClick={onSetKey} style={styles.activeBtn}>Enter API Key</button>
             </div>
           )}
@@ -210,6 +252,8 @@ function App() {
 		  {renderMainContent()}
 		</div>
 	  </main>
+
+      {showKeyDialog && <AgentSettingsDialog onClose={() => setShowKeyDialog(false)} />}
     </div>
   );
 }
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { LineChart, Line, ComposedChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, Brush, ResponsiveContainer } from 'recharts';
 import { 
   Truck, 
   Package, 
@@ -20,53 +21,147 @@ import {
   Conveyor,
   Bot,
   User,
-  Cpu
+  Cpu,
+  Boxes,
+  Pickaxe,
+  Link2,
+  Save,
+  RotateCcw,
+  Trash2,
+  Pause,
+  StepBack,
+  StepForward,
+  Upload,
+  Film,
+  Dices,
+  Gauge,
+  Wifi,
+  Eye,
+  LayoutGrid,
+  Zap,
+  Hourglass
 } from 'lucide-react';
+import {
+  ROLES as CLASSIC_ROLES,
+  ROLE_CATALOG,
+  CHAIN_PRESETS,
+  CONFIG,
+  CONFIG_FIELDS,
+  VISIBILITY_MODES,
+  validateConfig,
+  getConsumerDemand,
+  createGame,
+  submitOrder,
+  advanceWeek,
+  isGameOver,
+  isWeekComplete,
+  getTotalCost,
+  getHistoryEntry as getEngineHistoryEntry,
+  getIncomingShipment as getEngineIncomingShipment,
+  getIncomingDemand as getEngineIncomingDemand,
+  getRoleObservation,
+  getRolePipeline,
+  getSharedContext,
+  getScenarioOptions
+} from './engine';
+import { DEMAND_PATTERNS, DEFAULT_DEMAND, describeDemand, parseDemandCSV, validateDemand } from './demand';
+import { AUTOSAVE_SLOT, saveGame, listSaves, loadGame, deleteSave } from './saves';
+import { buildBeerGameSession } from './export';
+import { loadReplay, getLastRecordedWeek, getReplayFrame } from './replay';
+import { toAgentObservation } from './policies';
+import { computeBeerGameMetrics, getGameShockWeek } from './metrics';
+import { BEER_SCENARIOS } from './scenarios';
+import { describeDelay, getLinkTransit, parseDistribution } from './transit';
+import OnlineGame from './OnlineGame';
+import FacilitatorDashboard from './FacilitatorDashboard';
+import { ORDERING_AGENTS, FALLBACK_AGENT, orderingAgentDecision, validateAgentParams } from '../shared/orderingAgents';
+import { randomSeed } from '../shared/random';
+import ExportButtons from '../shared/ExportButtons';
+import MetricsTable from '../shared/MetricsTable';
+import ScenarioPicker from '../shared/ScenarioPicker';
+import ScenarioTimeline from '../shared/ScenarioTimeline';
+import { requestDecision, isAgentReady } from '../shared/agentClient';
+import { useAgentSettings } from '../shared/useAgentSettings';
 
 // --- CONSTANTS & CONFIGURATION ---
 
-const ROLES = [
-  { id: 'retailer', label: 'Retailer', icon: Store, color: 'text-blue-400', bg: 'bg-blue-900/20', border: 'border-blue-500/30', fill: 'fill-blue-500/20' },
-  { id: 'wholesaler', label: 'Wholesaler', icon: Warehouse, color: 'text-purple-400', bg: 'bg-purple-900/20', border: 'border-purple-500/30', fill: 'fill-purple-500/20' },
-  { id: 'distributor', label: 'Distributor', icon: Building2, color: 'text-orange-400', bg: 'bg-orange-900/20', border: 'border-orange-500/30', fill: 'fill-orange-500/20' },
-  { id: 'manufacturer', label: 'Manufacturer', icon: Factory, color: 'text-emerald-400', bg: 'bg-emerald-900/20', border: 'border-emerald-500/30', fill: 'fill-emerald-500/20' }
-];
-
-const CONFIG = {
-  initialInventory: 12,
-  initialBacklog: 0,
-  shippingDelay: 2, // Weeks for goods to travel downstream
-  orderDelay: 1,    // Weeks for orders to travel upstream
-  totalWeeks: 20,
-  costHolding: 0.5,
-  costBacklog: 1.0,
+// Visual styling layered on top of the engine's role definitions
+const ROLE_STYLES = {
+  retailer: { icon: Store, color: 'text-blue-400', bg: 'bg-blue-900/20', border: 'border-blue-500/30', fill: 'fill-blue-500/20', chart: '#60a5fa' },
+  warehouse: { icon: Boxes, color: 'text-cyan-400', bg: 'bg-cyan-900/20', border: 'border-cyan-500/30', fill: 'fill-cyan-500/20', chart: '#22d3ee' },
+  wholesaler: { icon: Warehouse, color: 'text-purple-400', bg: 'bg-purple-900/20', border: 'border-purple-500/30', fill: 'fill-purple-500/20', chart: '#c084fc' },
+  distributor: { icon: Building2, color: 'text-orange-400', bg: 'bg-orange-900/20', border: 'border-orange-500/30', fill: 'fill-orange-500/20', chart: '#fb923c' },
+  manufacturer: { icon: Factory, color: 'text-emerald-400', bg: 'bg-emerald-900/20', border: 'border-emerald-500/30', fill: 'fill-emerald-500/20', chart: '#34d399' },
+  supplier: { icon: Pickaxe, color: 'text-rose-400', bg: 'bg-rose-900/20', border: 'border-rose-500/30', fill: 'fill-rose-500/20', chart: '#fb7185' }
 };
 
-// --- API CONFIGURATION ---
-const apiKey = ""; // Runtime environment provides key
+const styleRoles = (roles) => roles.map(role => ({ ...role, ...ROLE_STYLES[role.id] }));
 
-// --- HELPER FUNCTIONS ---
+const REPLAY_STEP_MS = 1200; // Playback speed of session replays
 
-const getConsumerDemand = (week) => {
-  if (week <= 4) return 4;
-  return 8; // Step jump at week 5
-};
+// --- AI AGENT ---
 
-// --- GEMINI AI AGENT ---
+// The part of the prompt that depends on the game's visibility mode
+const describeSharedContext = (shared, roleIndex) => {
+  const lines = [];
+  if (shared.consumerDemand && roleIndex > 0) {
+    lines.push(`- End-consumer demand by week (shared point-of-sale data): ${shared.consumerDemand.join(', ')}`);
+  }
+  if (shared.chain) {
+    lines.push('- Every echelon at the end of last week:');
+    shared.chain.forEach(r => {
+      lines.push(`  - ${r.label}: inventory ${r.inventory}, backlog ${r.backlog}, ordered ${r.orderPlaced}, shipped ${r.shipped}`);
+    });
+  }
+  if (lines.length === 0) {
+    lines.push("- You only see your own numbers. End-consumer demand and the other echelons' stock are hidden.");
+  }
+  if (shared.events.length > 0) {
+    lines.push('- Announced disruptions:');
+    [...shared.events].reverse().forEach(event => lines.push(`  - Week ${event.week}: ${event.text}`));
+  }
+  return lines.join('\n    ');
+};
 
-async function getAITurn(role, history, currentWeek, incomingShipment, incomingDemand, prevBacklog, prevInventory) {
+// The role's own orders and shipments in flight, so the agent does not have
+// to reconstruct them from its order history
+const describeBatches = (batches, currentWeek) => (batches.length === 0
+  ? 'none'
+  : batches.map(b => `${b.amount} arriving week ${b.arrivalWeek}${b.arrivalWeek === currentWeek ? ' (now)' : ''}`).join(', '));
+
+const describePipeline = (pipeline, isProducerRole, currentWeek) => [
+  `- ${isProducerRole ? 'Production in progress' : 'Shipments on the road to you'}: ${describeBatches(pipeline.shipments, currentWeek)}`,
+  ...(isProducerRole ? [] : [
+    `- Your orders not yet received by your supplier: ${describeBatches(pipeline.orders, currentWeek)}`,
+    `- Owed to you by your supplier (their backlog): ${pipeline.upstreamBacklog}`
+  ]),
+  `- On order in total: ${pipeline.onOrder}. Inventory position (inventory - backlog + on order): ${pipeline.inventoryPosition}`
+].join('\n    ');
+
+async function getAITurn(role, config, history, currentWeek, incomingShipment, incomingDemand, prevBacklog, prevInventory, pipeline, shared, fallback) {
   const roleHistory = history.filter(h => h.roleId === role.id && h.week < currentWeek);
+  const roleIndex = config.roles.findIndex(r => r.id === role.id);
+  const isProducerRole = roleIndex === config.roles.length - 1;
+  const customer = roleIndex === 0 ? 'end consumers' : `the ${config.roles[roleIndex - 1].label}`;
+  const supplier = isProducerRole ? 'your own production line' : `the ${config.roles[roleIndex + 1].label}`;
+  const link = getLinkTransit(config.transit, role.id);
+  const lossNote = link.lossChance > 0
+    ? `\n    - Transit Loss: ${Math.round(link.lossChance * 100)}% of shipments to you lose ${Math.round(link.lossFraction * 100)}% of their units on the way.`
+    : '';
   
   // Construct context for the AI
   const prompt = `
     You are playing the "Beer Distribution Game" as the ${role.label}.
-    Your Goal: Minimize total costs over 20 weeks.
+    Your Goal: Minimize total costs over ${config.totalWeeks} weeks.
+    
+    Supply Chain (downstream to upstream): ${config.roles.map(r => r.label).join(' -> ')}.
+    You are echelon ${roleIndex + 1} of ${config.roles.length}. You receive orders from ${customer} and order from ${supplier}.
     
     Parameters:
-    - Holding Cost: $0.50 per unit/week (for positive inventory).
-    - Backlog Cost: $1.00 per unit/week (for negative inventory).
-    - Order Delay: 1 week (orders take 1 week to reach upstream).
-    - Shipping Delay: 2 weeks (shipments take 2 weeks to arrive from upstream).
+    - Holding Cost: $${config.costHolding.toFixed(2)} per unit/week (for positive inventory).
+    - Backlog Cost: $${config.costBacklog.toFixed(2)} per unit/week (for negative inventory).
+    - Order Delay: ${describeDelay(link.orderDelay, config.orderDelay)} (time for your orders to reach upstream).
+    - Shipping Delay: ${describeDelay(link.shippingDelay, config.shippingDelay)} (time for shipments to arrive from upstream).${lossNote}
     
     Current State (Week ${currentWeek}):
     - Your Current Inventory (before new shipment): ${prevInventory}
@@ -74,61 +169,74 @@ async function getAITurn(role, history, currentWeek, incomingShipment, incomingD
     - Incoming Shipment (Arriving Now): ${incomingShipment}
     - Incoming Demand (New Orders from downstream): ${incomingDemand}
     
+    Your Pipeline (already ordered, not yet in your inventory):
+    ${describePipeline(pipeline, isProducerRole, currentWeek)}
+    
+    Information Available (${VISIBILITY_MODES[shared.visibility].label}):
+    ${describeSharedContext(shared, roleIndex)}
+    
     Recent History (Last 3 weeks):
     ${roleHistory.slice(-3).map(h => `- Week ${h.week}: Ordered ${h.orderPlaced}, Inv ${h.inventory}, Backlog ${h.backlog}`).join('\n')}
     
     Task: Decided how many units to order from your supplier to minimize long-term costs. 
-    Consider the pipeline (orders you placed previously that haven't arrived yet).
+    Count the pipeline above so you do not order the same units twice.
     Avoid the Bullwhip Effect (do not over-react to panic).
     
     Response Format: Return ONLY a JSON object with this structure: { "order": integer, "reasoning": "string" }
   `;
 
-  try {
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: {
-                type: "OBJECT",
-                properties: {
-                    order: { type: "INTEGER" },
-                    reasoning: { type: "STRING" }
-                }
-            }
-        }
-      })
-    });
-
-    const data = await response.json();
-    const result = JSON.parse(data.candidates[0].content.parts[0].text);
-    return result;
-  } catch (error) {
-    console.error("AI Error:", error);
-    // Fallback: order amount matching incoming demand (safe play)
-    return { order: incomingDemand, reasoning: "Fallback strategy due to AI error." };
-  }
+  return requestDecision({ prompt, fallback });
 }
 
 // --- VISUALIZATION COMPONENT ---
 
-const SupplyChainMap = ({ currentWeek, history }) => {
+// Batches in flight on one link, each labelled with the week it arrives;
+// the one arriving this week is highlighted.
+const PipelineBatches = ({ batches, week, color }) => (
+  batches.length === 0 ? null : (
+    <div className="absolute top-1/2 mt-3 left-0 right-0 flex flex-wrap justify-center gap-0.5 z-10">
+      {batches.map((batch, i) => (
+        <span
+          key={i}
+          title={`${batch.amount} units arriving in week ${batch.arrivalWeek}`}
+          className={`text-[9px] font-mono px-1 rounded border ${batch.arrivalWeek === week ? 'bg-slate-800 border-slate-500 text-white' : `bg-slate-950 border-slate-800 ${color}`}`}
+        >
+          {batch.amount}<span className="text-slate-500">@W{batch.arrivalWeek}</span>
+        </span>
+      ))}
+    </div>
+  )
+);
+
+// `viewer` is the index of the role looking at the map. Numbers that the
+// game's visibility mode hides from that role are shown as "?"; without a
+// viewer (replays, debrief) everything is shown.
+const SupplyChainMap = ({ game, viewer = null }) => {
+  const { config, currentWeek, history } = game;
+  const roles = styleRoles(config.roles);
+  const producer = roles[roles.length - 1];
+  const shared = viewer === null ? null : getSharedContext(game, viewer);
+  const canSeeRole = (index) => !shared || shared.chain !== null || index === viewer;
+  const canSeeDemand = !shared || shared.consumerDemand !== null;
+  const show = (visible, value) => (visible ? value : '?');
+
   // Helper to safely get history
   const getEntry = (week, roleId) => history.find(h => h.week === week && h.roleId === roleId);
 
+  // Orders and shipments in flight at the start of the week, per role
+  const pipelines = roles.map((role, index) => getRolePipeline(game, index, currentWeek));
+
   // Alignment Constants
-  const TOP_ROW_H = "h-20";    // Height for Order boxes/arrows
+  const TOP_ROW_H = "h-24";    // Height for Order boxes/arrows
   const GAP_H = "h-16";        // Height for vertical gap
   const BOT_ROW_H = "h-24";    // Height for Inventory boxes/arrows
 
   return (
     <div className="w-full bg-slate-950 p-6 rounded-xl border border-slate-800 mb-6 overflow-x-auto">
-      <h3 className="text-xs font-bold text-slate-500 uppercase tracking-widest mb-8 text-center">Supply Chain Network</h3>
+      <h3 className="text-xs font-bold text-slate-500 uppercase tracking-widest mb-8 text-center">
+        Supply Chain Network
+        {shared && <span className="ml-2 text-slate-600">· {VISIBILITY_MODES[shared.visibility].label}</span>}
+      </h3>
       
       <div className="flex items-start justify-center min-w-[900px]">
         
@@ -139,7 +247,7 @@ const SupplyChainMap = ({ currentWeek, history }) => {
             <div className="w-16 h-12 bg-slate-800 border-2 border-slate-600 rounded-lg flex items-center justify-center relative shadow-lg">
                <ClipboardList className="w-5 h-5 text-amber-500" />
                <div className="absolute -top-3 -right-3 bg-amber-500 text-slate-900 text-xs font-bold w-6 h-6 flex items-center justify-center rounded-full border-2 border-slate-900">
-                 {getConsumerDemand(currentWeek)}
+                 {show(canSeeDemand, getConsumerDemand(game, currentWeek))}
                </div>
             </div>
           </div>
@@ -159,11 +267,14 @@ const SupplyChainMap = ({ currentWeek, history }) => {
 
 
         {/* === MAIN CHAIN LOOP === */}
-        {ROLES.map((role, index) => {
+        {roles.map((role, index) => {
           const prevWeekData = getEntry(currentWeek - 1, role.id);
-          const inventory = prevWeekData ? prevWeekData.inventory : 12;
-          const backlog = prevWeekData ? prevWeekData.backlog : 0;
-          const orderPlaced = prevWeekData ? prevWeekData.orderPlaced : 4;
+          const inventory = prevWeekData ? prevWeekData.inventory : config.initialInventory;
+          const backlog = prevWeekData ? prevWeekData.backlog : config.initialBacklog;
+          const orderPlaced = prevWeekData ? prevWeekData.orderPlaced : config.initialOrder;
+          const isVisible = canSeeRole(index);
+          // The link to the customer is visible to whoever sits on either end
+          const isLinkVisible = isVisible || (index === 0 ? canSeeDemand : canSeeRole(index - 1));
           
           const Icon = role.icon;
 
@@ -178,11 +289,14 @@ const SupplyChainMap = ({ currentWeek, history }) => {
                         <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 bg-slate-900 px-2 py-0.5 rounded-full border border-slate-700 flex items-center gap-1 z-10">
                           <Mail className="w-3 h-3 text-amber-500" />
                           <span className="text-[10px] font-mono text-amber-500">
-                              {index === 0 ? getConsumerDemand(currentWeek) : getEntry(currentWeek - 1, ROLES[index-1].id)?.orderPlaced || 4}
+                              {show(isLinkVisible, index === 0 ? getConsumerDemand(game, currentWeek) : getEntry(currentWeek - 1, roles[index-1].id)?.orderPlaced ?? config.initialOrder)}
                           </span>
                           <ArrowRight className="w-3 h-3 text-slate-500" />
                         </div>
                     </div>
+                    {index > 0 && isLinkVisible && (
+                      <PipelineBatches batches={pipelines[index - 1].orders} week={currentWeek} color="text-amber-500" />
+                    )}
                  </div>
 
                  {/* Spacer */}
@@ -194,11 +308,14 @@ const SupplyChainMap = ({ currentWeek, history }) => {
                         <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 bg-slate-900 px-2 py-0.5 rounded-full border border-emerald-900/50 flex items-center gap-1 z-10 shadow-lg">
                           <ArrowLeft className="w-3 h-3 text-emerald-500" />
                           <span className="text-[10px] font-mono text-emerald-400">
-                              {index === 0 ? getConsumerDemand(currentWeek) : getEntry(currentWeek - 1, ROLES[index-1].id)?.shipped || 0}
+                              {show(isLinkVisible, index === 0 ? getConsumerDemand(game, currentWeek) : getEntry(currentWeek - 1, roles[index-1].id)?.shipped ?? 0)}
                           </span>
                           <Truck className="w-3 h-3 text-emerald-500" />
                         </div>
                     </div>
+                    {index > 0 && isLinkVisible && (
+                      <PipelineBatches batches={pipelines[index - 1].shipments} week={currentWeek} color="text-emerald-400" />
+                    )}
                  </div>
               </div>
 
@@ -210,10 +327,16 @@ const SupplyChainMap = ({ currentWeek, history }) => {
                 <div className={`${TOP_ROW_H} w-full flex items-center justify-center`}>
                     <div className="w-full bg-slate-900 border border-slate-700 rounded-lg py-2 flex flex-col items-center shadow-sm relative group">
                       <div className="text-[9px] text-slate-500 uppercase tracking-tighter mb-1">Orders</div>
-                      <div className="font-mono text-amber-400 font-bold text-lg leading-none">{orderPlaced}</div>
+                      <div className="font-mono text-amber-400 font-bold text-lg leading-none">{show(isVisible, orderPlaced)}</div>
+                      <div className="mt-1.5 text-[9px] text-slate-500 leading-tight">
+                        On order <span className="font-mono text-slate-300">{show(isVisible, pipelines[index].onOrder)}</span>
+                      </div>
+                      <div className="text-[9px] text-slate-500 leading-tight">
+                        Position <span className={`font-mono ${isVisible && pipelines[index].inventoryPosition < 0 ? 'text-red-400' : 'text-slate-300'}`}>{show(isVisible, pipelines[index].inventoryPosition)}</span>
+                      </div>
                       {/* Tooltip */}
                       <div className="absolute bottom-full mb-2 bg-black text-xs text-white p-1 rounded opacity-0 group-hover:opacity-100 pointer-events-none whitespace-nowrap z-50">
-                        Last Wk Order
+                        Last Wk Order · Inventory position = inventory - backlog + on order
                       </div>
                     </div>
                 </div>
@@ -227,10 +350,10 @@ const SupplyChainMap = ({ currentWeek, history }) => {
                 <div className={`${BOT_ROW_H} w-full flex items-center justify-center`}>
                     <div className={`w-full aspect-square rounded-xl ${role.bg} ${role.border} border-2 flex flex-col items-center justify-center relative shadow-lg`}>
                       <Icon className={`w-6 h-6 ${role.color} mb-1 opacity-80`} />
-                      <div className={`text-xl font-bold font-mono ${inventory <= 0 ? 'text-red-400' : 'text-white'}`}>
-                          {inventory}
+                      <div className={`text-xl font-bold font-mono ${!isVisible ? 'text-slate-600' : inventory <= 0 ? 'text-red-400' : 'text-white'}`}>
+                          {show(isVisible, inventory)}
                       </div>
-                      {backlog > 0 && (
+                      {isVisible && backlog > 0 && (
                           <div className="absolute -top-2 -right-2 bg-red-600 text-white text-[10px] font-bold px-1.5 py-0.5 rounded-full border border-slate-900 animate-pulse shadow-md">
                             -{backlog}
                           </div>
@@ -255,7 +378,7 @@ const SupplyChainMap = ({ currentWeek, history }) => {
                     <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 bg-slate-900 px-2 py-0.5 rounded-full border border-slate-700 flex items-center gap-1 z-10">
                         <Mail className="w-3 h-3 text-amber-500" />
                         <span className="text-[10px] font-mono text-amber-500">
-                          {getEntry(currentWeek - 1, 'manufacturer')?.orderPlaced || 4}
+                          {show(canSeeRole(roles.length - 1), getEntry(currentWeek - 1, producer.id)?.orderPlaced ?? config.initialOrder)}
                         </span>
                         <ArrowRight className="w-3 h-3 text-slate-500" />
                     </div>
@@ -271,11 +394,14 @@ const SupplyChainMap = ({ currentWeek, history }) => {
                     <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 bg-slate-900 px-2 py-0.5 rounded-full border border-emerald-900/50 flex items-center gap-1 z-10 shadow-lg">
                         <ArrowLeft className="w-3 h-3 text-emerald-500" />
                         <span className="text-[10px] font-mono text-emerald-400">
-                          {getEntry(currentWeek - 1, 'manufacturer')?.orderPlaced || 4}
+                          {show(canSeeRole(roles.length - 1), getEntry(currentWeek - 1, producer.id)?.orderPlaced ?? config.initialOrder)}
                         </span>
                         <Package className="w-3 h-3 text-emerald-500" />
                     </div>
                 </div>
+                {canSeeRole(roles.length - 1) && (
+                  <PipelineBatches batches={pipelines[roles.length - 1].shipments} week={currentWeek} color="text-emerald-400" />
+                )}
              </div>
         </div>
 
@@ -306,89 +432,488 @@ const SupplyChainMap = ({ currentWeek, history }) => {
             <div className="w-8 h-1 bg-slate-600 rounded-full"></div>
             <span className="text-[10px] text-slate-400 uppercase font-bold">Shipment Flow (Downstream)</span>
          </div>
+         <div className="flex items-center gap-2">
+            <span className="text-[9px] font-mono px-1 rounded border bg-slate-950 border-slate-800 text-slate-300">8<span className="text-slate-500">@W5</span></span>
+            <span className="text-[10px] text-slate-400 uppercase font-bold">In Transit, Arrives Week 5</span>
+         </div>
       </div>
     </div>
   );
 };
 
 
+// --- RESULT VIEWS ---
+
+// Per-role outcome of a single week. With `showRoles` off only the team
+// total is shown, for visibility modes that keep the roles' numbers private.
+const WeekSummaryTable = ({ roles, history, week, showRoles = true }) => {
+  const weekData = history.filter(h => h.week === week);
+  const totalWeekCost = weekData.reduce((acc, curr) => acc + curr.cost, 0);
+
+  if (!showRoles) {
+    return (
+      <div className="bg-slate-800 rounded-xl border border-slate-700 mb-8 p-6 text-center">
+        <p className="text-slate-400 uppercase tracking-widest text-xs mb-1">Total Team Cost This Week</p>
+        <p className="text-3xl font-mono font-bold text-amber-500">${totalWeekCost.toFixed(2)}</p>
+        <p className="text-xs text-slate-500 mt-3 flex items-center justify-center gap-1">
+          <Eye className="w-3 h-3" /> Each role's numbers stay private until the debrief.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto bg-slate-800 rounded-xl border border-slate-700 mb-8">
+      <table className="w-full text-left border-collapse">
+        <thead>
+          <tr className="border-b border-slate-700 bg-slate-950/50">
+            <th className="p-4 text-slate-400 font-medium">Role</th>
+            <th className="p-4 text-slate-400 font-medium text-right">Inventory</th>
+            <th className="p-4 text-slate-400 font-medium text-right">Backlog</th>
+            <th className="p-4 text-slate-400 font-medium text-right">Ordered</th>
+            <th className="p-4 text-slate-400 font-medium text-right">Cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {roles.map(role => {
+            const data = weekData.find(d => d.roleId === role.id);
+            return (
+              <tr key={role.id} className="border-b border-slate-700 last:border-0 hover:bg-slate-700/30">
+                <td className={`p-4 font-bold ${role.color}`}>{role.label}</td>
+                <td className="p-4 text-right font-mono">{data.inventory}</td>
+                <td className="p-4 text-right font-mono text-red-400">{data.backlog > 0 ? data.backlog : '-'}</td>
+                <td className="p-4 text-right font-mono">{data.orderPlaced}</td>
+                <td className="p-4 text-right font-mono text-amber-400">${data.cost.toFixed(2)}</td>
+              </tr>
+            );
+          })}
+          <tr className="bg-slate-950/30 font-bold">
+            <td className="p-4" colSpan="4">Total Team Cost</td>
+            <td className="p-4 text-right text-amber-500">${totalWeekCost.toFixed(2)}</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// --- CHARTS ---
+
+const CHART_GRID = '#334155';
+const CHART_AXIS = '#64748b';
+const CHART_TOOLTIP = { backgroundColor: '#0f172a', borderColor: '#475569', fontSize: 12 };
+const DEMAND_COLOR = '#f8fafc';
+const NET_STOCK_COLORS = { positive: '#10b981', negative: '#ef4444' };
+
+// Clicking a legend entry hides or shows its series
+const useHiddenSeries = () => {
+  const [hidden, setHidden] = useState(() => new Set());
+  const toggle = ({ dataKey }) => setHidden(prev => {
+    const next = new Set(prev);
+    if (next.has(dataKey)) next.delete(dataKey);
+    else next.add(dataKey);
+    return next;
+  });
+  const legendProps = {
+    onClick: toggle,
+    wrapperStyle: { fontSize: 12, cursor: 'pointer' },
+    formatter: (value, entry) => (
+      <span style={{ color: entry.color, opacity: hidden.has(entry.dataKey) ? 0.35 : 1 }}>{value}</span>
+    )
+  };
+  return [hidden, legendProps];
+};
+
+// One row per played week: consumer demand plus every role's order, incoming
+// demand and net stock, keyed `${roleId}Order` etc.
+const buildChartData = (game) => {
+  const lastWeek = Math.max(0, ...game.history.map(h => h.week));
+  return Array.from({ length: lastWeek }, (_, i) => {
+    const week = i + 1;
+    const row = { week, demand: getConsumerDemand(game, week) };
+    game.config.roles.forEach((role, roleIndex) => {
+      const entry = getEngineHistoryEntry(game, week, role.id);
+      if (!entry) return;
+      row[`${role.id}Order`] = entry.orderPlaced;
+      row[`${role.id}Demand`] = getEngineIncomingDemand(game, roleIndex, week);
+      row[`${role.id}Net`] = entry.inventory - entry.backlog;
+    });
+    return row;
+  });
+};
+
+const CHAIN_CHART_METRICS = {
+  orders: { label: 'Orders Placed', suffix: 'Order' },
+  netStock: { label: 'Net Stock', suffix: 'Net' }
+};
+
+// Every role overlaid on one chart, with a brush to zoom into a range of weeks
+const ChainChart = ({ game, metric = 'orders', height = 288 }) => {
+  const roles = styleRoles(game.config.roles);
+  const data = buildChartData(game);
+  const [hidden, legendProps] = useHiddenSeries();
+  const { suffix } = CHAIN_CHART_METRICS[metric];
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <LineChart data={data} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke={CHART_GRID} />
+        <XAxis dataKey="week" stroke={CHART_AXIS} fontSize={12} />
+        <YAxis stroke={CHART_AXIS} fontSize={12} allowDecimals={false} />
+        <Tooltip contentStyle={CHART_TOOLTIP} labelFormatter={(week) => `Week ${week}`} />
+        <Legend {...legendProps} />
+        {metric === 'netStock' && <ReferenceLine y={0} stroke={CHART_AXIS} />}
+        {metric === 'orders' && (
+          <Line
+            type="stepAfter" dataKey="demand" name="Consumer Demand" stroke={DEMAND_COLOR}
+            strokeWidth={2} strokeDasharray="6 3" dot={false} hide={hidden.has('demand')}
+          />
+        )}
+        {roles.map(role => (
+          <Line
+            key={role.id}
+            type="monotone"
+            dataKey={`${role.id}${suffix}`}
+            name={role.label}
+            stroke={role.chart}
+            strokeWidth={2}
+            dot={false}
+            hide={hidden.has(`${role.id}${suffix}`)}
+          />
+        ))}
+        {data.length > 1 && <Brush dataKey="week" height={20} stroke="#f59e0b" fill="#0f172a" travellerWidth={8} />}
+      </LineChart>
+    </ResponsiveContainer>
+  );
+};
+
+// A single role: net stock bars with its orders and incoming demand on top
+const RoleChart = ({ game, role }) => {
+  const data = buildChartData(game);
+  const [hidden, legendProps] = useHiddenSeries();
+  const netKey = `${role.id}Net`;
+
+  return (
+    <ResponsiveContainer width="100%" height={240}>
+      <ComposedChart data={data} margin={{ top: 10, right: 10, left: -10, bottom: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke={CHART_GRID} />
+        <XAxis dataKey="week" stroke={CHART_AXIS} fontSize={11} />
+        <YAxis stroke={CHART_AXIS} fontSize={11} allowDecimals={false} />
+        <Tooltip contentStyle={CHART_TOOLTIP} labelFormatter={(week) => `Week ${week}`} />
+        <Legend {...legendProps} />
+        <ReferenceLine y={0} stroke={CHART_AXIS} />
+        <Bar dataKey={netKey} name="Net Stock" fill={NET_STOCK_COLORS.positive} hide={hidden.has(netKey)}>
+          {data.map(row => (
+            <Cell key={row.week} fill={row[netKey] < 0 ? NET_STOCK_COLORS.negative : NET_STOCK_COLORS.positive} />
+          ))}
+        </Bar>
+        <Line
+          type="monotone" dataKey={`${role.id}Demand`} name="Incoming Demand" stroke={DEMAND_COLOR}
+          strokeDasharray="4 3" dot={false} hide={hidden.has(`${role.id}Demand`)}
+        />
+        <Line
+          type="monotone" dataKey={`${role.id}Order`} name="Orders Placed" stroke="#f59e0b"
+          strokeWidth={2} dot={false} hide={hidden.has(`${role.id}Order`)}
+        />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+};
+
+// All roles overlaid, then orders and net stock for each role on its own
+const RoleCharts = ({ game, playerTypes }) => {
+  const roles = styleRoles(game.config.roles);
+  const [chainMetric, setChainMetric] = useState('orders');
+
+  return (
+    <div className="mb-12 space-y-6">
+      <div className="bg-slate-800 rounded-xl border border-slate-700 p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="font-bold text-xl text-slate-200">All Roles</h3>
+          <div className="flex bg-slate-900 rounded-lg p-1">
+            {Object.entries(CHAIN_CHART_METRICS).map(([id, { label }]) => (
+              <button
+                key={id}
+                onClick={() => setChainMetric(id)}
+                className={`px-3 py-1 rounded-md text-xs font-bold transition-all ${chainMetric === id ? 'bg-amber-500 text-slate-900' : 'text-slate-400 hover:text-white'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <ChainChart game={game} metric={chainMetric} />
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+        {roles.map(role => (
+          <div key={role.id} className={`bg-slate-800 rounded-xl border border-slate-700 p-6 ${role.border}`}>
+            <h3 className={`font-bold text-xl mb-4 flex items-center gap-2 ${role.color}`}>
+               <span className={`w-3 h-3 rounded-full ${role.bg.replace('/20', '')}`}></span>
+               {role.label}
+               {playerTypes[role.id] === 'AI' && <Bot className="w-5 h-5 opacity-75" />}
+               {playerTypes[role.id] === 'RULE' && <Cpu className="w-5 h-5 opacity-75" />}
+            </h3>
+            <RoleChart game={game} role={role} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// --- RULE AGENT SETUP ---
+
+// Picks a heuristic ordering agent and its parameters for one role. Blank
+// parameters use the agent's defaults, derived from the game parameters.
+const RuleAgentSetup = ({ value, onChange }) => {
+  const agent = ORDERING_AGENTS[value.name];
+  const errors = validateAgentParams(value.name, value.params);
+
+  return (
+    <div className="mt-3 pt-3 border-t border-slate-700/50">
+      <select
+        value={value.name}
+        onChange={(e) => onChange({ name: e.target.value, params: {} })}
+        className="w-full bg-slate-900 border border-slate-600 rounded-lg px-2 py-1.5 text-sm text-white focus:ring-2 focus:ring-amber-500 focus:outline-none"
+      >
+        {Object.entries(ORDERING_AGENTS).map(([name, def]) => (
+          <option key={name} value={name}>{def.label}</option>
+        ))}
+      </select>
+      <p className="text-xs text-slate-500 mt-1">{agent.description}</p>
+      {Object.keys(agent.params).length > 0 && (
+        <div className="grid grid-cols-2 gap-2 mt-2">
+          {Object.entries(agent.params).map(([key, field]) => (
+            <label key={key} className="text-[10px] text-slate-400 uppercase">
+              {field.label}
+              <input
+                type="number"
+                min={field.min}
+                max={field.max}
+                step={field.step ?? 1}
+                value={value.params[key] ?? ''}
+                placeholder={field.default !== undefined ? String(field.default) : 'auto'}
+                onChange={(e) => onChange({
+                  ...value,
+                  params: { ...value.params, [key]: e.target.value === '' ? '' : Number(e.target.value) }
+                })}
+                className="mt-1 w-full bg-slate-900 border border-slate-600 rounded-lg px-2 py-1 font-mono text-white focus:ring-2 focus:ring-amber-500 focus:outline-none"
+              />
+            </label>
+          ))}
+        </div>
+      )}
+      {errors.length > 0 && <p className="text-xs text-red-400 mt-2">{errors.join('; ')}</p>}
+    </div>
+  );
+};
+
+// --- TRANSIT SETUP ---
+
+// Lead-time distributions and transit loss, typed per link as text (see
+// transit.js). The "all" row applies to every link; role rows override it.
+const TRANSIT_FIELDS = {
+  shippingDelay: { label: 'Shipping (wk:weight)', placeholder: 'fixed' },
+  orderDelay: { label: 'Order (wk:weight)', placeholder: 'fixed' },
+  lossChance: { label: 'Loss Chance', placeholder: '0' },
+  lossFraction: { label: 'Share Lost', placeholder: '0' },
+};
+
+const ALL_LINKS = 'all';
+
+const toTransitLink = (row = {}) => {
+  const link = {};
+  ['shippingDelay', 'orderDelay'].forEach(key => {
+    const distribution = parseDistribution(row[key] ?? '');
+    if (distribution) link[key] = distribution;
+  });
+  ['lossChance', 'lossFraction'].forEach(key => {
+    const value = String(row[key] ?? '').trim();
+    if (value !== '') link[key] = Number(value);
+  });
+  return link;
+};
+
+// Rows of text -> the engine's `transit` setting (null when all blank).
+// Throws when a distribution cannot be read.
+const buildTransit = (rows, roles) => {
+  const transit = toTransitLink(rows[ALL_LINKS]);
+  const links = Object.fromEntries(roles
+    .map(role => [role.id, toTransitLink(rows[role.id])])
+    .filter(([, link]) => Object.keys(link).length > 0));
+  if (Object.keys(links).length > 0) transit.links = links;
+  return Object.keys(transit).length > 0 ? transit : null;
+};
+
+// Starting points around the configured shipping delay
+const TRANSIT_PRESETS = {
+  fixed: { label: 'Fixed', build: () => ({}) },
+  variable: {
+    label: 'Variable (±1 Week)',
+    build: (delay) => ({ [ALL_LINKS]: { shippingDelay: delay > 1 ? `${delay - 1}:1, ${delay}:2, ${delay + 1}:1` : `${delay}:3, ${delay + 1}:1` } })
+  },
+  unreliable: {
+    label: 'Unreliable',
+    build: (delay) => ({ [ALL_LINKS]: { shippingDelay: `${delay}:6, ${delay + 1}:3, ${delay + 3}:1`, lossChance: '0.1', lossFraction: '0.5' } })
+  },
+};
+
+const TransitSetup = ({ roles, value, onChange, shippingDelay }) => {
+  const rows = [
+    { id: ALL_LINKS, label: 'All Links', producer: false },
+    ...roles.map((role, index) => ({ id: role.id, label: role.label, producer: index === roles.length - 1 }))
+  ];
+  const delay = Number.isInteger(shippingDelay) && shippingDelay > 0 ? Math.min(shippingDelay, 5) : CONFIG.shippingDelay;
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-3">
+        {Object.entries(TRANSIT_PRESETS).map(([key, preset]) => (
+          <button
+            key={key}
+            onClick={() => onChange(preset.build(delay))}
+            className="px-3 py-1.5 rounded-md text-xs font-bold bg-slate-800 text-slate-400 hover:text-slate-200 transition-colors"
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-slate-500 text-[10px] uppercase">
+              <th className="text-left font-semibold pb-1">Link Into</th>
+              {Object.values(TRANSIT_FIELDS).map(field => (
+                <th key={field.label} className="text-left font-semibold pb-1 px-1">{field.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.id}>
+                <td className={`pr-2 whitespace-nowrap ${row.id === ALL_LINKS ? 'text-slate-300 font-bold' : 'text-slate-400'}`}>
+                  {row.producer ? `${row.label} (Production)` : row.label}
+                </td>
+                {Object.entries(TRANSIT_FIELDS).map(([key, field]) => (
+                  <td key={key} className="px-1 py-0.5">
+                    <input
+                      type="text"
+                      value={value[row.id]?.[key] ?? ''}
+                      disabled={row.producer && key === 'orderDelay'}
+                      placeholder={row.id === ALL_LINKS ? field.placeholder : 'default'}
+                      onChange={(e) => onChange({ ...value, [row.id]: { ...value[row.id], [key]: e.target.value } })}
+                      className="w-full min-w-16 bg-slate-900 border border-slate-600 rounded-md px-2 py-1 font-mono text-white placeholder:text-slate-600 disabled:opacity-30 focus:ring-2 focus:ring-amber-500 focus:outline-none"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// --- SAVE CONTROLS ---
+
+const SaveControls = ({ onSave }) => {
+  const [slotName, setSlotName] = useState('');
+  const [status, setStatus] = useState(null);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    setStatus(onSave(slotName) ? `Saved as "${slotName.trim()}"` : 'Could not save game');
+  };
+
+  return (
+    <form onSubmit={handleSave} className="flex items-center gap-2 text-xs">
+      <input
+        type="text"
+        value={slotName}
+        onChange={(e) => { setSlotName(e.target.value); setStatus(null); }}
+        placeholder="Save slot name"
+        className="bg-slate-900 border border-slate-700 rounded-md px-2 py-1.5 text-slate-200 focus:ring-2 focus:ring-amber-500 focus:outline-none"
+      />
+      <button
+        type="submit"
+        disabled={!slotName.trim()}
+        className="bg-slate-800 hover:bg-slate-700 disabled:opacity-50 border border-slate-600 text-slate-200 font-bold px-3 py-1.5 rounded-md flex items-center gap-1 transition-colors"
+      >
+        <Save className="w-3 h-3" /> Save
+      </button>
+      {status && <span className="text-slate-400">{status}</span>}
+    </form>
+  );
+};
+
+// localStorage can be unavailable (private mode, quota); saving must never break play.
+const readSaves = () => {
+  try {
+    return listSaves();
+  } catch (error) {
+    console.warn("Could not read saved games:", error);
+    return [];
+  }
+};
+
 // --- MAIN COMPONENT ---
 
 export default function BeerGame() {
-  const [gameState, setGameState] = useState('INTRO'); // INTRO, SETUP, HANDOFF, PLAY, SUMMARY, GAME_OVER
-  const [currentWeek, setCurrentWeek] = useState(1);
-  const [turnIndex, setTurnIndex] = useState(0); // 0 to 3 matching ROLES
+  const [gameState, setGameState] = useState('INTRO'); // INTRO, SETUP, HANDOFF, PLAY, SUMMARY, GAME_OVER, REPLAY, ONLINE, FACILITATOR
   
-  // Player Config: 'HUMAN' or 'AI'
-  const [playerTypes, setPlayerTypes] = useState({
-    retailer: 'HUMAN',
-    wholesaler: 'HUMAN',
-    distributor: 'HUMAN',
-    manufacturer: 'HUMAN'
-  });
+  // Player Config: 'HUMAN', 'AI' (LLM agent) or 'RULE' (heuristic ordering agent)
+  const [playerTypes, setPlayerTypes] = useState(() =>
+    Object.fromEntries(ROLE_CATALOG.map(role => [role.id, 'HUMAN']))
+  );
+  // Heuristic agent per role for 'RULE' players: { name, params }
+  const [ruleAgents, setRuleAgents] = useState(() =>
+    Object.fromEntries(ROLE_CATALOG.map(role => [role.id, { name: 'sterman', params: {} }]))
+  );
+
+  // Shared AI settings from the Introduction screen
+  const agent = useAgentSettings();
 
   // AI Processing State
-  const [isAIThinking, setIsAIThinking] = useState(false);
+  // The game state an automated role is deciding for, so each turn is requested once
+  const aiTurnRef = useRef(null);
   const [aiReasoning, setAiReasoning] = useState(null);
 
-  // History is the single source of truth.
-  // We seed it with Week -1 and Week 0 to handle initial lookbacks (delays).
-  // Equilibrium start: Everyone ordering 4, shipping 4, holding 12.
-  const [history, setHistory] = useState(() => {
-    const seedData = [];
-    for (let w = -1; w <= 0; w++) {
-      ROLES.forEach(role => {
-        seedData.push({
-          week: w,
-          roleId: role.id,
-          inventory: 12,
-          backlog: 0,
-          orderPlaced: 4,
-          shipped: 4,
-          cost: 6 // 12 * 0.5
-        });
-      });
-    }
-    return seedData;
-  });
+  // The engine state is the single source of truth (week, turn order and history).
+  const [game, setGame] = useState(() => createGame());
+  const { currentWeek, turnIndex, history } = game;
+  const roles = styleRoles(game.config.roles);
 
   const [orderInput, setOrderInput] = useState('');
 
-  // --- LOGIC: RETRIEVAL ---
+  // Saved sessions offered on the INTRO screen
+  const [saves, setSaves] = useState(readSaves);
 
-  const getHistoryEntry = (week, roleId) => {
-    return history.find(h => h.week === week && h.roleId === roleId);
-  };
+  // Game parameters and demand pattern chosen on the SETUP screen
+  const [configSetup, setConfigSetup] = useState(CONFIG);
+  const [chainSetup, setChainSetup] = useState(CLASSIC_ROLES);
+  const [demandSetup, setDemandSetup] = useState(DEFAULT_DEMAND);
+  const [demandError, setDemandError] = useState(null);
+  const [seedSetup, setSeedSetup] = useState(randomSeed);
+  const [scenarioSetup, setScenarioSetup] = useState(BEER_SCENARIOS.none);
+  const [transitRows, setTransitRows] = useState({});
 
-  // Logic: Incoming Shipment (Looking Upstream, 2 weeks ago)
-  const getIncomingShipment = (roleIndex, week) => {
-    const shipmentDelayWeek = week - CONFIG.shippingDelay;
-    
-    // Manufacturer "ships" to themselves based on production requests (orders) from 2 weeks ago
-    if (roleIndex === 3) {
-      const selfHistory = getHistoryEntry(shipmentDelayWeek, ROLES[3].id);
-      return selfHistory ? selfHistory.orderPlaced : 4; 
-    }
+  // Session replay: { game, playerTypes, exportedAt } loaded from an export
+  const [replay, setReplay] = useState(null);
+  const [replayWeek, setReplayWeek] = useState(1);
+  const [isReplayPlaying, setIsReplayPlaying] = useState(false);
+  const [replayError, setReplayError] = useState(null);
 
-    // Others receive what the upstream supplier SHIPPED 2 weeks ago
-    const upstreamRole = ROLES[roleIndex + 1];
-    const upstreamHistory = getHistoryEntry(shipmentDelayWeek, upstreamRole.id);
-    return upstreamHistory ? upstreamHistory.shipped : 4;
-  };
+  // --- LOGIC: RETRIEVAL ---
 
-  // Logic: Incoming Demand (Looking Downstream, 1 week ago)
-  const getIncomingDemand = (roleIndex, week) => {
-    // Retailer receives direct consumer demand
-    if (roleIndex === 0) {
-      return getConsumerDemand(week);
-    }
+  const getHistoryEntry = (week, roleId) => getEngineHistoryEntry(game, week, roleId);
+  const getIncomingShipment = (roleIndex, week) => getEngineIncomingShipment(game, roleIndex, week);
+  const getIncomingDemand = (roleIndex, week) => getEngineIncomingDemand(game, roleIndex, week);
 
-    // Others receive orders placed by downstream customer 1 week ago
-    const orderDelayWeek = week - CONFIG.orderDelay;
-    const downstreamRole = ROLES[roleIndex - 1];
-    const downstreamHistory = getHistoryEntry(orderDelayWeek, downstreamRole.id);
-    return downstreamHistory ? downstreamHistory.orderPlaced : 4;
-  };
+  // Who decides for an automated role, e.g. "AI Agent" or "Sterman Anchor & Adjust"
+  const controllerLabel = (roleId) =>
+    playerTypes[roleId] === 'RULE' ? ORDERING_AGENTS[ruleAgents[roleId].name].label : 'AI Agent';
 
   // --- LOGIC: GAME PLAY ---
 
@@ -398,73 +923,190 @@ export default function BeerGame() {
 
   const handleStartGame = () => {
     setGameState('HANDOFF');
-    setCurrentWeek(1);
-    setTurnIndex(0);
-    // Reset history to seed only
-    const seedData = [];
-    for (let w = -1; w <= 0; w++) {
-      ROLES.forEach(role => {
-        seedData.push({
-          week: w,
-          roleId: role.id,
-          inventory: 12,
-          backlog: 0,
-          orderPlaced: 4,
-          shipped: 4,
-          cost: 6
-        });
-      });
-    }
-    setHistory(seedData);
+    // Reset to a fresh engine state (seed history only)
+    setGame(createGame({ ...configSetup, demand: demandSetup, roles: chainSetup, scenario: scenarioSetup, transit: transitSetup }, { seed: seedSetup || randomSeed() }));
   };
 
-  const processTurn = (orderAmount) => {
-    const currentRole = ROLES[turnIndex];
-    const prevWeekData = getHistoryEntry(currentWeek - 1, currentRole.id);
+  // --- ONLINE PLAY ---
+  // Settings for a room this browser is about to host (null when joining one)
+  const [onlineHost, setOnlineHost] = useState(null);
+
+  // Room settings from the setup screen; rule players run on the server
+  const buildOnlineSetup = () => {
+    const roles = chainSetup.filter(role => playerTypes[role.id] === 'RULE');
+    return {
+      config: { ...configSetup, demand: demandSetup, roles: chainSetup, scenario: scenarioSetup, transit: transitSetup },
+      seed: seedSetup || randomSeed(),
+      ruleAgents: Object.fromEntries(roles.map(role => [role.id, ruleAgents[role.id]]))
+    };
+  };
 
-    // 1. Calculate Incomings
-    const shipmentReceived = getIncomingShipment(turnIndex, currentWeek);
-    const demandReceived = getIncomingDemand(turnIndex, currentWeek);
+  // Online weeks advance on participants' orders, so one role must be open
+  const hasOnlineSeat = chainSetup.some(role => playerTypes[role.id] !== 'RULE');
 
-    // 2. Calculate State
-    // Available to sell = Old Inventory + New Shipment
-    const totalAvailable = prevWeekData.inventory + shipmentReceived;
-    // Total Obligation = New Demand + Old Backlog
-    const totalToShip = demandReceived + prevWeekData.backlog;
+  const handleHostOnline = () => {
+    setOnlineHost(buildOnlineSetup());
+    setGameState('ONLINE');
+  };
 
-    // 3. Determine Shipments & New Stock
-    const actuallyShipped = Math.min(totalAvailable, totalToShip);
-    
-    let newInventory = totalAvailable - actuallyShipped;
-    let newBacklog = totalToShip - actuallyShipped;
-
-    // 4. Calculate Costs
-    const weekCost = (newInventory * CONFIG.costHolding) + (newBacklog * CONFIG.costBacklog);
-
-    // 5. Commit to History
-    const newEntry = {
-      week: currentWeek,
-      roleId: currentRole.id,
-      inventory: newInventory,
-      backlog: newBacklog,
-      orderPlaced: orderAmount,
-      shipped: actuallyShipped,
-      cost: weekCost
+  // The facilitator dashboard creates one room per team with these settings
+  const handleFacilitate = () => {
+    setOnlineHost(buildOnlineSetup());
+    setGameState('FACILITATOR');
+  };
+
+  const handleJoinOnline = () => {
+    setOnlineHost(null);
+    setGameState('ONLINE');
+  };
+
+  // Finished online games continue in the regular debrief
+  const handleOnlineFinished = (finishedGame, onlinePlayerTypes) => {
+    setGame(finishedGame);
+    setPlayerTypes(prev => ({ ...prev, ...onlinePlayerTypes }));
+    setGameState('GAME_OVER');
+  };
+
+  const updateConfigParam = (key, value) => {
+    setConfigSetup(prev => ({ ...prev, [key]: value === '' ? '' : Number(value) }));
+  };
+
+  let transitSetup = null;
+  let transitError = null;
+  try {
+    transitSetup = buildTransit(transitRows, chainSetup);
+  } catch (error) {
+    transitError = error.message;
+  }
+
+  const configErrors = validateConfig({ ...configSetup, roles: chainSetup, scenario: scenarioSetup, transit: transitSetup });
+  const areRuleAgentsValid = chainSetup.every(role =>
+    playerTypes[role.id] !== 'RULE' || validateAgentParams(ruleAgents[role.id].name, ruleAgents[role.id].params).length === 0);
+  const isSetupValid = Object.keys(configErrors).length === 0 && !transitError && areRuleAgentsValid;
+
+  // Echelons always keep their catalog order (downstream to upstream)
+  const toggleEchelon = (roleId) => {
+    setChainSetup(prev => ROLE_CATALOG.filter(role =>
+      role.id === roleId ? !prev.some(r => r.id === roleId) : prev.some(r => r.id === role.id)
+    ));
+  };
+
+  const selectDemandPattern = (type) => {
+    setDemandSetup({ type, params: { ...DEMAND_PATTERNS[type].defaults } });
+    setDemandError(null);
+  };
+
+  const updateDemandParam = (key, value) => {
+    setDemandSetup(prev => ({ ...prev, params: { ...prev.params, [key]: value === '' ? '' : Number(value) } }));
+  };
+
+  const handleDemandUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const series = parseDemandCSV(reader.result);
+        setDemandSetup({ type: 'csv', params: { series, fileName: file.name } });
+        setDemandError(null);
+      } catch (error) {
+        setDemandError(error.message);
+      }
     };
+    reader.readAsText(file);
+  };
+
+  const demandErrors = validateDemand(demandSetup);
+  const isDemandSetupValid = demandErrors.length === 0;
 
-    setHistory(prev => [...prev, newEntry]);
+  const processTurn = (orderAmount, reasoning) => {
+    const nextGame = submitOrder(game, orderAmount, { reasoning });
+    // Advance Turn
+    const nextScreen = isWeekComplete(nextGame) ? 'SUMMARY' : 'HANDOFF';
+
+    setGame(nextGame);
     setOrderInput('');
     setAiReasoning(null); // Reset AI reasoning
+    setGameState(nextScreen);
+    persistGame(AUTOSAVE_SLOT, nextGame, nextScreen);
+  };
 
-    // 6. Advance Turn
-    if (turnIndex < 3) {
-      setTurnIndex(prev => prev + 1);
-      setGameState('HANDOFF');
-    } else {
-      setGameState('SUMMARY');
+  // --- LOGIC: SAVE & RESUME ---
+
+  const persistGame = (slotName, gameToSave = game, screen = gameState) => {
+    try {
+      saveGame(slotName, { game: gameToSave, screen, playerTypes, ruleAgents });
+      setSaves(readSaves());
+      return true;
+    } catch (error) {
+      console.warn("Could not save game:", error);
+      return false;
     }
   };
 
+  const handleResume = (slotName) => {
+    try {
+      const session = loadGame(slotName);
+      setGame(session.game);
+      setPlayerTypes(prev => ({ ...prev, ...session.playerTypes }));
+      setRuleAgents(prev => ({ ...prev, ...session.ruleAgents }));
+      setAiReasoning(null);
+      setOrderInput('');
+      // A turn interrupted mid-decision restarts at that role's handoff
+      setGameState(session.screen === 'PLAY' ? 'HANDOFF' : session.screen);
+    } catch (error) {
+      console.error("Could not resume game:", error);
+      setSaves(readSaves());
+    }
+  };
+
+  const handleDeleteSave = (slotName) => {
+    try {
+      deleteSave(slotName);
+    } catch (error) {
+      console.warn("Could not delete save:", error);
+    }
+    setSaves(readSaves());
+  };
+
+  // --- LOGIC: REPLAY ---
+
+  const startReplay = (session) => {
+    setReplay(session);
+    setReplayWeek(1);
+    setIsReplayPlaying(false);
+    setReplayError(null);
+    setGameState('REPLAY');
+  };
+
+  const handleReplayUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = ''; // Allow re-selecting the same file
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        startReplay(loadReplay(reader.result));
+      } catch (error) {
+        setReplayError(error.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const toggleReplayPlayback = () => {
+    // Pressing play on the last week starts over
+    if (!isReplayPlaying && replayWeek >= getLastRecordedWeek(replay.game)) {
+      setReplayWeek(1);
+    }
+    setIsReplayPlaying(prev => !prev);
+  };
+
+  const stepReplay = (delta) => {
+    setIsReplayPlaying(false);
+    setReplayWeek(prev => Math.min(Math.max(prev + delta, 1), getLastRecordedWeek(replay.game)));
+  };
+
   const submitTurn = (e) => {
     if (e) e.preventDefault();
     const orderAmount = parseInt(orderInput);
@@ -475,8 +1117,8 @@ export default function BeerGame() {
   // --- AUTO-START AI TURN (SKIP HANDOFF) ---
   useEffect(() => {
     if (gameState === 'HANDOFF') {
-      const currentRole = ROLES[turnIndex];
-      const isAI = playerTypes[currentRole.id] === 'AI';
+      const currentRole = game.config.roles[game.turnIndex];
+      const isAI = playerTypes[currentRole.id] !== 'HUMAN';
       
       if (isAI) {
          // Automatically transition to PLAY for AI players after a very brief delay
@@ -488,43 +1130,54 @@ export default function BeerGame() {
          return () => clearTimeout(timer);
       }
     }
-  }, [gameState, turnIndex, playerTypes]);
+  }, [gameState, game, playerTypes]);
 
   // --- AI INTEGRATION: HOOK ---
   
   useEffect(() => {
     if (gameState === 'PLAY') {
-      const currentRole = ROLES[turnIndex];
+      const currentRole = roles[turnIndex];
       const playerType = playerTypes[currentRole.id];
 
-      if (playerType === 'AI' && !isAIThinking) {
-        setIsAIThinking(true);
+      if (playerType !== 'HUMAN' && aiTurnRef.current !== game) {
+        aiTurnRef.current = game;
         
         // Gather context
         const prevWeekData = getHistoryEntry(currentWeek - 1, currentRole.id);
         const incomingShipment = getIncomingShipment(turnIndex, currentWeek);
         const incomingDemand = getIncomingDemand(turnIndex, currentWeek);
+        const observation = toAgentObservation(getRoleObservation(game));
+
+        // Heuristic agents decide instantly; the LLM falls back to the default rule
+        const decisionRequest = playerType === 'RULE'
+          ? Promise.resolve(orderingAgentDecision(ruleAgents[currentRole.id].name, ruleAgents[currentRole.id].params, observation))
+          : getAITurn(
+              currentRole, 
+              game.config,
+              history, 
+              currentWeek, 
+              incomingShipment, 
+              incomingDemand, 
+              prevWeekData.backlog, 
+              prevWeekData.inventory,
+              getRolePipeline(game, turnIndex),
+              getSharedContext(game),
+              orderingAgentDecision(FALLBACK_AGENT, {}, observation)
+            );
+
+        decisionRequest.then(decision => {
+            // The agent client guarantees a whole, non-negative order
+            const order = decision.order;
 
-        // Call AI
-        getAITurn(
-            currentRole, 
-            history, 
-            currentWeek, 
-            incomingShipment, 
-            incomingDemand, 
-            prevWeekData.backlog, 
-            prevWeekData.inventory
-        ).then(decision => {
             // Apply delay to simulate "thinking" and let UI update
             setTimeout(() => {
                 setAiReasoning(decision.reasoning);
-                setOrderInput(decision.order.toString());
+                setOrderInput(order.toString());
                 
                 // Allow a brief moment for user to see the decision before auto-submitting?
                 // Or just auto-submit. Let's auto-submit after another delay.
                 setTimeout(() => {
-                   processTurn(decision.order);
-                   setIsAIThinking(false);
+                   processTurn(order, decision.reasoning);
                 }, 2000); 
             }, 1000);
         });
@@ -533,12 +1186,19 @@ export default function BeerGame() {
   }, [gameState, turnIndex, playerTypes, currentWeek]);
 
 
+  // --- REPLAY PLAYBACK ---
+  useEffect(() => {
+    if (gameState !== 'REPLAY' || !isReplayPlaying) return;
+    if (replayWeek >= getLastRecordedWeek(replay.game)) return;
+    const timer = setTimeout(() => setReplayWeek(prev => prev + 1), REPLAY_STEP_MS);
+    return () => clearTimeout(timer);
+  }, [gameState, isReplayPlaying, replayWeek, replay]);
+
   const startNextWeek = () => {
-    if (currentWeek >= CONFIG.totalWeeks) {
+    if (isGameOver(game)) {
       setGameState('GAME_OVER');
     } else {
-      setCurrentWeek(prev => prev + 1);
-      setTurnIndex(0);
+      setGame(prev => advanceWeek(prev));
       setGameState('HANDOFF');
     }
   };
@@ -563,6 +1223,54 @@ export default function BeerGame() {
           >
             <Play className="w-5 h-5" /> Setup Game
           </button>
+
+          <button
+            onClick={handleJoinOnline}
+            className="mt-3 w-full bg-slate-900/50 hover:bg-slate-700 border border-slate-700 text-slate-300 font-bold py-3 rounded-xl transition-colors flex items-center justify-center gap-2"
+          >
+            <Wifi className="w-4 h-4" /> Join Online Game
+          </button>
+
+          <label className="mt-3 w-full bg-slate-900/50 hover:bg-slate-700 border border-slate-700 text-slate-300 font-bold py-3 rounded-xl transition-colors flex items-center justify-center gap-2 cursor-pointer">
+            <Upload className="w-4 h-4" /> Replay Exported Session
+            <input type="file" accept=".json,application/json" onChange={handleReplayUpload} className="hidden" />
+          </label>
+          {replayError && <p className="text-xs text-red-400 mt-2 text-center">{replayError}</p>}
+
+          {saves.length > 0 && (
+            <div className="mt-8">
+              <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+                <RotateCcw className="w-4 h-4" /> Resume Game
+              </h3>
+              <div className="space-y-2">
+                {saves.map(save => (
+                  <div key={save.name} className="flex items-center justify-between bg-slate-900/50 border border-slate-700 rounded-lg p-3">
+                    <div>
+                      <div className="font-bold text-white">{save.name}</div>
+                      <div className="text-xs text-slate-500">
+                        Week {save.week} / {save.totalWeeks} · {save.roles.length} echelons · {new Date(save.savedAt).toLocaleString()}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleResume(save.name)}
+                        className="bg-emerald-500 hover:bg-emerald-600 text-white text-xs font-bold px-3 py-1.5 rounded-md transition-colors"
+                      >
+                        Resume
+                      </button>
+                      <button
+                        onClick={() => handleDeleteSave(save.name)}
+                        className="text-slate-500 hover:text-red-400 p-1.5 transition-colors"
+                        title="Delete save"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       </div>
     );
@@ -573,10 +1281,49 @@ export default function BeerGame() {
       <div className="min-h-screen bg-slate-900 text-slate-100 flex flex-col items-center justify-center p-6">
         <div className="max-w-2xl w-full bg-slate-800 p-8 rounded-2xl shadow-2xl border border-slate-700">
             <h2 className="text-3xl font-bold text-center mb-8">Select Players</h2>
+
+            {/* Supply Chain Configuration */}
+            <div className="mb-6 p-4 rounded-xl border border-slate-700 bg-slate-900/50">
+                <div className="flex justify-between items-center mb-3">
+                    <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wider flex items-center gap-2">
+                        <Link2 className="w-4 h-4" /> Supply Chain
+                    </h3>
+                    <div className="flex gap-2">
+                        {Object.entries(CHAIN_PRESETS).map(([key, preset]) => (
+                            <button
+                                key={key}
+                                onClick={() => setChainSetup(preset.roles)}
+                                className="px-2 py-1 rounded-md text-xs font-bold bg-slate-800 text-slate-400 hover:text-slate-200 transition-colors"
+                            >
+                                {preset.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                    {styleRoles(ROLE_CATALOG).map(role => {
+                        const isActive = chainSetup.some(r => r.id === role.id);
+                        return (
+                            <button
+                                key={role.id}
+                                onClick={() => toggleEchelon(role.id)}
+                                className={`px-3 py-1.5 rounded-md text-xs font-bold flex items-center gap-1 border transition-colors ${isActive ? `${role.bg} ${role.border} ${role.color}` : 'border-slate-700 text-slate-600 hover:text-slate-400'}`}
+                            >
+                                <role.icon className="w-3 h-3" /> {role.label}
+                            </button>
+                        );
+                    })}
+                </div>
+                <p className="text-xs text-slate-500 mt-2">
+                    Consumers order from the first echelon; the last echelon produces the goods.
+                </p>
+                {configErrors.roles && <p className="text-xs text-red-400 mt-2">{configErrors.roles}</p>}
+            </div>
             
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-8">
-                {ROLES.map(role => (
-                    <div key={role.id} className={`p-4 rounded-xl border ${role.border} ${role.bg} flex items-center justify-between`}>
+                {styleRoles(chainSetup).map(role => (
+                    <div key={role.id} className={`p-4 rounded-xl border ${role.border} ${role.bg}`}>
+                      <div className="flex items-center justify-between">
                         <div className="flex items-center gap-3">
                            <role.icon className={`w-6 h-6 ${role.color}`} />
                            <span className="font-bold text-lg">{role.label}</span>
@@ -594,32 +1341,255 @@ export default function BeerGame() {
                             >
                                 <Bot className="w-3 h-3" /> AI Agent
                             </button>
+                            <button 
+                                onClick={() => setPlayerTypes(prev => ({...prev, [role.id]: 'RULE'}))}
+                                className={`px-3 py-1.5 rounded-md text-xs font-bold flex items-center gap-1 transition-colors ${playerTypes[role.id] === 'RULE' ? 'bg-cyan-700 text-white shadow-sm' : 'text-slate-500 hover:text-slate-300'}`}
+                            >
+                                <Cpu className="w-3 h-3" /> Rule
+                            </button>
                         </div>
+                      </div>
+                      {playerTypes[role.id] === 'RULE' && (
+                        <RuleAgentSetup
+                          value={ruleAgents[role.id]}
+                          onChange={(agentSetup) => setRuleAgents(prev => ({ ...prev, [role.id]: agentSetup }))}
+                        />
+                      )}
                     </div>
                 ))}
             </div>
 
+            {/* Game Parameters */}
+            <div className="mb-6 p-4 rounded-xl border border-slate-700 bg-slate-900/50">
+                <div className="flex justify-between items-center mb-3">
+                    <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wider flex items-center gap-2">
+                        <ClipboardList className="w-4 h-4" /> Game Parameters
+                    </h3>
+                    <button
+                        onClick={() => setConfigSetup(CONFIG)}
+                        className="text-xs text-slate-500 hover:text-slate-300 transition-colors"
+                    >
+                        Reset to Defaults
+                    </button>
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    {Object.entries(CONFIG_FIELDS).map(([key, field]) => (
+                        <label key={key} className="text-xs text-slate-400">
+                            {field.label}
+                            <input
+                                type="number"
+                                min={field.min}
+                                max={field.max}
+                                step={field.integer ? 1 : 0.1}
+                                value={configSetup[key]}
+                                onChange={(e) => updateConfigParam(key, e.target.value)}
+                                className={`mt-1 w-full bg-slate-900 border ${configErrors[key] ? 'border-red-500' : 'border-slate-600'} rounded-lg px-2 py-1.5 font-mono text-white focus:ring-2 focus:ring-amber-500 focus:outline-none`}
+                            />
+                        </label>
+                    ))}
+                </div>
+                {Object.entries(configErrors).filter(([key]) => !['roles', 'scenario', 'transit', 'demand'].includes(key)).map(([key, message]) => (
+                    <p key={key} className="text-xs text-red-400 mt-2">{message}</p>
+                ))}
+            </div>
+
+            {/* Lead Times & Losses */}
+            <div className="mb-6 p-4 rounded-xl border border-slate-700 bg-slate-900/50">
+                <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+                    <Hourglass className="w-4 h-4" /> Lead Times & Losses
+                </h3>
+                <TransitSetup
+                    roles={chainSetup}
+                    value={transitRows}
+                    onChange={setTransitRows}
+                    shippingDelay={configSetup.shippingDelay}
+                />
+                {(transitError || configErrors.transit) && (
+                    <p className="text-xs text-red-400 mt-2">{transitError || configErrors.transit}</p>
+                )}
+                <p className="text-xs text-slate-500 mt-2">
+                    Blank delays use the fixed parameters above. Write "2:60, 3:30, 4:10" to draw a link's delay from weeks 2–4 with those weights; loss settings are fractions between 0 and 1. Draws come from the seed, so teams sharing a seed face the same delays.
+                </p>
+            </div>
+
+            {/* Information Visibility */}
+            <div className="mb-6 p-4 rounded-xl border border-slate-700 bg-slate-900/50">
+                <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+                    <Eye className="w-4 h-4" /> Information Visibility
+                </h3>
+                <div className="flex flex-wrap gap-2 mb-2">
+                    {Object.entries(VISIBILITY_MODES).map(([id, mode]) => (
+                        <button
+                            key={id}
+                            onClick={() => setConfigSetup(prev => ({ ...prev, visibility: id }))}
+                            className={`px-3 py-1.5 rounded-md text-xs font-bold transition-colors ${configSetup.visibility === id ? 'bg-amber-600 text-white shadow-sm' : 'bg-slate-800 text-slate-400 hover:text-slate-200'}`}
+                        >
+                            {mode.label}
+                        </button>
+                    ))}
+                </div>
+                <p className="text-xs text-slate-500">
+                    {VISIBILITY_MODES[configSetup.visibility].description} Also controls what AI players are told.
+                </p>
+            </div>
+
+            {/* Scenario */}
+            <div className="mb-6 p-4 rounded-xl border border-slate-700 bg-slate-900/50">
+                <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+                    <Zap className="w-4 h-4" /> Scenario
+                </h3>
+                <ScenarioPicker
+                    presets={BEER_SCENARIOS}
+                    value={scenarioSetup}
+                    onChange={setScenarioSetup}
+                    options={getScenarioOptions({ ...configSetup, roles: chainSetup })}
+                    className="text-slate-400"
+                    selectClassName="bg-slate-900 border border-slate-600 rounded-lg px-2 py-1.5 text-sm text-white focus:ring-2 focus:ring-amber-500 focus:outline-none"
+                    buttonClassName="px-3 py-1.5 rounded-md text-xs font-bold bg-slate-800 text-slate-400 hover:text-slate-200 transition-colors"
+                    errorClassName="text-red-400"
+                />
+                {Number.isInteger(configSetup.totalWeeks) && configSetup.totalWeeks > 0 && (
+                    <ScenarioTimeline
+                        scenario={scenarioSetup}
+                        totalWeeks={configSetup.totalWeeks}
+                        targets={getScenarioOptions({ ...configSetup, roles: chainSetup }).targets}
+                        className="mt-4 text-slate-300"
+                        cellClassName="bg-slate-800"
+                        textClassName="text-slate-500"
+                    />
+                )}
+                {configErrors.scenario && <p className="text-xs text-red-400 mt-2">{configErrors.scenario}</p>}
+                <p className="text-xs text-slate-500 mt-2">
+                    Timed disruptions on top of the demand pattern. Everyone is told when an event fires. Load a JSON file to run your own.
+                </p>
+            </div>
+
+            {/* Consumer Demand Pattern */}
+            <div className="mb-8 p-4 rounded-xl border border-slate-700 bg-slate-900/50">
+                <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+                    <ShoppingCart className="w-4 h-4" /> Consumer Demand
+                </h3>
+                <div className="flex flex-wrap gap-2 mb-4">
+                    {Object.entries(DEMAND_PATTERNS).map(([type, pattern]) => (
+                        <button
+                            key={type}
+                            onClick={() => selectDemandPattern(type)}
+                            className={`px-3 py-1.5 rounded-md text-xs font-bold transition-colors ${demandSetup.type === type ? 'bg-amber-600 text-white shadow-sm' : 'bg-slate-800 text-slate-400 hover:text-slate-200'}`}
+                        >
+                            {pattern.label}
+                        </button>
+                    ))}
+                </div>
+
+                {demandSetup.type === 'csv' ? (
+                    <div className="space-y-2">
+                        <input
+                            type="file"
+                            accept=".csv,.txt"
+                            onChange={handleDemandUpload}
+                            className="block w-full text-sm text-slate-400 file:mr-3 file:py-1.5 file:px-3 file:rounded-md file:border-0 file:bg-slate-700 file:text-slate-200"
+                        />
+                        {demandSetup.params.series.length > 0 && (
+                            <p className="text-xs text-slate-400 font-mono">
+                                {demandSetup.params.fileName}: {demandSetup.params.series.join(', ')}
+                            </p>
+                        )}
+                    </div>
+                ) : (
+                    <div className="grid grid-cols-3 gap-3">
+                        {Object.entries(DEMAND_PATTERNS[demandSetup.type].fields).map(([key, label]) => (
+                            <label key={key} className="text-xs text-slate-400">
+                                {label}
+                                <input
+                                    type="number"
+                                    min={DEMAND_PATTERNS[demandSetup.type].minimums[key]}
+                                    max={DEMAND_PATTERNS[demandSetup.type].maximums?.[key]}
+                                    step="any"
+                                    value={demandSetup.params[key]}
+                                    onChange={(e) => updateDemandParam(key, e.target.value)}
+                                    className="mt-1 w-full bg-slate-900 border border-slate-600 rounded-lg px-2 py-1.5 font-mono text-white focus:ring-2 focus:ring-amber-500 focus:outline-none"
+                                />
+                            </label>
+                        ))}
+                    </div>
+                )}
+                {demandError && <p className="text-xs text-red-400 mt-2">{demandError}</p>}
+                {!demandError && demandErrors.length > 0 && demandSetup.type !== 'csv' && (
+                    <p className="text-xs text-red-400 mt-2">{demandErrors.join('; ')}</p>
+                )}
+
+                <div className="mt-4 pt-4 border-t border-slate-700/50 flex items-end gap-2">
+                    <label className="text-xs text-slate-400 flex-1">
+                        Random Seed
+                        <input
+                            type="text"
+                            value={seedSetup}
+                            onChange={(e) => setSeedSetup(e.target.value.toUpperCase())}
+                            className="mt-1 w-full bg-slate-900 border border-slate-600 rounded-lg px-2 py-1.5 font-mono text-white focus:ring-2 focus:ring-amber-500 focus:outline-none"
+                        />
+                    </label>
+                    <button
+                        onClick={() => setSeedSetup(randomSeed())}
+                        className="bg-slate-800 hover:bg-slate-700 border border-slate-600 text-slate-300 p-2 rounded-lg transition-colors"
+                        title="New random seed"
+                    >
+                        <Dices className="w-4 h-4" />
+                    </button>
+                </div>
+                <p className="text-xs text-slate-500 mt-1">Share the seed so other teams face exactly the same random demand.</p>
+            </div>
+
+            {chainSetup.some(role => playerTypes[role.id] === 'AI') && (agent.status.state === 'error' || !isAgentReady()) && (
+                <p className="text-xs text-amber-400 mb-4 flex items-center gap-2">
+                    <AlertCircle className="w-4 h-4" />
+                    {agent.status.state === 'error'
+                      ? `AI engine unreachable (${agent.status.message}); AI players will use fallback logic.`
+                      : 'No AI engine configured; AI players will use fallback logic. Enter an API key on the Introduction page.'}
+                </p>
+            )}
+
             <button 
                 onClick={handleStartGame}
-                className="w-full bg-emerald-500 hover:bg-emerald-600 text-white font-bold py-4 rounded-xl transition-all transform hover:scale-[1.02] shadow-lg flex items-center justify-center gap-2"
+                disabled={!isDemandSetupValid || !isSetupValid}
+                className="w-full disabled:opacity-50 disabled:cursor-not-allowed bg-emerald-500 hover:bg-emerald-600 text-white font-bold py-4 rounded-xl transition-all transform hover:scale-[1.02] shadow-lg flex items-center justify-center gap-2"
             >
                 <Play className="w-5 h-5" /> Start Simulation
             </button>
+            <button
+                onClick={handleHostOnline}
+                disabled={!isDemandSetupValid || !isSetupValid || !hasOnlineSeat}
+                className="mt-3 w-full disabled:opacity-50 disabled:cursor-not-allowed bg-slate-900/50 hover:bg-slate-700 border border-slate-700 text-slate-300 font-bold py-3 rounded-xl transition-colors flex items-center justify-center gap-2"
+            >
+                <Wifi className="w-4 h-4" /> Host Online Room
+            </button>
+            <button
+                onClick={handleFacilitate}
+                disabled={!isDemandSetupValid || !isSetupValid || !hasOnlineSeat}
+                className="mt-3 w-full disabled:opacity-50 disabled:cursor-not-allowed bg-slate-900/50 hover:bg-slate-700 border border-slate-700 text-slate-300 font-bold py-3 rounded-xl transition-colors flex items-center justify-center gap-2"
+            >
+                <LayoutGrid className="w-4 h-4" /> Facilitator Dashboard
+            </button>
+            <p className="text-xs text-slate-500 mt-2 text-center">
+                Online, every participant plays one role from their own browser. Rule players run on the server; AI players are not available online and become open seats. The facilitator dashboard runs one room per team with these settings.
+            </p>
+            {!hasOnlineSeat && (
+              <p className="text-xs text-amber-400 mt-2 text-center">Online play needs at least one role that is not a rule player.</p>
+            )}
         </div>
       </div>
     );
   }
 
   if (gameState === 'HANDOFF') {
-    const currentRole = ROLES[turnIndex];
-    const isAI = playerTypes[currentRole.id] === 'AI';
+    const currentRole = roles[turnIndex];
+    const isAI = playerTypes[currentRole.id] !== 'HUMAN';
 
     return (
       <div className="min-h-screen bg-slate-950 flex flex-col items-center justify-center p-4">
         
         {/* Context Map on Handoff */}
         <div className="w-full max-w-5xl mb-8 opacity-50 pointer-events-none scale-75 origin-bottom">
-           <SupplyChainMap currentWeek={currentWeek} history={history} />
+           <SupplyChainMap game={game} viewer={turnIndex} />
         </div>
 
         <div className={`w-full max-w-md p-8 rounded-2xl border-2 text-center shadow-2xl ${currentRole.bg} ${currentRole.border}`}>
@@ -629,7 +1599,7 @@ export default function BeerGame() {
           <div className="flex justify-center mb-6">
              {isAI ? (
                  <div className="bg-amber-500/20 text-amber-500 px-4 py-2 rounded-full border border-amber-500/50 flex items-center gap-2 animate-pulse">
-                    <Bot className="w-5 h-5" /> AI Agent Controlling
+                    <Bot className="w-5 h-5" /> {controllerLabel(currentRole.id)} Controlling
                  </div>
              ) : (
                  <div className="bg-slate-700/50 text-slate-300 px-4 py-2 rounded-full border border-slate-600 flex items-center gap-2">
@@ -645,24 +1615,31 @@ export default function BeerGame() {
             {isAI ? "Starting AI Turn..." : `I am the ${currentRole.label}`}
           </button>
         </div>
+
+        {!isAI && (
+          <div className="mt-6">
+            <SaveControls onSave={(slotName) => persistGame(slotName)} />
+          </div>
+        )}
       </div>
     );
   }
 
   if (gameState === 'PLAY') {
-    const role = ROLES[turnIndex];
-    const isAI = playerTypes[role.id] === 'AI';
+    const role = roles[turnIndex];
+    const isAI = playerTypes[role.id] !== 'HUMAN';
     const prevData = getHistoryEntry(currentWeek - 1, role.id);
     const incomingShipment = getIncomingShipment(turnIndex, currentWeek);
     const incomingDemand = getIncomingDemand(turnIndex, currentWeek);
     const roleHistory = history.filter(h => h.roleId === role.id && h.week > 0 && h.week < currentWeek);
+    const shared = getSharedContext(game, turnIndex);
     
     return (
       <div className="min-h-screen bg-slate-900 text-slate-100 p-4">
         <div className="max-w-6xl mx-auto space-y-6">
           
-          {/* VISUALIZATION: GLOBAL VIEW */}
-          <SupplyChainMap currentWeek={currentWeek} history={history} />
+          {/* VISUALIZATION: GLOBAL VIEW (as far as the visibility mode allows) */}
+          <SupplyChainMap game={game} viewer={turnIndex} />
 
           <div className="max-w-xl mx-auto space-y-6">
             {/* Header */}
@@ -687,14 +1664,14 @@ export default function BeerGame() {
                   <Package className="w-4 h-4" /> <span>Current Stock</span>
                 </div>
                 <div className="text-3xl font-mono font-bold text-emerald-400">{prevData.inventory}</div>
-                <div className="text-xs text-slate-500 mt-1">Holding Cost: ${(prevData.inventory * CONFIG.costHolding).toFixed(2)}</div>
+                <div className="text-xs text-slate-500 mt-1">Holding Cost: ${(prevData.inventory * game.config.costHolding).toFixed(2)}</div>
               </div>
               <div className="bg-slate-800 p-4 rounded-xl border border-slate-700">
                 <div className="flex items-center gap-2 text-slate-400 mb-2">
                   <AlertCircle className="w-4 h-4" /> <span>Backlog</span>
                 </div>
                 <div className="text-3xl font-mono font-bold text-red-400">{prevData.backlog}</div>
-                <div className="text-xs text-slate-500 mt-1">Penalty Cost: ${(prevData.backlog * CONFIG.costBacklog).toFixed(2)}</div>
+                <div className="text-xs text-slate-500 mt-1">Penalty Cost: ${(prevData.backlog * game.config.costBacklog).toFixed(2)}</div>
               </div>
             </div>
 
@@ -719,27 +1696,67 @@ export default function BeerGame() {
               </div>
             </div>
 
+            {/* Shared point-of-sale data (the retailer sees it as its own incoming order) */}
+            {shared.consumerDemand && turnIndex > 0 && (
+              <div className="bg-slate-800/50 p-4 rounded-xl border border-slate-700">
+                <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3 flex items-center gap-2">
+                  <Eye className="w-4 h-4" /> Consumer Demand (Point of Sale)
+                </h3>
+                <div className="flex gap-2 overflow-x-auto">
+                  {shared.consumerDemand.map((demand, i) => ({ week: i + 1, demand })).slice(-8).map(({ week, demand }) => (
+                    <div key={week} className={`flex-1 min-w-[3rem] text-center rounded-lg p-2 ${week === currentWeek ? 'bg-amber-500/20 border border-amber-500/50' : 'bg-slate-800'}`}>
+                      <div className="text-[10px] text-slate-500">W{week}</div>
+                      <div className="font-mono font-bold text-white">{demand}</div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Scenario timeline and the events announced so far */}
+            {game.config.scenario?.events.length > 0 && (
+              <div className="bg-slate-800/50 p-4 rounded-xl border border-slate-700">
+                <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3 flex items-center gap-2">
+                  <Zap className="w-4 h-4" /> {game.config.scenario.name}
+                </h3>
+                <ScenarioTimeline
+                  scenario={game.config.scenario}
+                  totalWeeks={game.config.totalWeeks}
+                  currentWeek={currentWeek}
+                  targets={getScenarioOptions(game.config).targets}
+                  cellClassName="bg-slate-800"
+                  currentClassName="ring-2 ring-white"
+                  textClassName="text-slate-500"
+                  className="text-slate-300"
+                  showEvents={false}
+                />
+                {shared.events.length > 0 && (
+                  <div className="mt-3 pt-3 border-t border-slate-700 space-y-1">
+                    <p className="text-[10px] text-slate-400 uppercase font-bold tracking-wider">Activity Log</p>
+                    {shared.events.map((event, i) => (
+                      <p key={i} className={`text-xs ${event.week === currentWeek ? 'text-amber-400 font-bold' : 'text-slate-400'}`}>
+                        <span className="font-mono">W{event.week}</span> {event.text}
+                      </p>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* NEW: Historical Graphs (Only show after Week 1) */}
             {roleHistory.length > 0 && (
               <div className="grid grid-cols-2 gap-4">
                 {/* Order History Graph */}
                 <div className="bg-slate-800 p-3 rounded-xl border border-slate-700 flex flex-col">
                   <p className="text-[10px] text-slate-400 uppercase font-bold mb-2 tracking-wider">Your Order History</p>
-                  <div className="flex-1 min-h-[80px] flex items-end gap-1">
-                    {roleHistory.map(h => (
-                      <div key={h.week} className="flex-1 bg-amber-500/80 rounded-t-sm relative group hover:bg-amber-400 transition-colors" 
-                           style={{ height: `${Math.min((h.orderPlaced / 15) * 100, 100)}%` }}>
-                         {/* Tooltip */}
-                         <div className="opacity-0 group-hover:opacity-100 absolute bottom-full left-1/2 -translate-x-1/2 mb-1 bg-black text-[10px] px-1.5 py-0.5 rounded border border-slate-600 whitespace-nowrap z-10">
-                           W{h.week}: {h.orderPlaced}
-                         </div>
-                      </div>
-                    ))}
-                    {/* Placeholder for current week */}
-                    <div className="flex-1 bg-slate-700/30 rounded-t-sm h-full border-b border-slate-600 flex items-end justify-center">
-                      <span className="text-[8px] text-slate-500 mb-1">?</span>
-                    </div>
-                  </div>
+                  <ResponsiveContainer width="100%" height={96}>
+                    <ComposedChart data={roleHistory} margin={{ top: 4, right: 4, left: -28, bottom: 0 }}>
+                      <XAxis dataKey="week" stroke={CHART_AXIS} fontSize={9} tickLine={false} />
+                      <YAxis stroke={CHART_AXIS} fontSize={9} tickLine={false} allowDecimals={false} />
+                      <Tooltip contentStyle={CHART_TOOLTIP} labelFormatter={(week) => `Week ${week}`} cursor={{ fill: '#334155' }} />
+                      <Bar dataKey="orderPlaced" name="Ordered" fill="#f59e0b" radius={[2, 2, 0, 0]} />
+                    </ComposedChart>
+                  </ResponsiveContainer>
                 </div>
 
                 {/* Net Stock Graph */}
@@ -751,34 +1768,22 @@ export default function BeerGame() {
                        <div className="w-1.5 h-1.5 bg-red-500 rounded-full"></div>
                      </div>
                   </div>
-                  <div className="flex-1 min-h-[80px] relative flex items-center gap-1 border-t border-slate-600/30">
-                    <div className="absolute top-1/2 w-full h-px bg-slate-600/50"></div>
-                    {roleHistory.map(h => {
-                      const net = h.inventory - h.backlog;
-                      const isPos = net >= 0;
-                      // Scale: Max height at +/- 20 units
-                      const pct = Math.min((Math.abs(net) / 20) * 45, 45); 
-                      return (
-                        <div key={h.week} className="flex-1 h-full relative group">
-                          <div 
-                            className={`absolute w-full rounded-sm ${isPos ? 'bg-emerald-500/80' : 'bg-red-500/80'}`}
-                            style={{ 
-                              height: `${Math.max(pct, 2)}%`, // Minimum 2% visibility
-                              bottom: isPos ? '50%' : 'auto', 
-                              top: isPos ? 'auto' : '50%' 
-                            }}
-                          />
-                           <div className="opacity-0 group-hover:opacity-100 absolute top-0 left-1/2 -translate-x-1/2 bg-black text-[10px] px-1.5 py-0.5 rounded border border-slate-600 whitespace-nowrap z-10">
-                             {net}
-                           </div>
-                        </div>
-                      )
-                    })}
-                    {/* Placeholder for current week */}
-                    <div className="flex-1 h-full relative opacity-30">
-                        <div className="absolute top-1/2 left-0 right-0 h-4 -mt-2 border-l border-r border-slate-500"></div>
-                    </div>
-                  </div>
+                  <ResponsiveContainer width="100%" height={96}>
+                    <ComposedChart
+                      data={roleHistory.map(h => ({ week: h.week, net: h.inventory - h.backlog }))}
+                      margin={{ top: 4, right: 4, left: -28, bottom: 0 }}
+                    >
+                      <XAxis dataKey="week" stroke={CHART_AXIS} fontSize={9} tickLine={false} />
+                      <YAxis stroke={CHART_AXIS} fontSize={9} tickLine={false} allowDecimals={false} />
+                      <Tooltip contentStyle={CHART_TOOLTIP} labelFormatter={(week) => `Week ${week}`} cursor={{ fill: '#334155' }} />
+                      <ReferenceLine y={0} stroke={CHART_AXIS} />
+                      <Bar dataKey="net" name="Net Stock">
+                        {roleHistory.map(h => (
+                          <Cell key={h.week} fill={h.inventory - h.backlog < 0 ? NET_STOCK_COLORS.negative : NET_STOCK_COLORS.positive} />
+                        ))}
+                      </Bar>
+                    </ComposedChart>
+                  </ResponsiveContainer>
                 </div>
               </div>
             )}
@@ -786,17 +1791,18 @@ export default function BeerGame() {
             {/* Decision Area */}
             {isAI ? (
                  <div className="bg-slate-800 p-6 rounded-2xl border border-slate-600 shadow-lg mt-8 flex flex-col items-center justify-center min-h-[160px]">
-                    {isAIThinking && !orderInput ? (
+                    {/* Thinking until the agent's order is filled in */}
+                    {!orderInput ? (
                         <>
                             <Cpu className="w-10 h-10 text-amber-500 animate-pulse mb-3" />
-                            <h3 className="text-xl font-bold text-white mb-1">AI Agent is Thinking...</h3>
+                            <h3 className="text-xl font-bold text-white mb-1">{controllerLabel(role.id)} is Thinking...</h3>
                             <p className="text-slate-400 text-sm">Analyzing supply chain dynamics</p>
                         </>
                     ) : (
                         <>
                              <div className="flex items-center gap-3 mb-4">
                                 <Bot className="w-6 h-6 text-amber-500" />
-                                <span className="text-xl font-bold text-white">AI Decided: Order {orderInput}</span>
+                                <span className="text-xl font-bold text-white">{controllerLabel(role.id)} Decided: Order {orderInput}</span>
                              </div>
                              {aiReasoning && (
                                 <div className="bg-slate-900/50 p-4 rounded-lg border border-slate-700 w-full mb-4">
@@ -831,7 +1837,9 @@ export default function BeerGame() {
                     </button>
                 </div>
                 <p className="text-xs text-slate-500 mt-2">
-                    Note: This order will take {CONFIG.orderDelay} week(s) to reach them.
+                    {turnIndex === roles.length - 1
+                      ? `Note: Production takes ${describeDelay(getLinkTransit(game.config.transit, role.id).shippingDelay, game.config.shippingDelay)}.`
+                      : `Note: This order will take ${describeDelay(getLinkTransit(game.config.transit, role.id).orderDelay, game.config.orderDelay)} to reach them.`}
                 </p>
                 </form>
             )}
@@ -843,61 +1851,38 @@ export default function BeerGame() {
   }
 
   if (gameState === 'SUMMARY') {
-    const weekData = history.filter(h => h.week === currentWeek);
-    const totalWeekCost = weekData.reduce((acc, curr) => acc + curr.cost, 0);
-
     return (
       <div className="min-h-screen bg-slate-900 text-slate-100 p-6">
         <div className="max-w-4xl mx-auto">
           <h2 className="text-3xl font-bold mb-6 text-center">Week {currentWeek} Summary</h2>
           
-          <div className="overflow-x-auto bg-slate-800 rounded-xl border border-slate-700 mb-8">
-            <table className="w-full text-left border-collapse">
-              <thead>
-                <tr className="border-b border-slate-700 bg-slate-950/50">
-                  <th className="p-4 text-slate-400 font-medium">Role</th>
-                  <th className="p-4 text-slate-400 font-medium text-right">Inventory</th>
-                  <th className="p-4 text-slate-400 font-medium text-right">Backlog</th>
-                  <th className="p-4 text-slate-400 font-medium text-right">Ordered</th>
-                  <th className="p-4 text-slate-400 font-medium text-right">Cost</th>
-                </tr>
-              </thead>
-              <tbody>
-                {ROLES.map(role => {
-                  const data = weekData.find(d => d.roleId === role.id);
-                  return (
-                    <tr key={role.id} className="border-b border-slate-700 last:border-0 hover:bg-slate-700/30">
-                      <td className={`p-4 font-bold ${role.color}`}>{role.label}</td>
-                      <td className="p-4 text-right font-mono">{data.inventory}</td>
-                      <td className="p-4 text-right font-mono text-red-400">{data.backlog > 0 ? data.backlog : '-'}</td>
-                      <td className="p-4 text-right font-mono">{data.orderPlaced}</td>
-                      <td className="p-4 text-right font-mono text-amber-400">${data.cost.toFixed(2)}</td>
-                    </tr>
-                  );
-                })}
-                <tr className="bg-slate-950/30 font-bold">
-                  <td className="p-4" colSpan="4">Total Team Cost</td>
-                  <td className="p-4 text-right text-amber-500">${totalWeekCost.toFixed(2)}</td>
-                </tr>
-              </tbody>
-            </table>
-          </div>
+          <WeekSummaryTable
+            roles={roles}
+            history={history}
+            week={currentWeek}
+            showRoles={VISIBILITY_MODES[game.config.visibility].sharesChain}
+          />
 
           <div className="flex justify-center">
             <button 
               onClick={startNextWeek}
               className="bg-emerald-500 hover:bg-emerald-600 text-white font-bold py-3 px-8 rounded-xl shadow-lg flex items-center gap-2 transform transition-all hover:scale-105"
             >
-              {currentWeek === CONFIG.totalWeeks ? 'Finish Simulation' : 'Start Next Week'} <ArrowRight className="w-5 h-5" />
+              {currentWeek === game.config.totalWeeks ? 'Finish Simulation' : 'Start Next Week'} <ArrowRight className="w-5 h-5" />
             </button>
           </div>
+
+          <div className="flex justify-center mt-6">
+            <SaveControls onSave={(slotName) => persistGame(slotName)} />
+          </div>
         </div>
       </div>
     );
   }
 
   if (gameState === 'GAME_OVER') {
-    const totalCost = history.reduce((acc, curr) => acc + (curr.week > 0 ? curr.cost : 0), 0);
+    const totalCost = getTotalCost(game);
+    const producer = roles[roles.length - 1];
     
     return (
       <div className="min-h-screen bg-slate-900 text-slate-100 p-6 flex flex-col items-center">
@@ -908,6 +1893,11 @@ export default function BeerGame() {
               <p className="text-slate-400 uppercase tracking-widest text-sm mb-2">Total Supply Chain Cost</p>
               <p className="text-6xl font-mono font-bold text-amber-500">${totalCost.toFixed(2)}</p>
             </div>
+            {game.seed && (
+              <p className="text-slate-500 text-sm mt-4 flex items-center justify-center gap-2">
+                <Dices className="w-4 h-4" /> Seed <span className="font-mono text-slate-300">{game.seed}</span>
+              </p>
+            )}
           </div>
 
           {/* Main Bullwhip Reveal */}
@@ -916,141 +1906,144 @@ export default function BeerGame() {
               <TrendingUp className="text-red-500" /> The Bullwhip Effect Revealed
             </h2>
             <p className="text-slate-300 mb-6 leading-relaxed">
-              The "Consumer" only changed their order once! Demand was <strong>4</strong> units/week, 
-              then jumped to <strong>8</strong> units/week at Week 5. That's it.
+              {describeDemand(game.demand)}
               <br/><br/>
-              Compare that small change to the panic visible in the Manufacturer's orders below:
+              Compare that to the orders placed up the chain, all the way to the {producer.label} {roles.length - 1} echelons upstream. Click a legend entry to hide a line and drag the handles below the chart to zoom in on a range of weeks.
             </p>
 
-            <div className="h-48 flex items-end justify-between gap-1 mt-4 px-4 pb-4 border-b border-slate-600 relative">
-               {/* Simple CSS Bar Chart for Manufacturer Orders vs Consumer Demand */}
-               {Array.from({length: 20}, (_, i) => i + 1).map(w => {
-                 const manOrder = getHistoryEntry(w, 'manufacturer')?.orderPlaced || 0;
-                 const consDemand = getConsumerDemand(w);
-                 const hMan = Math.min(manOrder * 4, 100); 
-                 const hCons = Math.min(consDemand * 4, 100);
-
-                 return (
-                   <div key={w} className="flex-1 flex flex-col justify-end gap-1 group relative">
-                      <div className="opacity-0 group-hover:opacity-100 absolute bottom-full mb-2 left-1/2 -translate-x-1/2 bg-black text-xs p-2 rounded whitespace-nowrap z-10 pointer-events-none border border-slate-700">
-                        W{w}: Cons {consDemand}, Man {manOrder}
-                      </div>
-                      <div style={{height: `${hMan}%`}} className="w-full bg-emerald-500/80 rounded-t-sm transition-all hover:bg-emerald-400"></div>
-                      <div style={{bottom: `${hCons}%`}} className="absolute w-full h-1 bg-white shadow-[0_0_10px_white]"></div>
-                   </div>
-                 )
-               })}
-            </div>
-            <div className="flex justify-between text-xs text-slate-500 mt-2 px-1">
-               <span>Week 1</span>
-               <span>Week 10</span>
-               <span>Week 20</span>
-            </div>
-            <div className="flex justify-center gap-6 mt-4 text-sm">
-               <div className="flex items-center gap-2">
-                 <div className="w-4 h-1 bg-white"></div> <span>Consumer Demand</span>
-               </div>
-               <div className="flex items-center gap-2">
-                 <div className="w-4 h-4 bg-emerald-500/80 rounded-sm"></div> <span>Manufacturer Orders</span>
-               </div>
-            </div>
+            <ChainChart game={game} metric="orders" height={320} />
+          </div>
+
+          {/* Supply Chain KPIs */}
+          <div className="bg-slate-800 rounded-2xl p-8 border border-slate-700 mb-8">
+            <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
+              <Gauge className="text-amber-500" /> Supply Chain Metrics
+            </h2>
+            <MetricsTable
+              metrics={computeBeerGameMetrics(game)}
+              shockWeek={getGameShockWeek(game)}
+              className="text-slate-300"
+              headClassName="text-slate-400 text-xs uppercase border-b border-slate-600"
+              totalClassName="border-t border-slate-600 text-amber-400"
+            />
           </div>
 
           {/* Detailed Player Breakdown */}
           <h2 className="text-2xl font-bold mb-6 text-center text-slate-300">Detailed Player Analysis</h2>
-          <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 mb-12">
-            {ROLES.map(role => (
-              <div key={role.id} className={`bg-slate-800 rounded-xl border border-slate-700 p-6 ${role.border}`}>
-                <h3 className={`font-bold text-xl mb-6 flex items-center gap-2 ${role.color}`}>
-                   <span className={`w-3 h-3 rounded-full ${role.bg.replace('/20', '')}`}></span>
-                   {role.label}
-                   {playerTypes[role.id] === 'AI' && <Bot className="w-5 h-5 opacity-75" />}
-                </h3>
-                
-                {/* Orders Chart */}
-                <div className="mb-8">
-                  <div className="flex justify-between items-end mb-2">
-                    <p className="text-xs text-slate-400 uppercase tracking-wide font-bold">Orders Placed</p>
-                    <p className="text-xs text-slate-500">Max Scale: 20+</p>
-                  </div>
-                  <div className="h-32 flex items-end justify-between gap-1 border-b border-slate-600 pb-px">
-                    {Array.from({length: 20}, (_, i) => i + 1).map(w => {
-                      const entry = getHistoryEntry(w, role.id);
-                      const val = entry ? entry.orderPlaced : 0;
-                      // Dynamic scaling to look good even if orders are small
-                      const height = Math.min(val * 4, 100); 
-                      return (
-                         <div key={w} className="flex-1 bg-amber-500/80 hover:bg-amber-400 relative group rounded-t-sm transition-colors">
-                            <div style={{height: `${height}%`}} className="w-full bottom-0 absolute bg-amber-500 rounded-t-sm"></div>
-                            <div className="opacity-0 group-hover:opacity-100 absolute bottom-full mb-1 left-1/2 -translate-x-1/2 bg-slate-900 border border-slate-600 text-[10px] px-2 py-1 rounded z-10 pointer-events-none whitespace-nowrap">
-                              Week {w}: Ordered {val}
-                            </div>
-                         </div>
-                      );
-                    })}
-                  </div>
-                </div>
+          <RoleCharts game={game} playerTypes={playerTypes} />
 
-                {/* Inventory/Backlog Chart */}
-                <div>
-                   <div className="flex justify-between items-end mb-2">
-                    <p className="text-xs text-slate-400 uppercase tracking-wide font-bold">Net Stock Position</p>
-                    <div className="flex gap-3 text-xs">
-                        <span className="text-emerald-400">Inventory (+)</span>
-                        <span className="text-red-400">Backlog (-)</span>
-                    </div>
-                   </div>
-                   
-                   {/* Center line based chart */}
-                   <div className="h-32 relative border-t border-b border-slate-700 bg-slate-900/30">
-                     {/* Zero Line */}
-                     <div className="absolute top-1/2 left-0 right-0 h-px bg-slate-500/50 z-10"></div>
-                     
-                     <div className="absolute inset-0 flex items-center justify-between gap-1 px-1">
-                       {Array.from({length: 20}, (_, i) => i + 1).map(w => {
-                         const entry = getHistoryEntry(w, role.id);
-                         const inv = entry ? entry.inventory : 0;
-                         const backlog = entry ? entry.backlog : 0;
-                         const net = inv - backlog;
-                         
-                         // Scale logic: clamp at +/- 30 for visualization
-                         const MAX_SCALE = 30;
-                         const heightPct = Math.min((Math.abs(net) / MAX_SCALE) * 50, 50); 
-                         const isPositive = net >= 0;
-                         
-                         return (
-                           <div key={w} className="flex-1 h-full relative group">
-                               <div 
-                                 style={{ 
-                                   height: `${Math.max(heightPct, 1)}%`, // Ensure at least 1% visibility
-                                   bottom: isPositive ? '50%' : 'auto',
-                                   top: isPositive ? 'auto' : '50%'
-                                 }} 
-                                 className={`absolute w-full ${isPositive ? 'bg-emerald-500' : 'bg-red-500'} rounded-sm transition-opacity hover:opacity-80`}
-                               ></div>
-                               {/* Tooltip */}
-                               <div className="opacity-0 group-hover:opacity-100 absolute top-0 left-1/2 -translate-x-1/2 bg-slate-900 border border-slate-600 text-[10px] px-2 py-1 rounded z-20 pointer-events-none whitespace-nowrap shadow-xl">
-                                 Week {w}: {isPositive ? `Inv ${inv}` : `Backlog ${backlog}`}
-                               </div>
-                           </div>
-                         );
-                       })}
-                     </div>
-                   </div>
-                </div>
+          <div className="text-center pb-12">
+            <ExportButtons
+              buildSession={() => buildBeerGameSession(game, { playerTypes, ruleAgents })}
+              className="justify-center mb-6"
+              buttonClassName="bg-slate-800 hover:bg-slate-700 border border-slate-600 text-slate-200 py-2 px-4 rounded-lg text-sm"
+            />
+            <div className="flex justify-center gap-4">
+              <button 
+                onClick={() => startReplay({ game, playerTypes })}
+                className="bg-slate-800 hover:bg-slate-700 border border-slate-600 text-white font-bold py-3 px-8 rounded-xl shadow-lg flex items-center gap-2 transition-all hover:scale-105"
+              >
+                <Film className="w-5 h-5" /> Replay Game
+              </button>
+              <button 
+                onClick={handleStartSetup}
+                className="bg-slate-800 hover:bg-slate-700 border border-slate-600 text-white font-bold py-3 px-8 rounded-xl shadow-lg flex items-center gap-2 transition-all hover:scale-105"
+              >
+                <History className="w-5 h-5" /> Play Again
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (gameState === 'ONLINE') {
+    return (
+      <OnlineGame
+        hostSetup={onlineHost}
+        onFinished={handleOnlineFinished}
+        onExit={() => setGameState(onlineHost ? 'SETUP' : 'INTRO')}
+      />
+    );
+  }
+
+  if (gameState === 'FACILITATOR') {
+    return <FacilitatorDashboard setup={onlineHost} onExit={() => setGameState('SETUP')} />;
+  }
 
+  if (gameState === 'REPLAY') {
+    const lastWeek = getLastRecordedWeek(replay.game);
+    const frame = getReplayFrame(replay.game, replayWeek);
+    const replayRoles = styleRoles(frame.config.roles);
+    const isPlaying = isReplayPlaying && replayWeek < lastWeek;
+
+    return (
+      <div className="min-h-screen bg-slate-900 text-slate-100 p-4">
+        <div className="max-w-6xl mx-auto space-y-6">
+          <div className="flex justify-between items-center pb-4 border-b border-slate-700">
+            <div>
+              <div className="text-slate-400 text-xs uppercase tracking-widest flex items-center gap-2">
+                <Film className="w-4 h-4" /> Session Replay
               </div>
-            ))}
+              <div className="text-2xl font-bold text-white">Week {replayWeek} <span className="text-slate-500 text-lg">/ {lastWeek}</span></div>
+              {replay.exportedAt && (
+                <div className="text-xs text-slate-500">Exported {new Date(replay.exportedAt).toLocaleString()}</div>
+              )}
+            </div>
+            <div className="text-right">
+              <div className="text-slate-400 text-xs uppercase tracking-widest">Team Cost So Far</div>
+              <div className="text-2xl font-mono font-bold text-amber-500">${getTotalCost(frame).toFixed(2)}</div>
+            </div>
           </div>
 
-          <div className="text-center pb-12">
-            <button 
-              onClick={handleStartSetup}
-              className="bg-slate-800 hover:bg-slate-700 border border-slate-600 text-white font-bold py-3 px-8 rounded-xl shadow-lg flex items-center gap-2 mx-auto transition-all hover:scale-105"
+          {/* Playback Controls */}
+          <div className="bg-slate-800 border border-slate-700 rounded-xl p-4 flex items-center gap-4">
+            <button
+              onClick={() => stepReplay(-1)}
+              disabled={replayWeek <= 1}
+              className="p-2 rounded-lg bg-slate-900 hover:bg-slate-700 disabled:opacity-40 transition-colors"
+              title="Previous week"
+            >
+              <StepBack className="w-5 h-5" />
+            </button>
+            <button
+              onClick={toggleReplayPlayback}
+              className="p-3 rounded-full bg-amber-500 hover:bg-amber-600 text-slate-900 transition-colors"
+              title={isPlaying ? 'Pause' : 'Play'}
+            >
+              {isPlaying ? <Pause className="w-5 h-5" /> : <Play className="w-5 h-5" />}
+            </button>
+            <button
+              onClick={() => stepReplay(1)}
+              disabled={replayWeek >= lastWeek}
+              className="p-2 rounded-lg bg-slate-900 hover:bg-slate-700 disabled:opacity-40 transition-colors"
+              title="Next week"
             >
-              <History className="w-5 h-5" /> Play Again
+              <StepForward className="w-5 h-5" />
+            </button>
+            <input
+              type="range"
+              min="1"
+              max={lastWeek}
+              value={replayWeek}
+              onChange={(e) => { setIsReplayPlaying(false); setReplayWeek(Number(e.target.value)); }}
+              className="flex-1 accent-amber-500"
+            />
+            <button
+              onClick={() => { setIsReplayPlaying(false); setGameState('INTRO'); }}
+              className="bg-slate-900 hover:bg-slate-700 border border-slate-600 text-slate-200 text-sm font-bold px-4 py-2 rounded-lg transition-colors"
+            >
+              Exit Replay
             </button>
           </div>
+
+          <SupplyChainMap game={frame} />
+
+          <h2 className="text-xl font-bold text-center">Week {replayWeek} Summary</h2>
+          <WeekSummaryTable roles={replayRoles} history={frame.history} week={replayWeek} />
+
+          <RoleCharts game={frame} playerTypes={replay.playerTypes} />
         </div>
       </div>
     );
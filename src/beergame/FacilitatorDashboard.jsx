@@ -0,0 +1,394 @@
+import React, { useState } from 'react';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import {
+  Wifi,
+  WifiOff,
+  ArrowLeft,
+  LayoutGrid,
+  Pause,
+  Play,
+  Plus,
+  Zap,
+  Trophy,
+  Users,
+  AlertCircle,
+  Activity
+} from 'lucide-react';
+import { DEFAULT_SERVER_URL, useOnlineRoom } from './useOnlineRoom';
+
+// --- FACILITATOR DASHBOARD ---
+// Runs a class of teams on the multiplayer server: creates one room per team
+// with the setup screen's settings, follows every room live, pauses them and
+// injects demand shocks, and compares the teams as they finish. `setup`
+// ({ config, seed, ruleAgents }) is used for new rooms.
+
+const TEAM_COLORS = ['#f59e0b', '#60a5fa', '#34d399', '#c084fc', '#fb7185', '#22d3ee', '#fb923c', '#a3e635', '#f472b6', '#94a3b8'];
+const CHART_GRID = '#334155';
+const CHART_AXIS = '#64748b';
+const CHART_TOOLTIP = { backgroundColor: '#0f172a', borderColor: '#475569', fontSize: 12 };
+
+const teamName = (room) => room.team || `Room ${room.roomId}`;
+const formatMoney = (value) => `$${value.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+const formatRatio = (value) => (value === null ? '—' : `${value.toFixed(2)}×`);
+const formatPercent = (value) => (value === null ? '—' : `${(value * 100).toFixed(0)}%`);
+
+const RoomCard = ({ room, onTogglePause }) => {
+  const seated = room.roles.filter(role => role.player || role.isRule).length;
+  const waiting = room.roles.filter(role => !role.submitted).length;
+  const status = room.isOver
+    ? { label: 'Finished', className: 'bg-emerald-500/20 text-emerald-400' }
+    : room.paused
+      ? { label: 'Paused', className: 'bg-amber-500/20 text-amber-400' }
+      : { label: 'Playing', className: 'bg-blue-500/20 text-blue-400' };
+
+  return (
+    <div className="bg-slate-800 rounded-xl border border-slate-700 p-4 space-y-3">
+      <div className="flex justify-between items-start">
+        <div>
+          <div className="font-bold text-white">{teamName(room)}</div>
+          <div className="font-mono text-amber-400 text-lg tracking-widest">{room.roomId}</div>
+        </div>
+        <span className={`text-xs font-bold px-2 py-1 rounded-full ${status.className}`}>{status.label}</span>
+      </div>
+
+      <div>
+        <div className="flex justify-between text-xs text-slate-400 mb-1">
+          <span>Week {room.isOver ? room.totalWeeks : room.week} / {room.totalWeeks}</span>
+          <span>{room.weeksPlayed} played</span>
+        </div>
+        <div className="h-1.5 bg-slate-900 rounded-full overflow-hidden">
+          <div className="h-full bg-amber-500" style={{ width: `${(room.weeksPlayed / room.totalWeeks) * 100}%` }} />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 text-center">
+        <div className="bg-slate-900/50 rounded-lg p-2">
+          <div className="text-xs text-slate-500 uppercase">Total Cost</div>
+          <div className="font-mono font-bold text-amber-500">{formatMoney(room.totalCost)}</div>
+        </div>
+        <div className="bg-slate-900/50 rounded-lg p-2" title="Worst role: variance of orders placed / variance of demand received">
+          <div className="text-xs text-slate-500 uppercase">Bullwhip</div>
+          <div className="font-mono font-bold text-white">{formatRatio(room.bullwhipRatio)}</div>
+        </div>
+      </div>
+
+      <div className="flex justify-between items-center text-xs text-slate-400">
+        <span className="flex items-center gap-1"><Users className="w-3 h-3" /> {seated}/{room.roles.length} seated</span>
+        {!room.isOver && (
+          <>
+            <span>{waiting === 0 ? 'Playing week…' : `Waiting for ${waiting}`}</span>
+            <button
+              onClick={onTogglePause}
+              className="text-slate-300 hover:text-white bg-slate-700 hover:bg-slate-600 rounded-md px-2 py-1 flex items-center gap-1"
+            >
+              {room.paused ? <><Play className="w-3 h-3" /> Resume</> : <><Pause className="w-3 h-3" /> Pause</>}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Teams ranked by total cost, with the cost race and bullwhip side by side
+const Leaderboard = ({ rooms }) => {
+  const ranked = [...rooms].sort((a, b) => a.totalCost - b.totalCost);
+  const allOver = rooms.every(room => room.isOver);
+  const lastWeek = Math.max(...rooms.map(room => room.weeksPlayed));
+  const costData = Array.from({ length: lastWeek }, (_, i) => {
+    const row = { week: i + 1 };
+    rooms.forEach(room => { row[room.roomId] = room.costByWeek[i]; });
+    return row;
+  });
+  const bullwhipData = ranked.map(room => ({ team: teamName(room), bullwhip: room.bullwhipRatio ?? 0 }));
+
+  return (
+    <div className="bg-slate-800 rounded-xl border border-slate-700 p-6 space-y-6">
+      <h2 className="text-lg font-bold text-white flex items-center gap-2">
+        <Trophy className="w-5 h-5 text-amber-500" /> {allOver ? 'Final Leaderboard' : 'Standings'}
+      </h2>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-right">
+          <thead>
+            <tr className="text-slate-400 text-xs uppercase bg-slate-950/50">
+              <th className="p-2 text-left">#</th>
+              <th className="p-2 text-left">Team</th>
+              <th className="p-2">Weeks</th>
+              <th className="p-2">Total Cost</th>
+              <th className="p-2">Bullwhip</th>
+              <th className="p-2">Fill Rate</th>
+            </tr>
+          </thead>
+          <tbody className="font-mono">
+            {ranked.map((room, index) => (
+              <tr key={room.roomId} className="border-t border-slate-700">
+                <td className="p-2 text-left">{index + 1}</td>
+                <td className="p-2 text-left font-sans font-bold text-white">{teamName(room)} <span className="text-slate-500 font-mono font-normal">{room.roomId}</span></td>
+                <td className="p-2">{room.weeksPlayed}/{room.totalWeeks}</td>
+                <td className="p-2 text-amber-400">{formatMoney(room.totalCost)}</td>
+                <td className="p-2">{formatRatio(room.bullwhipRatio)}</td>
+                <td className="p-2">{formatPercent(room.fillRate)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!allOver && <p className="text-xs text-slate-500 mt-2">Teams are still playing; compare costs at the same week in the chart below.</p>}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-sm font-semibold text-slate-400 uppercase mb-2">Cumulative Cost</h3>
+          <ResponsiveContainer width="100%" height={260}>
+            <LineChart data={costData} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke={CHART_GRID} />
+              <XAxis dataKey="week" stroke={CHART_AXIS} fontSize={12} />
+              <YAxis stroke={CHART_AXIS} fontSize={12} />
+              <Tooltip contentStyle={CHART_TOOLTIP} labelFormatter={(week) => `Week ${week}`} formatter={(value) => formatMoney(value)} />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+              {rooms.map((room, index) => (
+                <Line
+                  key={room.roomId}
+                  type="monotone"
+                  dataKey={room.roomId}
+                  name={teamName(room)}
+                  stroke={TEAM_COLORS[index % TEAM_COLORS.length]}
+                  strokeWidth={2}
+                  dot={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div>
+          <h3 className="text-sm font-semibold text-slate-400 uppercase mb-2">Bullwhip Ratio</h3>
+          <ResponsiveContainer width="100%" height={260}>
+            <BarChart data={bullwhipData} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke={CHART_GRID} />
+              <XAxis dataKey="team" stroke={CHART_AXIS} fontSize={12} />
+              <YAxis stroke={CHART_AXIS} fontSize={12} />
+              <Tooltip contentStyle={CHART_TOOLTIP} formatter={(value) => formatRatio(value)} />
+              <Bar dataKey="bullwhip" name="Bullwhip" fill="#f59e0b" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default function FacilitatorDashboard({ setup, onExit }) {
+  const server = useOnlineRoom();
+  const [serverUrl, setServerUrl] = useState(DEFAULT_SERVER_URL);
+  const [token, setToken] = useState('');
+  const [teamCount, setTeamCount] = useState('4');
+  const [shockAmount, setShockAmount] = useState('8');
+  const [shockWeeks, setShockWeeks] = useState('');
+  const [shockTarget, setShockTarget] = useState('all');
+  const rooms = server.dashboard;
+
+  const handleExit = () => {
+    server.disconnect();
+    onExit();
+  };
+
+  const handleInject = (e) => {
+    e.preventDefault();
+    const amount = parseInt(shockAmount, 10);
+    const weeks = shockWeeks === '' ? null : parseInt(shockWeeks, 10);
+    if (Number.isNaN(amount) || Number.isNaN(weeks)) return;
+    server.injectDemand(shockTarget === 'all' ? undefined : [shockTarget], { amount, weeks });
+  };
+
+  const header = (
+    <div className="flex justify-between items-center pb-4 mb-6 border-b border-slate-700">
+      <button onClick={handleExit} className="text-slate-400 hover:text-white text-sm flex items-center gap-1">
+        <ArrowLeft className="w-4 h-4" /> Back
+      </button>
+      <div className="flex items-center gap-2 text-xs text-slate-400">
+        {server.status === 'connected' ? <Wifi className="w-4 h-4 text-emerald-400" /> : <WifiOff className="w-4 h-4 text-slate-500" />}
+        {server.status === 'connected' ? 'Connected' : server.status === 'connecting' ? 'Connecting…' : 'Offline'}
+      </div>
+    </div>
+  );
+
+  const errorLine = server.error && (
+    <p className="text-sm text-red-400 mt-4 flex items-center gap-2"><AlertCircle className="w-4 h-4" /> {server.error}</p>
+  );
+
+  // --- Connect ---
+  if (!rooms) {
+    return (
+      <div className="min-h-screen bg-slate-900 text-slate-100 flex items-center justify-center p-6">
+        <div className="max-w-md w-full bg-slate-800 p-8 rounded-2xl shadow-2xl border border-slate-700">
+          {header}
+          <h1 className="text-2xl font-bold text-white mb-6 flex items-center gap-2">
+            <LayoutGrid className="w-6 h-6 text-amber-500" /> Facilitator Dashboard
+          </h1>
+          <label className="block text-xs text-slate-400 uppercase font-bold mb-1">Game Server</label>
+          <input
+            type="text"
+            value={serverUrl}
+            onChange={(e) => setServerUrl(e.target.value)}
+            className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 mb-4 font-mono text-sm focus:ring-2 focus:ring-amber-500 focus:outline-none"
+          />
+          <label className="block text-xs text-slate-400 uppercase font-bold mb-1">Facilitator Token</label>
+          <input
+            type="text"
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+            className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 mb-4 font-mono text-sm focus:ring-2 focus:ring-amber-500 focus:outline-none"
+          />
+          <p className="text-sm text-slate-400 mb-4">
+            Shows every room on the server. Start it with <code className="text-amber-400">npm run server</code> on this machine or the classroom network; it prints the facilitator token when it starts.
+          </p>
+          <button
+            onClick={() => server.facilitate(serverUrl, token.trim())}
+            disabled={server.status === 'connecting' || !token.trim()}
+            className="w-full bg-amber-500 hover:bg-amber-600 disabled:opacity-50 text-slate-900 font-bold py-3 rounded-xl transition-colors"
+          >
+            Open Dashboard
+          </button>
+          {errorLine}
+        </div>
+      </div>
+    );
+  }
+
+  const running = rooms.filter(r => !r.isOver);
+  const events = rooms
+    .flatMap(r => r.events.map(event => ({ ...event, team: teamName(r), roomId: r.roomId })))
+    .sort((a, b) => b.week - a.week);
+  const count = parseInt(teamCount, 10);
+
+  return (
+    <div className="min-h-screen bg-slate-900 text-slate-100 p-4">
+      <div className="max-w-7xl mx-auto">
+        {header}
+        <div className="flex flex-wrap justify-between items-end gap-4 mb-6">
+          <h1 className="text-3xl font-bold text-white flex items-center gap-3">
+            <LayoutGrid className="w-7 h-7 text-amber-500" /> Facilitator Dashboard
+          </h1>
+          <div className="text-slate-400 text-sm">
+            {rooms.length} {rooms.length === 1 ? 'room' : 'rooms'} · {running.length} running
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 mb-6">
+          <div className="bg-slate-800 rounded-xl border border-slate-700 p-4">
+            <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3">New Teams</h3>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min="1"
+                max="30"
+                value={teamCount}
+                onChange={(e) => setTeamCount(e.target.value)}
+                className="w-20 bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 font-mono focus:ring-2 focus:ring-amber-500 focus:outline-none"
+              />
+              <button
+                onClick={() => server.createRooms(count, setup)}
+                disabled={!setup || Number.isNaN(count) || count < 1}
+                className="flex-1 bg-emerald-500 hover:bg-emerald-600 disabled:opacity-50 text-white font-bold rounded-lg transition-colors flex items-center justify-center gap-2"
+              >
+                <Plus className="w-4 h-4" /> Create Rooms
+              </button>
+            </div>
+            <p className="text-xs text-slate-500 mt-2">
+              {setup ? 'Rooms use the setup screen\'s settings and share one seed, so every team faces the same demand.' : 'Open the dashboard from the setup screen to create rooms.'}
+            </p>
+          </div>
+
+          <div className="bg-slate-800 rounded-xl border border-slate-700 p-4">
+            <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3">All Games</h3>
+            <div className="flex gap-2">
+              <button
+                onClick={() => server.setPaused(undefined, true)}
+                disabled={running.length === 0}
+                className="flex-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-white font-bold py-2 rounded-lg transition-colors flex items-center justify-center gap-2"
+              >
+                <Pause className="w-4 h-4" /> Pause All
+              </button>
+              <button
+                onClick={() => server.setPaused(undefined, false)}
+                disabled={running.length === 0}
+                className="flex-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-white font-bold py-2 rounded-lg transition-colors flex items-center justify-center gap-2"
+              >
+                <Play className="w-4 h-4" /> Resume All
+              </button>
+            </div>
+            <p className="text-xs text-slate-500 mt-2">Paused teams keep their seats but cannot order until resumed.</p>
+          </div>
+
+          <form onSubmit={handleInject} className="bg-slate-800 rounded-xl border border-slate-700 p-4">
+            <h3 className="text-sm font-semibold text-slate-400 uppercase mb-3 flex items-center gap-2">
+              <Zap className="w-4 h-4 text-amber-500" /> Inject Demand Shock
+            </h3>
+            <div className="grid grid-cols-3 gap-2">
+              <input
+                type="number"
+                min="0"
+                value={shockAmount}
+                onChange={(e) => setShockAmount(e.target.value)}
+                title="Consumer demand per week"
+                className="bg-slate-900 border border-slate-700 rounded-lg px-2 py-2 font-mono text-sm focus:ring-2 focus:ring-amber-500 focus:outline-none"
+              />
+              <input
+                type="number"
+                min="1"
+                value={shockWeeks}
+                onChange={(e) => setShockWeeks(e.target.value)}
+                placeholder="Weeks"
+                title="How long it lasts (blank = until the end)"
+                className="bg-slate-900 border border-slate-700 rounded-lg px-2 py-2 font-mono text-sm focus:ring-2 focus:ring-amber-500 focus:outline-none"
+              />
+              <select
+                value={shockTarget}
+                onChange={(e) => setShockTarget(e.target.value)}
+                className="bg-slate-900 border border-slate-700 rounded-lg px-2 py-2 text-sm focus:ring-2 focus:ring-amber-500 focus:outline-none"
+              >
+                <option value="all">All rooms</option>
+                {running.map(r => <option key={r.roomId} value={r.roomId}>{teamName(r)}</option>)}
+              </select>
+            </div>
+            <button
+              type="submit"
+              disabled={shockAmount === '' || running.length === 0}
+              className="mt-2 w-full bg-amber-500 hover:bg-amber-600 disabled:opacity-50 text-slate-900 font-bold py-2 rounded-lg transition-colors"
+            >
+              Inject
+            </button>
+            <p className="text-xs text-slate-500 mt-2">Consumer demand changes from each team's next week.</p>
+          </form>
+        </div>
+        {errorLine}
+
+        {rooms.length === 0 ? (
+          <p className="text-slate-500 text-center py-12">No rooms yet. Create one per team above; teams join with the room code.</p>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+            {rooms.map(r => (
+              <RoomCard key={r.roomId} room={r} onTogglePause={() => server.setPaused([r.roomId], !r.paused)} />
+            ))}
+          </div>
+        )}
+
+        {events.length > 0 && (
+          <div className="bg-slate-800 rounded-xl border border-slate-700 p-4 mb-6">
+            <h3 className="text-sm font-semibold text-slate-400 uppercase mb-2 flex items-center gap-2">
+              <Activity className="w-4 h-4" /> Injected Events
+            </h3>
+            <ul className="text-sm space-y-1">
+              {events.map((event, index) => (
+                <li key={index} className="text-slate-300">
+                  <span className="font-mono text-slate-500">Wk {event.week}</span> · <span className="font-bold">{event.team}</span> · {event.label}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {rooms.some(r => r.weeksPlayed > 0) && <Leaderboard rooms={rooms} />}
+      </div>
+    </div>
+  );
+}
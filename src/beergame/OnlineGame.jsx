@@ -0,0 +1,386 @@
+import React, { useState } from 'react';
+import {
+  Wifi,
+  WifiOff,
+  LogIn,
+  Users,
+  Package,
+  AlertCircle,
+  Truck,
+  ShoppingCart,
+  CheckCircle2,
+  Clock,
+  Cpu,
+  ArrowLeft,
+  TrendingUp,
+  Eye,
+  Pause,
+  Zap
+} from 'lucide-react';
+import { VISIBILITY_MODES, restoreGame } from './engine';
+import { DEFAULT_SERVER_URL, useOnlineRoom } from './useOnlineRoom';
+
+// --- ONLINE MULTIPLAYER ---
+// One browser per role. The server holds the game; this screen only shows the
+// seat's own numbers and sends its order. `hostSetup` ({ config, seed,
+// ruleAgents }) creates a new room, otherwise the player joins one by code.
+
+const RoomRoles = ({ view, onTakeSeat }) => (
+  <div className="space-y-2">
+    {view.roles.map(role => (
+      <div key={role.id} className="flex items-center justify-between bg-slate-900/50 border border-slate-700 rounded-lg p-3">
+        <div>
+          <div className="font-bold text-white">{role.label}</div>
+          <div className="text-xs text-slate-500 flex items-center gap-1">
+            {role.isRule ? <><Cpu className="w-3 h-3" /> Rule agent</> : (role.player || 'Open seat')}
+          </div>
+        </div>
+        {role.submitted ? (
+          <span title="Ordered this week"><CheckCircle2 className="w-5 h-5 text-emerald-400" /></span>
+        ) : onTakeSeat && !role.isRule && !role.player ? (
+          <button
+            onClick={() => onTakeSeat(role.id)}
+            className="bg-amber-500 hover:bg-amber-600 text-slate-900 text-xs font-bold px-3 py-1.5 rounded-md transition-colors flex items-center gap-1"
+          >
+            <LogIn className="w-3 h-3" /> Take Seat
+          </button>
+        ) : (
+          <span title="Still deciding"><Clock className="w-5 h-5 text-slate-600" /></span>
+        )}
+      </div>
+    ))}
+  </div>
+);
+
+export default function OnlineGame({ hostSetup, onFinished, onExit }) {
+  const room = useOnlineRoom();
+  const [serverUrl, setServerUrl] = useState(DEFAULT_SERVER_URL);
+  const [roomCode, setRoomCode] = useState('');
+  const [playerName, setPlayerName] = useState('');
+  const [orderInput, setOrderInput] = useState('');
+  const { view } = room;
+
+  const handleExit = () => {
+    room.disconnect();
+    onExit();
+  };
+
+  const handleOrder = (e) => {
+    e.preventDefault();
+    const amount = parseInt(orderInput, 10);
+    if (Number.isNaN(amount) || amount < 0) return;
+    room.submitOrder(amount);
+    setOrderInput('');
+  };
+
+  const finish = () => {
+    const playerTypes = Object.fromEntries(view.roles.map(role => [role.id, role.isRule ? 'RULE' : 'HUMAN']));
+    room.disconnect();
+    onFinished(restoreGame(view.game), playerTypes);
+  };
+
+  const header = (
+    <div className="flex justify-between items-center pb-4 mb-6 border-b border-slate-700">
+      <button onClick={handleExit} className="text-slate-400 hover:text-white text-sm flex items-center gap-1">
+        <ArrowLeft className="w-4 h-4" /> Leave
+      </button>
+      <div className="flex items-center gap-2 text-xs text-slate-400">
+        {room.status === 'connected' ? <Wifi className="w-4 h-4 text-emerald-400" /> : <WifiOff className="w-4 h-4 text-slate-500" />}
+        {room.status === 'connected' ? 'Connected' : room.status === 'connecting' ? 'Connecting…' : 'Offline'}
+        {view && <span className="font-mono text-amber-400 ml-2">Room {view.roomId}</span>}
+      </div>
+    </div>
+  );
+
+  const errorLine = room.error && (
+    <p className="text-sm text-red-400 mt-4 flex items-center gap-2"><AlertCircle className="w-4 h-4" /> {room.error}</p>
+  );
+
+  // --- Connect: create or join a room ---
+  if (!view) {
+    const canJoin = roomCode.trim() !== '';
+    return (
+      <div className="min-h-screen bg-slate-900 text-slate-100 flex items-center justify-center p-6">
+        <div className="max-w-md w-full bg-slate-800 p-8 rounded-2xl shadow-2xl border border-slate-700">
+          {header}
+          <h1 className="text-2xl font-bold text-white mb-6 flex items-center gap-2">
+            <Users className="w-6 h-6 text-amber-500" /> {hostSetup ? 'Host Online Room' : 'Join Online Game'}
+          </h1>
+          <label className="block text-xs text-slate-400 uppercase font-bold mb-1">Game Server</label>
+          <input
+            type="text"
+            value={serverUrl}
+            onChange={(e) => setServerUrl(e.target.value)}
+            className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 mb-4 font-mono text-sm focus:ring-2 focus:ring-amber-500 focus:outline-none"
+          />
+          {hostSetup ? (
+            <>
+              <p className="text-sm text-slate-400 mb-4">
+                Creates a room with the settings from the setup screen. Rule players are run by the server; every other role is an open seat for a participant.
+              </p>
+              <button
+                onClick={() => room.createRoom(serverUrl, hostSetup)}
+                disabled={room.status === 'connecting'}
+                className="w-full bg-emerald-500 hover:bg-emerald-600 disabled:opacity-50 text-white font-bold py-3 rounded-xl transition-colors"
+              >
+                Create Room
+              </button>
+            </>
+          ) : (
+            <>
+              <label className="block text-xs text-slate-400 uppercase font-bold mb-1">Room Code</label>
+              <input
+                type="text"
+                value={roomCode}
+                onChange={(e) => setRoomCode(e.target.value.toUpperCase())}
+                placeholder="e.g. K7QX"
+                className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 mb-4 font-mono text-lg tracking-widest focus:ring-2 focus:ring-amber-500 focus:outline-none"
+              />
+              <button
+                onClick={() => room.joinRoom(serverUrl, roomCode.trim())}
+                disabled={!canJoin || room.status === 'connecting'}
+                className="w-full bg-amber-500 hover:bg-amber-600 disabled:opacity-50 text-slate-900 font-bold py-3 rounded-xl transition-colors"
+              >
+                Join Room
+              </button>
+            </>
+          )}
+          {errorLine}
+        </div>
+      </div>
+    );
+  }
+
+  // --- Game over: hand the full game to the regular debrief ---
+  if (view.isOver) {
+    return (
+      <div className="min-h-screen bg-slate-900 text-slate-100 flex items-center justify-center p-6">
+        <div className="max-w-md w-full bg-slate-800 p-8 rounded-2xl shadow-2xl border border-slate-700 text-center">
+          <TrendingUp className="w-12 h-12 text-amber-500 mx-auto mb-4" />
+          <h1 className="text-3xl font-bold text-white mb-2">Game Complete</h1>
+          <p className="text-slate-400 mb-6">All {view.totalWeeks} weeks have been played. Now see what everybody else was doing.</p>
+          <button
+            onClick={finish}
+            className="w-full bg-amber-500 hover:bg-amber-600 text-slate-900 font-bold py-3 rounded-xl transition-colors"
+          >
+            See Results
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // --- Lobby: pick a seat, or watch the room ---
+  if (!view.roleId) {
+    return (
+      <div className="min-h-screen bg-slate-900 text-slate-100 flex items-center justify-center p-6">
+        <div className="max-w-md w-full bg-slate-800 p-8 rounded-2xl shadow-2xl border border-slate-700">
+          {header}
+          <div className="text-center mb-6">
+            <p className="text-slate-400 text-xs uppercase tracking-widest">Room Code</p>
+            <p className="text-5xl font-mono font-bold text-amber-500 tracking-widest">{view.roomId}</p>
+            <p className="text-slate-500 text-sm mt-2">Week {view.week} / {view.totalWeeks}</p>
+          </div>
+          <label className="block text-xs text-slate-400 uppercase font-bold mb-1">Your Name</label>
+          <input
+            type="text"
+            value={playerName}
+            onChange={(e) => setPlayerName(e.target.value)}
+            placeholder="Optional"
+            className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 mb-4 focus:ring-2 focus:ring-amber-500 focus:outline-none"
+          />
+          <RoomRoles view={view} onTakeSeat={(roleId) => room.joinRoom(serverUrl, view.roomId, roleId, playerName)} />
+          {errorLine}
+        </div>
+      </div>
+    );
+  }
+
+  // --- Playing one role ---
+  const me = view.roles.find(role => role.id === view.roleId);
+  const { role, shared } = view;
+  const roleIndex = view.roles.indexOf(me);
+  const waitingFor = view.roles.filter(r => !r.submitted).length;
+
+  return (
+    <div className="min-h-screen bg-slate-900 text-slate-100 p-4">
+      <div className="max-w-4xl mx-auto">
+        {header}
+        <div className="flex justify-between items-end mb-6">
+          <div>
+            <div className="text-slate-400 text-xs uppercase tracking-widest">You are the</div>
+            <div className="text-3xl font-bold text-white">{me.label}</div>
+          </div>
+          <div className="text-right">
+            <div className="text-slate-400 text-xs uppercase tracking-widest">Week</div>
+            <div className="text-3xl font-bold text-white">{view.week} <span className="text-slate-500 text-lg">/ {view.totalWeeks}</span></div>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="md:col-span-2 space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="bg-slate-800 p-4 rounded-xl border border-slate-700">
+                <div className="flex items-center gap-2 text-slate-400 mb-2"><Package className="w-4 h-4" /> Current Stock</div>
+                <div className="text-3xl font-mono font-bold text-emerald-400">{role.inventory}</div>
+              </div>
+              <div className="bg-slate-800 p-4 rounded-xl border border-slate-700">
+                <div className="flex items-center gap-2 text-slate-400 mb-2"><AlertCircle className="w-4 h-4" /> Backlog</div>
+                <div className="text-3xl font-mono font-bold text-red-400">{role.backlog}</div>
+              </div>
+            </div>
+
+            <div className="bg-slate-800/50 p-4 rounded-xl border border-slate-700 space-y-3">
+              <h3 className="text-sm font-semibold text-slate-400 uppercase">This Week's Flow</h3>
+              <div className="flex items-center justify-between bg-slate-800 p-3 rounded-lg border-l-4 border-emerald-500">
+                <span className="flex items-center gap-3"><Truck className="w-5 h-5 text-emerald-500" /> Incoming Shipment</span>
+                <span className="text-xl font-bold text-white">+{role.incomingShipment}</span>
+              </div>
+              <div className="flex items-center justify-between bg-slate-800 p-3 rounded-lg border-l-4 border-amber-500">
+                <span className="flex items-center gap-3"><ShoppingCart className="w-5 h-5 text-amber-500" /> Incoming Order</span>
+                <span className="text-xl font-bold text-white">-{role.incomingDemand}</span>
+              </div>
+              <div className="bg-slate-800 p-3 rounded-lg border-l-4 border-slate-500 text-sm">
+                <div className="flex items-center justify-between">
+                  <span className="text-slate-400">On order</span>
+                  <span className="font-mono font-bold text-white">{role.pipeline.onOrder}</span>
+                </div>
+                <div className="flex items-center justify-between">
+                  <span className="text-slate-400">Inventory position</span>
+                  <span className={`font-mono font-bold ${role.pipeline.inventoryPosition < 0 ? 'text-red-400' : 'text-white'}`}>{role.pipeline.inventoryPosition}</span>
+                </div>
+                {role.pipeline.shipments.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {role.pipeline.shipments.map((batch, i) => (
+                      <span key={i} className="text-[10px] font-mono px-1.5 rounded border bg-slate-900 border-slate-700 text-emerald-400">
+                        {batch.amount}<span className="text-slate-500">@W{batch.arrivalWeek}</span>
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {view.paused ? (
+              <div className="bg-slate-800 p-6 rounded-2xl border border-amber-500/50 text-center">
+                <p className="text-amber-400 font-bold flex items-center justify-center gap-2"><Pause className="w-5 h-5" /> Paused by the facilitator</p>
+                <p className="text-slate-500 text-sm mt-1">Ordering resumes when the facilitator continues the game.</p>
+              </div>
+            ) : role.submittedOrder === null ? (
+              <form onSubmit={handleOrder} className="bg-slate-800 p-6 rounded-2xl border border-slate-600 flex gap-3">
+                <input
+                  type="number"
+                  min="0"
+                  value={orderInput}
+                  onChange={(e) => setOrderInput(e.target.value)}
+                  placeholder="Order quantity"
+                  autoFocus
+                  className="flex-1 bg-slate-900 border border-slate-600 rounded-xl px-4 py-3 text-2xl font-mono focus:ring-2 focus:ring-amber-500 focus:outline-none"
+                />
+                <button
+                  type="submit"
+                  disabled={orderInput === ''}
+                  className="bg-amber-500 hover:bg-amber-600 disabled:opacity-50 text-slate-900 font-bold px-6 rounded-xl transition-colors"
+                >
+                  Place Order
+                </button>
+              </form>
+            ) : (
+              <div className="bg-slate-800 p-6 rounded-2xl border border-slate-600 text-center">
+                <p className="text-slate-300">You ordered <span className="font-mono font-bold text-amber-400">{role.submittedOrder}</span> this week.</p>
+                <p className="text-slate-500 text-sm mt-1">Waiting for {waitingFor} more {waitingFor === 1 ? 'role' : 'roles'}…</p>
+              </div>
+            )}
+            {errorLine}
+
+            {role.history.length > 0 && (
+              <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+                <table className="w-full text-sm text-right">
+                  <thead>
+                    <tr className="text-slate-400 text-xs uppercase bg-slate-950/50">
+                      <th className="p-2 text-left">Week</th>
+                      <th className="p-2">Inventory</th>
+                      <th className="p-2">Backlog</th>
+                      <th className="p-2">Ordered</th>
+                      <th className="p-2">Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody className="font-mono">
+                    {[...role.history].reverse().map(h => (
+                      <tr key={h.week} className="border-t border-slate-700">
+                        <td className="p-2 text-left">{h.week}</td>
+                        <td className="p-2">{h.inventory}</td>
+                        <td className="p-2 text-red-400">{h.backlog || '-'}</td>
+                        <td className="p-2">{h.orderPlaced}</td>
+                        <td className="p-2 text-amber-400">${h.cost.toFixed(2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-4">
+            <div className="bg-slate-800 p-4 rounded-xl border border-slate-700">
+              <div className="text-slate-400 text-xs uppercase tracking-widest">Your Cost So Far</div>
+              <div className="text-2xl font-mono font-bold text-amber-500">${role.totalCost.toFixed(2)}</div>
+            </div>
+            <div>
+              <h3 className="text-sm font-semibold text-slate-400 uppercase mb-2">This Week's Orders</h3>
+              <RoomRoles view={view} />
+            </div>
+            <div className="bg-slate-800 p-4 rounded-xl border border-slate-700 space-y-3">
+              <div className="text-slate-400 text-xs uppercase tracking-widest flex items-center gap-2">
+                <Eye className="w-4 h-4" /> {VISIBILITY_MODES[shared.visibility].label}
+              </div>
+              {shared.consumerDemand && roleIndex > 0 && (
+                <div>
+                  <div className="text-xs text-slate-500 mb-1">Consumer demand (point of sale)</div>
+                  <div className="font-mono text-sm text-white">{shared.consumerDemand.slice(-8).join(' · ')}</div>
+                </div>
+              )}
+              {shared.chain && (
+                <table className="w-full text-xs text-right">
+                  <thead>
+                    <tr className="text-slate-500">
+                      <th className="text-left font-normal">Last week</th>
+                      <th className="font-normal">Inv</th>
+                      <th className="font-normal">Backlog</th>
+                      <th className="font-normal">Ordered</th>
+                    </tr>
+                  </thead>
+                  <tbody className="font-mono">
+                    {shared.chain.map(r => (
+                      <tr key={r.roleId} className={r.roleId === view.roleId ? 'text-amber-400' : 'text-slate-300'}>
+                        <td className="text-left font-sans">{r.label}</td>
+                        <td>{r.inventory}</td>
+                        <td>{r.backlog}</td>
+                        <td>{r.orderPlaced}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {!shared.chain && !(shared.consumerDemand && roleIndex > 0) && (
+                <p className="text-xs text-slate-500">You only see your own numbers.</p>
+              )}
+            </div>
+            {shared.events.length > 0 && (
+              <div className="bg-slate-800 p-4 rounded-xl border border-slate-700 space-y-1">
+                <div className="text-slate-400 text-xs uppercase tracking-widest flex items-center gap-2 mb-2">
+                  <Zap className="w-4 h-4" /> Activity Log
+                </div>
+                {shared.events.map((event, i) => (
+                  <p key={i} className={`text-xs ${event.week === view.week ? 'text-amber-400 font-bold' : 'text-slate-400'}`}>
+                    <span className="font-mono">W{event.week}</span> {event.text}
+                  </p>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+// --- HEADLESS BATCH RUNNER ---
+// Plays complete Beer Game sessions without the UI, using scripted policies
+// for every role, and flattens the results for CSV/JSON output.
+
+import { createGame, getRoleObservation, getRoles, getTotalCost, isGameOver, step } from './engine.js';
+import { createPolicy } from './policies.js';
+import { toCSV } from '../shared/csv.js';
+
+// Accepts a policy function, a policy name or { name, params } per role.
+const resolvePolicy = (spec) => {
+  if (typeof spec === 'function') return spec;
+  if (typeof spec === 'string') return createPolicy(spec);
+  return createPolicy(spec.name, spec.params);
+};
+
+// `policies` maps role id -> policy spec, with an optional `default` entry.
+export const playGame = ({ config = {}, policies, seed }) => {
+  let state = createGame(config, { seed });
+  const roles = getRoles(state);
+  const rolePolicies = roles.map(role => {
+    const spec = policies[role.id] ?? policies.default;
+    if (!spec) throw new Error(`No policy configured for ${role.label}`);
+    return resolvePolicy(spec);
+  });
+
+  while (!isGameOver(state)) {
+    // Observations only look at previous weeks, so every role can decide
+    // from the start-of-week state.
+    const current = state;
+    const orders = Object.fromEntries(roles.map((role, index) =>
+      [role.id, rolePolicies[index](getRoleObservation(current, index))]
+    ));
+    state = step(state, orders);
+  }
+  return state;
+};
+
+// `config` and `policies` may also be functions of the run index, which makes
+// parameter sweeps a one-liner. With a `seed`, run n uses "<seed>-<n>" so the
+// whole batch is reproducible.
+export const runBatch = ({ runs = 1, config = {}, policies, seed }) => {
+  const results = [];
+  for (let run = 1; run <= runs; run++) {
+    const runConfig = typeof config === 'function' ? config(run) : config;
+    const runPolicies = typeof policies === 'function' ? policies(run) : policies;
+    const state = playGame({
+      config: runConfig,
+      policies: runPolicies,
+      seed: seed === undefined ? undefined : `${seed}-${run}`
+    });
+    results.push({
+      run,
+      seed: state.seed,
+      totalCost: getTotalCost(state),
+      roleCosts: Object.fromEntries(getRoles(state).map(role => [role.id, getTotalCost(state, role.id)])),
+      config: state.config,
+      demand: state.demand,
+      history: state.history.filter(h => h.week > 0)
+    });
+  }
+  return results;
+};
+
+// --- OUTPUT FORMATS ---
+
+// One row per run with team and per-role totals. Runs with different chains
+// share one column per echelon that appears in any of them.
+export const toTotalsCSV = (results) => {
+  const roleIds = [...new Set(results.flatMap(r => Object.keys(r.roleCosts)))];
+  const columns = ['run', 'seed', 'totalCost', ...roleIds.map(id => `${id}Cost`)];
+  return toCSV(results.map(r => ({
+    run: r.run,
+    seed: r.seed,
+    totalCost: r.totalCost,
+    ...Object.fromEntries(roleIds.map(id => [`${id}Cost`, r.roleCosts[id]]))
+  })), columns);
+};
+
+// One row per run, week and role.
+export const toTraceCSV = (results) => toCSV(results.flatMap(r =>
+  r.history.map(h => ({
+    run: r.run,
+    week: h.week,
+    role: h.roleId,
+    orderPlaced: h.orderPlaced,
+    shipped: h.shipped,
+    inventory: h.inventory,
+    backlog: h.backlog,
+    cost: h.cost
+  }))
+));
+
+export const toJSON = (results) => JSON.stringify(results, null, 2);
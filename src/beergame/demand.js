@@ -0,0 +1,153 @@
+// --- CONSUMER DEMAND PATTERNS ---
+// Each pattern turns a small set of parameters into a week-by-week demand
+// series. The series is generated once when a game is created and stored on
+// the game state, so the whole session (and its debrief) sees the same numbers.
+// `minimums` gives the lowest value each field accepts (none when missing);
+// `maximums`, where a pattern has it, the highest.
+
+const toDemand = (value) => Math.max(0, Math.round(value));
+
+// Knuth's algorithm; fine for the small means used in the Beer Game. Past a
+// few hundred exp(-mean) underflows, hence the pattern's maximum mean.
+const samplePoisson = (mean, random) => {
+  const limit = Math.exp(-mean);
+  let k = 0;
+  let p = 1;
+  do {
+    k++;
+    p *= random();
+  } while (p > limit);
+  return k - 1;
+};
+
+export const DEMAND_PATTERNS = {
+  step: {
+    label: 'Step',
+    defaults: { base: 4, stepTo: 8, stepWeek: 5 },
+    fields: { base: 'Initial Demand', stepTo: 'Demand After Step', stepWeek: 'Step Week' },
+    minimums: { base: 0, stepTo: 0, stepWeek: 1 },
+    generate: ({ base, stepTo, stepWeek }, weeks) =>
+      Array.from({ length: weeks }, (_, i) => toDemand(i + 1 < stepWeek ? base : stepTo)),
+    describe: ({ base, stepTo, stepWeek }) =>
+      `The "Consumer" only changed their order once! Demand was ${base} units/week, then jumped to ${stepTo} units/week at Week ${stepWeek}. That's it.`,
+  },
+  ramp: {
+    label: 'Ramp',
+    defaults: { base: 4, slope: 0.5, startWeek: 5 },
+    fields: { base: 'Initial Demand', slope: 'Growth / Week', startWeek: 'Ramp Starts' },
+    minimums: { base: 0, startWeek: 1 },
+    generate: ({ base, slope, startWeek }, weeks) =>
+      Array.from({ length: weeks }, (_, i) => toDemand(base + Math.max(0, i + 2 - startWeek) * slope)),
+    describe: ({ base, slope, startWeek }) =>
+      `Consumer demand held at ${base} units/week, then grew steadily by ${slope} units every week from Week ${startWeek}.`,
+  },
+  seasonal: {
+    label: 'Seasonal',
+    defaults: { base: 8, amplitude: 4, period: 8 },
+    fields: { base: 'Average Demand', amplitude: 'Amplitude', period: 'Cycle Length (Weeks)' },
+    minimums: { base: 0, amplitude: 0, period: 1 },
+    generate: ({ base, amplitude, period }, weeks) =>
+      Array.from({ length: weeks }, (_, i) => toDemand(base + amplitude * Math.sin((2 * Math.PI * i) / period))),
+    describe: ({ base, amplitude, period }) =>
+      `Consumer demand followed a smooth seasonal cycle around ${base} units/week (±${amplitude}), repeating every ${period} weeks.`,
+  },
+  'random-walk': {
+    label: 'Random Walk',
+    defaults: { base: 4, volatility: 2 },
+    fields: { base: 'Starting Demand', volatility: 'Max Weekly Change' },
+    minimums: { base: 0, volatility: 0 },
+    generate: ({ base, volatility }, weeks, random) => {
+      const series = [];
+      let level = base;
+      for (let i = 0; i < weeks; i++) {
+        series.push(toDemand(level));
+        level = Math.max(0, level + (random() * 2 - 1) * volatility);
+      }
+      return series;
+    },
+    describe: ({ base, volatility }) =>
+      `Consumer demand wandered randomly from ${base} units/week, moving by up to ${volatility} units each week.`,
+  },
+  poisson: {
+    label: 'Poisson',
+    defaults: { mean: 6 },
+    fields: { mean: 'Mean Demand' },
+    minimums: { mean: 0 },
+    maximums: { mean: 100 },
+    generate: ({ mean }, weeks, random) =>
+      Array.from({ length: weeks }, () => samplePoisson(mean, random)),
+    describe: ({ mean }) =>
+      `Consumer demand was pure noise: independent Poisson draws averaging ${mean} units/week, with no trend at all.`,
+  },
+  csv: {
+    label: 'Upload CSV',
+    defaults: { series: [] },
+    fields: {},
+    minimums: {},
+    // Short series repeat their last value for the remaining weeks
+    generate: ({ series }, weeks) =>
+      Array.from({ length: weeks }, (_, i) => toDemand(series[Math.min(i, series.length - 1)] ?? 0)),
+    describe: ({ series }) =>
+      `Consumer demand followed an uploaded series of ${series.length} weeks.`,
+  },
+};
+
+export const DEFAULT_DEMAND = { type: 'step', params: DEMAND_PATTERNS.step.defaults };
+
+// Returns a list of problems, empty when the pattern and its parameters are
+// valid.
+export const validateDemand = (demand) => {
+  const pattern = DEMAND_PATTERNS[demand?.type];
+  if (!pattern) return [`Unknown demand pattern "${demand?.type}"`];
+  const params = { ...pattern.defaults, ...demand.params };
+  const errors = Object.entries(pattern.fields).flatMap(([key, label]) => {
+    const value = params[key];
+    const min = pattern.minimums[key];
+    const max = pattern.maximums?.[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) return [`${label} must be a number`];
+    if (min !== undefined && value < min) return [`${label} must be at least ${min}`];
+    return max !== undefined && value > max ? [`${label} must be at most ${max}`] : [];
+  });
+  if (demand.type === 'csv') {
+    if (!Array.isArray(params.series) || params.series.length === 0) {
+      errors.push('Upload a demand series');
+    } else if (params.series.some(value => typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      errors.push('Demand values must be non-negative numbers');
+    }
+  }
+  return errors;
+};
+
+export const buildDemandSeries = (demand, weeks, random = Math.random) => {
+  const pattern = DEMAND_PATTERNS[demand.type];
+  if (!pattern) {
+    throw new Error(`Unknown demand pattern "${demand.type}"`);
+  }
+  return pattern.generate({ ...pattern.defaults, ...demand.params }, weeks, random);
+};
+
+export const describeDemand = (demand) => {
+  const pattern = DEMAND_PATTERNS[demand.type];
+  return pattern.describe({ ...pattern.defaults, ...demand.params });
+};
+
+// Accepts a single row of comma separated values or one row per week. With
+// one row per week a header row and a leading week column are ignored: the
+// last value on each row is the demand.
+export const parseDemandCSV = (text) => {
+  const rows = text
+    .split(/\r?\n/)
+    .map(line => line.split(/[,;\t]/).map(cell => cell.trim()).filter(Boolean))
+    .filter(cells => cells.length > 0);
+  const series = (rows.length === 1 ? rows[0] : rows.map(cells => cells[cells.length - 1]))
+    .map(Number)
+    .filter(value => Number.isFinite(value));
+
+  if (series.length === 0) {
+    throw new Error('No numeric demand values found in CSV');
+  }
+  if (series.some(value => value < 0)) {
+    throw new Error('Demand values cannot be negative');
+  }
+  return series;
+};
@@ -0,0 +1,617 @@
+// --- BEER GAME SIMULATION ENGINE ---
+// Pure, UI-free rules of the Beer Distribution Game. Every function takes a
+// game state and returns a new frozen state, so the same rules can drive the
+// React view, scripts and batch experiments.
+
+import { DEFAULT_DEMAND, buildDemandSeries, validateDemand } from './demand.js';
+import { buildTransitDraws, getLinkTransit, getMeanDelay, validateTransit } from './transit.js';
+import { createRandom, normalizeSeed, randomSeed } from '../shared/random.js';
+import { applyDemandSpikes, getFiringEvents, getScenarioEffects, validateScenario } from '../shared/scenario.js';
+
+// --- CONSTANTS & CONFIGURATION ---
+
+// Every echelon a chain can be built from, ordered downstream to upstream.
+export const ROLE_CATALOG = [
+  { id: 'retailer', label: 'Retailer' },
+  { id: 'warehouse', label: 'Regional Warehouse' },
+  { id: 'wholesaler', label: 'Wholesaler' },
+  { id: 'distributor', label: 'Distributor' },
+  { id: 'manufacturer', label: 'Manufacturer' },
+  { id: 'supplier', label: 'Raw Material Supplier' }
+];
+
+const pickRoles = (...ids) => ids.map(id => ROLE_CATALOG.find(role => role.id === id));
+
+// The classic four-echelon chain
+export const ROLES = pickRoles('retailer', 'wholesaler', 'distributor', 'manufacturer');
+
+export const CHAIN_PRESETS = {
+  short: { label: '2 Echelons', roles: pickRoles('retailer', 'manufacturer') },
+  classic: { label: '4 Echelons', roles: ROLES },
+  extended: { label: '6 Echelons', roles: ROLE_CATALOG },
+};
+
+export const CONFIG = {
+  initialInventory: 12,
+  initialBacklog: 0,
+  initialOrder: 4,  // Equilibrium throughput ordered and shipped before week 1
+  shippingDelay: 2, // Weeks for goods to travel downstream
+  orderDelay: 1,    // Weeks for orders to travel upstream
+  totalWeeks: 20,
+  costHolding: 0.5,
+  costBacklog: 1.0,
+  demand: DEFAULT_DEMAND, // Consumer demand pattern, see demand.js
+  roles: ROLES,           // Chain from the consumer (first) to the producer (last)
+  visibility: 'classic',  // What each role can see, see VISIBILITY_MODES
+  scenario: null,         // Timed disruptions, see shared/scenario.js
+  transit: null,          // Random lead times and losses per link, see transit.js
+};
+
+// Scenario events the rules below implement. A lead-time change delays the
+// shipments its target dispatches while the event is active.
+export const SCENARIO_EVENT_TYPES = ['demand-spike', 'supplier-outage', 'capacity-cut', 'lead-time-change', 'shipment-loss', 'cost-change'];
+
+// Scenario events target roles by id
+export const getScenarioOptions = (config) => ({
+  targets: Object.fromEntries(config.roles.map(role => [role.id, role.label])),
+  eventTypes: SCENARIO_EVENT_TYPES,
+  totalWeeks: config.totalWeeks
+});
+
+// Information available to a role beyond its own inventory, backlog, incoming
+// order and incoming shipment. Sharing more is the classic remedy for the
+// bullwhip effect, so instructors can compare modes.
+export const VISIBILITY_MODES = {
+  classic: {
+    label: 'Classic (Blind)',
+    description: 'Each role only sees its own inventory, backlog, incoming order and incoming shipment.',
+    sharesDemand: false,
+    sharesChain: false
+  },
+  'shared-pos': {
+    label: 'Shared POS Demand',
+    description: 'Every role also sees end-consumer demand, as if point-of-sale data were shared up the chain.',
+    sharesDemand: true,
+    sharesChain: false
+  },
+  transparent: {
+    label: 'Full Transparency',
+    description: 'Every role sees consumer demand and every other role\'s inventory, backlog and orders.',
+    sharesDemand: true,
+    sharesChain: true
+  },
+};
+
+// Editable parameters with their allowed ranges. Delays must be at least one
+// week because roles play downstream first: a shipment dispatched this week
+// leaves after the role receiving it has already played.
+export const CONFIG_FIELDS = {
+  initialInventory: { label: 'Initial Inventory', min: 0, max: 1000, integer: true },
+  initialBacklog: { label: 'Initial Backlog', min: 0, max: 1000, integer: true },
+  initialOrder: { label: 'Initial Order Rate', min: 0, max: 1000, integer: true },
+  shippingDelay: { label: 'Shipping Delay (Weeks)', min: 1, max: 8, integer: true },
+  orderDelay: { label: 'Order Delay (Weeks)', min: 1, max: 8, integer: true },
+  totalWeeks: { label: 'Total Weeks', min: 1, max: 104, integer: true },
+  costHolding: { label: 'Holding Cost ($/unit/week)', min: 0, max: 100, integer: false },
+  costBacklog: { label: 'Backlog Cost ($/unit/week)', min: 0, max: 100, integer: false },
+};
+
+// Returns { field: message } for every invalid parameter (empty when valid).
+export const validateConfig = (config) => {
+  const errors = {};
+  Object.entries(CONFIG_FIELDS).forEach(([key, field]) => {
+    const value = config[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors[key] = `${field.label} must be a number`;
+    } else if (field.integer && !Number.isInteger(value)) {
+      errors[key] = `${field.label} must be a whole number`;
+    } else if (value < field.min || value > field.max) {
+      errors[key] = `${field.label} must be between ${field.min} and ${field.max}`;
+    }
+  });
+
+  const roleIds = (config.roles || []).map(role => role.id);
+  if (roleIds.length < 2) {
+    errors.roles = 'The supply chain needs at least 2 echelons';
+  } else if (new Set(roleIds).size !== roleIds.length) {
+    errors.roles = 'Each echelon can only appear once in the chain';
+  }
+  const demandErrors = validateDemand(config.demand);
+  if (demandErrors.length > 0) errors.demand = demandErrors.join('; ');
+  if (!(config.visibility in VISIBILITY_MODES)) {
+    errors.visibility = `Unknown visibility mode "${config.visibility}"`;
+  }
+  if (!errors.roles) {
+    const transitErrors = validateTransit(config.transit, config.roles);
+    if (transitErrors.length > 0) errors.transit = transitErrors.join('; ');
+  }
+  if (!errors.roles && !errors.totalWeeks) {
+    const scenarioErrors = validateScenario(config.scenario, getScenarioOptions(config));
+    if (scenarioErrors.length > 0) errors.scenario = scenarioErrors.join('; ');
+  }
+  return errors;
+};
+
+// --- HELPER FUNCTIONS ---
+
+// Consumer demand comes from the series generated when the game was created.
+// Weeks before the game started ran at the equilibrium order rate.
+export const getConsumerDemand = (state, week) => {
+  if (week < 1) return state.config.initialOrder;
+  const { series } = state.demand;
+  return series[Math.min(week, series.length) - 1];
+};
+
+export const getWeekCost = (inventory, backlog, config = CONFIG, effects = null) =>
+  (inventory * config.costHolding * (effects?.holdingFactor ?? 1)) +
+  (backlog * config.costBacklog * (effects?.backlogFactor ?? 1));
+
+const freezeState = (state) => {
+  state.history.forEach(Object.freeze);
+  Object.freeze(state.history);
+  state.pipeline.forEach(Object.freeze);
+  Object.freeze(state.pipeline);
+  Object.freeze(state.config.roles);
+  Object.freeze(state.config);
+  Object.freeze(state.demand);
+  return Object.freeze(state);
+};
+
+// History records what every role did each week; the pipeline (below) what
+// is on its way. We seed history with enough weeks before Week 1 to cover the
+// longest delay, so the first weeks have a previous week to start from.
+// Equilibrium start: Everyone ordering and shipping initialOrder, holding initialInventory.
+const buildSeedHistory = (config) => {
+  const seedData = [];
+  const firstSeedWeek = 1 - Math.max(config.shippingDelay, config.orderDelay);
+  for (let w = firstSeedWeek; w <= 0; w++) {
+    config.roles.forEach(role => {
+      seedData.push({
+        week: w,
+        roleId: role.id,
+        inventory: config.initialInventory,
+        backlog: config.initialBacklog,
+        orderPlaced: config.initialOrder,
+        shipped: config.initialOrder,
+        cost: getWeekCost(config.initialInventory, config.initialBacklog, config)
+      });
+    });
+  }
+  return seedData;
+};
+
+// The pipeline holds every order and shipment ever sent:
+//   { type: 'order' | 'shipment', from, to, sentWeek, arrivalWeek, amount, lost? }
+// `from`/`to` are role ids; the producer's production is a shipment to itself
+// and `lost` is the part of a shipment that never arrives. Items stay after
+// they arrive, so any week can be looked up later (exports, replays).
+const deliveredAmount = (item) => item.amount - (item.lost ?? 0);
+
+// Equilibrium start: initialOrder arriving every week until the first orders
+// and shipments of the game land, each link using its average delay.
+const buildSeedPipeline = (config) => config.roles.flatMap((role, roleIndex) => {
+  const link = getLinkTransit(config.transit, role.id);
+  const shippingDelay = Math.round(getMeanDelay(link.shippingDelay, config.shippingDelay));
+  const orderDelay = Math.round(getMeanDelay(link.orderDelay, config.orderDelay));
+  const items = [];
+  const from = isProducer(config, roleIndex) ? role.id : config.roles[roleIndex + 1].id;
+  for (let arrivalWeek = 1; arrivalWeek <= shippingDelay; arrivalWeek++) {
+    items.push({ type: 'shipment', from, to: role.id, sentWeek: arrivalWeek - shippingDelay, arrivalWeek, amount: config.initialOrder });
+  }
+  if (!isProducer(config, roleIndex)) {
+    for (let arrivalWeek = 1; arrivalWeek <= orderDelay; arrivalWeek++) {
+      items.push({ type: 'order', from: role.id, to: from, sentWeek: arrivalWeek - orderDelay, arrivalWeek, amount: config.initialOrder });
+    }
+  }
+  return items;
+});
+
+// Games saved before the pipeline existed moved everything with the fixed
+// delays, so their pipeline can be rebuilt from history.
+const buildLegacyPipeline = (config, history) => history.flatMap(entry => {
+  const roleIndex = config.roles.findIndex(role => role.id === entry.roleId);
+  const items = [];
+  if (roleIndex > 0 && entry.shipped > 0) {
+    items.push({
+      type: 'shipment', from: entry.roleId, to: config.roles[roleIndex - 1].id,
+      sentWeek: entry.week, arrivalWeek: entry.week + config.shippingDelay,
+      amount: entry.shipped, ...(entry.lost ? { lost: entry.lost } : {})
+    });
+  }
+  if (entry.orderPlaced > 0) {
+    const producer = isProducer(config, roleIndex);
+    items.push({
+      type: producer ? 'shipment' : 'order', from: entry.roleId, to: config.roles[producer ? roleIndex : roleIndex + 1].id,
+      sentWeek: entry.week, arrivalWeek: entry.week + (producer ? config.shippingDelay : config.orderDelay),
+      amount: entry.orderPlaced
+    });
+  }
+  return items;
+});
+
+// --- GAME LIFECYCLE ---
+
+// Randomness (stochastic demand patterns and transit draws) comes from
+// `seed`, or a fresh seed when none is given; the seed is kept on the state so
+// a session can be reproduced. Passing a `random` function instead bypasses
+// seeding and leaves `seed` null.
+export const createGame = (config = {}, options = {}) => {
+  const seed = options.random ? null : normalizeSeed(options.seed ?? randomSeed());
+  const random = options.random ?? createRandom(seed);
+  const fullConfig = { ...CONFIG, ...config };
+  const errors = Object.values(validateConfig(fullConfig));
+  if (errors.length > 0) {
+    throw new Error(`Invalid game configuration: ${errors.join('; ')}`);
+  }
+  // The demand actually played is recorded so the debrief can describe it
+  const demand = {
+    ...fullConfig.demand,
+    series: applyDemandSpikes(buildDemandSeries(fullConfig.demand, fullConfig.totalWeeks, random), fullConfig.scenario)
+  };
+  return freezeState({
+    config: fullConfig,
+    demand,
+    // Drawn after demand so adding transit randomness keeps a seed's demand
+    transitDraws: buildTransitDraws(fullConfig, random),
+    seed,
+    currentWeek: 1,
+    turnIndex: 0, // Index into config.roles; roles.length once the week is complete
+    history: buildSeedHistory(fullConfig),
+    pipeline: buildSeedPipeline(fullConfig)
+  });
+};
+
+// Rebuilds a game from a plain copy of its state (saved games, imported
+// sessions). Throws if the snapshot is not a playable game.
+export const restoreGame = (snapshot) => {
+  const { demand, seed = null, currentWeek, turnIndex, history, pipeline, transitDraws = null } = snapshot || {};
+  if (!snapshot?.config || !demand || !Array.isArray(demand.series) || !Array.isArray(history)) {
+    throw new Error('Snapshot is not a Beer Game state');
+  }
+  // Games saved before visibility modes existed showed everyone everything
+  const config = { visibility: 'transparent', scenario: null, transit: null, ...snapshot.config };
+  const errors = Object.values(validateConfig(config));
+  if (errors.length > 0) {
+    throw new Error(`Invalid game configuration: ${errors.join('; ')}`);
+  }
+  if (!Number.isInteger(currentWeek) || currentWeek < 1 || currentWeek > config.totalWeeks ||
+      !Number.isInteger(turnIndex) || turnIndex < 0 || turnIndex > config.roles.length) {
+    throw new Error('Snapshot has an invalid week or turn');
+  }
+  if (config.transit && !transitDraws) {
+    throw new Error('Snapshot has random lead times but no transit draws');
+  }
+  return freezeState({
+    config: { ...config, roles: [...config.roles] },
+    demand: { ...demand },
+    transitDraws,
+    seed,
+    currentWeek,
+    turnIndex,
+    history: history.map(entry => ({ ...entry })),
+    pipeline: Array.isArray(pipeline) ? pipeline.map(item => ({ ...item })) : buildLegacyPipeline(config, history)
+  });
+};
+
+export const getRoles = (state) => state.config.roles;
+
+// The most upstream echelon produces its own goods instead of ordering them.
+export const isProducer = (config, roleIndex) => roleIndex === config.roles.length - 1;
+
+export const isWeekComplete = (state) => state.turnIndex >= state.config.roles.length;
+
+export const isGameOver = (state) =>
+  isWeekComplete(state) && state.currentWeek >= state.config.totalWeeks;
+
+export const getCurrentRole = (state) => state.config.roles[state.turnIndex] || null;
+
+// Weeks between placing an order and receiving the goods (on average when
+// the link has random delays). The producer brews its own beer, so its orders
+// never travel upstream.
+export const getLeadTime = (config, roleIndex) => {
+  const link = getLinkTransit(config.transit, config.roles[roleIndex].id);
+  const shippingDelay = getMeanDelay(link.shippingDelay, config.shippingDelay);
+  return isProducer(config, roleIndex) ? shippingDelay : getMeanDelay(link.orderDelay, config.orderDelay) + shippingDelay;
+};
+
+// Delays and loss drawn for what is sent on the link into `roleId` in `week`.
+const getTransitDraw = (state, roleId, week) =>
+  state.transitDraws?.[roleId][week - 1] ??
+  { shippingDelay: state.config.shippingDelay, orderDelay: state.config.orderDelay, lossFraction: 0 };
+
+// --- LOGIC: RETRIEVAL ---
+
+export const getHistoryEntry = (state, week, roleId) =>
+  state.history.find(h => h.week === week && h.roleId === roleId);
+
+// Logic: Incoming Shipment (everything on the road to this role that lands
+// this week, minus anything lost on the way). The producer "ships" to itself
+// what it put into production.
+export const getIncomingShipment = (state, roleIndex, week = state.currentWeek) => {
+  const roleId = state.config.roles[roleIndex].id;
+  return state.pipeline
+    .filter(item => item.type === 'shipment' && item.to === roleId && item.arrivalWeek === week)
+    .reduce((sum, item) => sum + deliveredAmount(item), 0);
+};
+
+// Logic: Incoming Demand (orders from the downstream customer that reach
+// this role this week)
+export const getIncomingDemand = (state, roleIndex, week = state.currentWeek) => {
+  // Retailer receives direct consumer demand
+  if (roleIndex === 0) {
+    return getConsumerDemand(state, week);
+  }
+
+  const roleId = state.config.roles[roleIndex].id;
+  return state.pipeline
+    .filter(item => item.type === 'order' && item.to === roleId && item.arrivalWeek === week)
+    .reduce((sum, item) => sum + item.amount, 0);
+};
+
+// Orders and shipments sent before `week` that have not arrived before it,
+// i.e. still in flight when the week starts.
+export const getInTransit = (state, week = state.currentWeek) =>
+  state.pipeline.filter(item => item.sentWeek < week && item.arrivalWeek >= week);
+
+// Logic: Supply Line (everything ordered but not yet received, including this
+// week's arriving shipment): orders still in the mail, the upstream backlog
+// owed to us and shipments on the road.
+export const getSupplyLine = (state, roleIndex, week = state.currentWeek) => {
+  const { config } = state;
+  const role = config.roles[roleIndex];
+  const inTransit = getInTransit(state, week);
+
+  let supplyLine = inTransit
+    .filter(item => item.type === 'shipment' && item.to === role.id)
+    .reduce((sum, item) => sum + deliveredAmount(item), 0);
+  if (isProducer(config, roleIndex)) return supplyLine;
+
+  supplyLine += inTransit
+    .filter(item => item.type === 'order' && item.from === role.id)
+    .reduce((sum, item) => sum + item.amount, 0);
+  const upstream = getHistoryEntry(state, week - 1, config.roles[roleIndex + 1].id);
+  return supplyLine + (upstream ? upstream.backlog : 0);
+};
+
+// What a role is waiting for at the start of `week`: every shipment on the
+// road to it and every order it sent that has not reached its supplier yet,
+// one batch each (soonest first), plus the totals players tend to forget.
+// On order is the supply line; the inventory position adds it to net stock.
+export const getRolePipeline = (state, roleIndex, week = state.currentWeek) => {
+  const { config } = state;
+  const role = config.roles[roleIndex];
+  const inTransit = [...getInTransit(state, week)].sort((a, b) => a.arrivalWeek - b.arrivalWeek);
+  const prevWeekData = getHistoryEntry(state, week - 1, role.id);
+  const upstream = isProducer(config, roleIndex) ? null : getHistoryEntry(state, week - 1, config.roles[roleIndex + 1].id);
+  const onOrder = getSupplyLine(state, roleIndex, week);
+  return {
+    shipments: inTransit
+      .filter(item => item.type === 'shipment' && item.to === role.id)
+      .map(item => ({ arrivalWeek: item.arrivalWeek, amount: deliveredAmount(item) })),
+    orders: inTransit
+      .filter(item => item.type === 'order' && item.from === role.id)
+      .map(item => ({ arrivalWeek: item.arrivalWeek, amount: item.amount })),
+    upstreamBacklog: upstream ? upstream.backlog : 0,
+    onOrder,
+    inventoryPosition: prevWeekData.inventory - prevWeekData.backlog + onOrder
+  };
+};
+
+// Everything a role can see when deciding this week's order. Used by scripted
+// policies and the AI agent.
+export const getRoleObservation = (state, roleIndex = state.turnIndex) => {
+  const { config, currentWeek } = state;
+  const role = config.roles[roleIndex];
+  const prevWeekData = getHistoryEntry(state, currentWeek - 1, role.id);
+  const demandHistory = [];
+  for (let w = 1; w <= currentWeek; w++) {
+    demandHistory.push(getIncomingDemand(state, roleIndex, w));
+  }
+
+  return {
+    week: currentWeek,
+    roleIndex,
+    roleId: role.id,
+    config,
+    inventory: prevWeekData.inventory,
+    backlog: prevWeekData.backlog,
+    incomingShipment: getIncomingShipment(state, roleIndex, currentWeek),
+    incomingDemand: getIncomingDemand(state, roleIndex, currentWeek),
+    supplyLine: getSupplyLine(state, roleIndex, currentWeek),
+    pipeline: getRolePipeline(state, roleIndex, currentWeek),
+    demandHistory,
+    roleHistory: state.history.filter(h => h.roleId === role.id && h.week > 0 && h.week < currentWeek)
+  };
+};
+
+// Scenario events announced up to the current week, newest first. Every role
+// hears about them, whatever the visibility mode.
+export const getEventLog = (state) => {
+  const { targets } = getScenarioOptions(state.config);
+  const log = [];
+  for (let w = 1; w <= state.currentWeek; w++) {
+    getFiringEvents(state.config.scenario, w, targets).forEach(event => log.push({ week: w, type: event.type, text: event.text }));
+  }
+  return log.reverse();
+};
+
+// What the game's visibility mode reveals to a role this week on top of its
+// own observation: consumer demand so far (null unless shared), the last
+// completed week of every role (null unless the chain is transparent) and the
+// announced scenario events.
+export const getSharedContext = (state, roleIndex = state.turnIndex) => {
+  const { config, currentWeek } = state;
+  const mode = VISIBILITY_MODES[config.visibility];
+  const consumerDemand = [];
+  for (let w = 1; w <= currentWeek; w++) {
+    consumerDemand.push(getConsumerDemand(state, w));
+  }
+
+  return {
+    visibility: config.visibility,
+    consumerDemand: mode.sharesDemand || roleIndex === 0 ? consumerDemand : null,
+    chain: mode.sharesChain
+      ? config.roles.map(role => {
+          const entry = getHistoryEntry(state, currentWeek - 1, role.id);
+          return {
+            roleId: role.id,
+            label: role.label,
+            inventory: entry.inventory,
+            backlog: entry.backlog,
+            orderPlaced: entry.orderPlaced,
+            shipped: entry.shipped
+          };
+        })
+      : null,
+    events: getEventLog(state)
+  };
+};
+
+// --- LOGIC: GAME PLAY ---
+
+// Resolves the current role's week with the given order and hands the turn
+// to the next role upstream. An optional `reasoning` (e.g. from an AI agent)
+// is kept with the history entry.
+export const submitOrder = (state, orderAmount, { reasoning } = {}) => {
+  if (isWeekComplete(state)) {
+    throw new Error(`Week ${state.currentWeek} is already complete`);
+  }
+  if (!Number.isInteger(orderAmount) || orderAmount < 0) {
+    throw new Error(`Invalid order amount: ${orderAmount}`);
+  }
+
+  const { config, currentWeek, turnIndex } = state;
+  const currentRole = config.roles[turnIndex];
+  const prevWeekData = getHistoryEntry(state, currentWeek - 1, currentRole.id);
+
+  // 1. Calculate Incomings
+  const shipmentReceived = getIncomingShipment(state, turnIndex, currentWeek);
+  const demandReceived = getIncomingDemand(state, turnIndex, currentWeek);
+
+  // 2. Calculate State
+  // Available to sell = Old Inventory + New Shipment
+  const totalAvailable = prevWeekData.inventory + shipmentReceived;
+  // Total Obligation = New Demand + Old Backlog
+  const totalToShip = demandReceived + prevWeekData.backlog;
+
+  // 3. Determine Shipments & New Stock (scenario events may stop or cap
+  // shipping)
+  const effects = getScenarioEffects(config.scenario, currentWeek, currentRole.id);
+  const capacity = effects.outage ? 0 : (effects.capacity ?? Infinity);
+  const actuallyShipped = Math.min(totalAvailable, totalToShip, capacity);
+  const newInventory = totalAvailable - actuallyShipped;
+  const newBacklog = totalToShip - actuallyShipped;
+
+  // 4. Send the shipment downstream and the order upstream. The link into
+  // each receiving role sets the delays and random loss; scenario events on
+  // this role add delay and loss to what it ships. The retailer's shipments
+  // go straight to consumers.
+  const sent = [];
+  let lost = 0;
+  if (turnIndex > 0 && actuallyShipped > 0) {
+    const customer = config.roles[turnIndex - 1];
+    const draw = getTransitDraw(state, customer.id, currentWeek);
+    const lossFraction = 1 - (1 - effects.lossFraction) * (1 - draw.lossFraction);
+    lost = Math.round(actuallyShipped * lossFraction);
+    sent.push({
+      type: 'shipment', from: currentRole.id, to: customer.id,
+      sentWeek: currentWeek, arrivalWeek: currentWeek + Math.max(1, draw.shippingDelay + effects.extraWeeks),
+      amount: actuallyShipped, ...(lost > 0 ? { lost } : {})
+    });
+  }
+  if (orderAmount > 0) {
+    const draw = getTransitDraw(state, currentRole.id, currentWeek);
+    if (isProducer(config, turnIndex)) {
+      const spoiled = Math.round(orderAmount * draw.lossFraction);
+      sent.push({
+        type: 'shipment', from: currentRole.id, to: currentRole.id,
+        sentWeek: currentWeek, arrivalWeek: currentWeek + draw.shippingDelay,
+        amount: orderAmount, ...(spoiled > 0 ? { lost: spoiled } : {})
+      });
+    } else {
+      sent.push({
+        type: 'order', from: currentRole.id, to: config.roles[turnIndex + 1].id,
+        sentWeek: currentWeek, arrivalWeek: currentWeek + draw.orderDelay,
+        amount: orderAmount
+      });
+    }
+  }
+
+  // 5. Commit to History
+  const newEntry = {
+    week: currentWeek,
+    roleId: currentRole.id,
+    inventory: newInventory,
+    backlog: newBacklog,
+    orderPlaced: orderAmount,
+    shipped: actuallyShipped,
+    cost: getWeekCost(newInventory, newBacklog, config, effects),
+    ...(lost > 0 ? { lost } : {}),
+    ...(reasoning ? { reasoning } : {})
+  };
+
+  return freezeState({
+    ...state,
+    turnIndex: turnIndex + 1,
+    history: [...state.history, newEntry],
+    pipeline: [...state.pipeline, ...sent]
+  });
+};
+
+export const advanceWeek = (state) => {
+  if (!isWeekComplete(state)) {
+    throw new Error(`Week ${state.currentWeek} still has roles to play`);
+  }
+  if (isGameOver(state)) {
+    throw new Error('Game is over');
+  }
+  return freezeState({
+    ...state,
+    currentWeek: state.currentWeek + 1,
+    turnIndex: 0
+  });
+};
+
+// Plays every remaining turn of the current week with `orders` (keyed by role
+// id) and moves on to the next week unless the game has ended.
+export const step = (state, orders) => {
+  let next = state;
+  while (!isWeekComplete(next)) {
+    const role = getCurrentRole(next);
+    if (!(role.id in orders)) {
+      throw new Error(`Missing order for ${role.label}`);
+    }
+    next = submitOrder(next, orders[role.id]);
+  }
+  return isGameOver(next) ? next : advanceWeek(next);
+};
+
+// --- LOGIC: MID-GAME CHANGES ---
+
+// Sets consumer demand to `amount` for `weeks` weeks from `fromWeek` (the rest
+// of the game when `weeks` is omitted), e.g. a shock injected by a
+// facilitator. Weeks the retailer has already seen cannot change.
+export const setConsumerDemand = (state, { fromWeek, amount, weeks = null }) => {
+  const firstOpenWeek = state.turnIndex > 0 ? state.currentWeek + 1 : state.currentWeek;
+  if (!Number.isInteger(amount) || amount < 0) {
+    throw new Error(`Invalid demand: ${amount}`);
+  }
+  if (weeks !== null && (!Number.isInteger(weeks) || weeks < 1)) {
+    throw new Error(`Invalid number of weeks: ${weeks}`);
+  }
+  if (!Number.isInteger(fromWeek) || fromWeek < firstOpenWeek || fromWeek > state.config.totalWeeks) {
+    throw new Error(`Demand can only change between week ${firstOpenWeek} and week ${state.config.totalWeeks}`);
+  }
+  const lastWeek = weeks === null ? state.config.totalWeeks : fromWeek + weeks - 1;
+  const length = Math.max(state.demand.series.length, lastWeek);
+  const series = Array.from({ length }, (_, i) =>
+    (i + 1 >= fromWeek && i + 1 <= lastWeek ? amount : getConsumerDemand(state, i + 1)));
+  return freezeState({ ...state, demand: { ...state.demand, series } });
+};
+
+// --- RESULTS ---
+
+export const getTotalCost = (state, roleId) =>
+  state.history
+    .filter(h => h.week > 0 && (!roleId || h.roleId === roleId))
+    .reduce((acc, curr) => acc + curr.cost, 0);
@@ -0,0 +1,55 @@
+// --- BEER GAME SESSION EXPORT ---
+
+import { getIncomingDemand, getIncomingShipment, getRoles, getTotalCost } from './engine.js';
+import { buildSessionDocument, sessionRecord } from '../shared/sessionExport.js';
+
+export const BEER_GAME_SIMULATION = 'beer-game';
+
+// One session record per played week and role.
+export const buildBeerGameRecords = (game) => {
+  const roles = getRoles(game);
+  return game.history
+    .filter(h => h.week > 0)
+    .map(h => {
+      const roleIndex = roles.findIndex(role => role.id === h.roleId);
+      return sessionRecord({
+        week: h.week,
+        role: roles[roleIndex].label,
+        item: 'beer',
+        demand: getIncomingDemand(game, roleIndex, h.week),
+        order: h.orderPlaced,
+        received: getIncomingShipment(game, roleIndex, h.week),
+        shipped: h.shipped,
+        inventory: h.inventory,
+        backlog: h.backlog,
+        cost: h.cost,
+        reasoning: h.reasoning
+      });
+    });
+};
+
+export const buildBeerGameSession = (game, { playerTypes = {}, ruleAgents = {} } = {}) => {
+  const roles = getRoles(game);
+  const records = buildBeerGameRecords(game);
+
+  return buildSessionDocument({
+    simulation: BEER_GAME_SIMULATION,
+    settings: {
+      ...game.config,
+      demand: game.demand,
+      seed: game.seed,
+      playerTypes: Object.fromEntries(roles.map(role => [role.id, playerTypes[role.id] || 'HUMAN'])),
+      ruleAgents: Object.fromEntries(roles
+        .filter(role => playerTypes[role.id] === 'RULE')
+        .map(role => [role.id, ruleAgents[role.id]]))
+    },
+    summary: {
+      weeksPlayed: game.currentWeek,
+      totalCost: getTotalCost(game),
+      roleCosts: Object.fromEntries(roles.map(role => [role.id, getTotalCost(game, role.id)]))
+    },
+    records,
+    // The full engine state lets a session be loaded back into the game
+    state: game
+  });
+};
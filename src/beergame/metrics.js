@@ -0,0 +1,32 @@
+// --- BEER GAME METRICS ---
+// Beer Game adapter for the shared KPI module: every role is one series.
+
+import { buildBeerGameRecords } from './export.js';
+import { computeGameMetrics } from '../shared/metrics.js';
+import { getScenarioEffects, getScenarioShockWeek } from '../shared/scenario.js';
+import { getRoles } from './engine.js';
+
+// The week the consumer first changed their order. Patterns without a
+// single change point use the classic week-5 step.
+export const getShockWeek = (demand) => {
+  if (demand.type === 'step') return demand.params.stepWeek;
+  if (demand.type === 'ramp') return demand.params.startWeek;
+  return 5;
+};
+
+// Recovery counts from the first scenario demand spike, if there is one.
+export const getGameShockWeek = (game) => getScenarioShockWeek(game.config.scenario, getShockWeek(game.demand));
+
+// Holding is priced at each week's rate, so cost-change events stay out of
+// the backlog cost.
+export const computeBeerGameMetrics = (game) => {
+  const roles = getRoles(game);
+  return computeGameMetrics(buildBeerGameRecords(game), (series) => {
+    const roleId = roles.find(role => role.label === series.role)?.id;
+    return {
+      holdingCost: (week) => game.config.costHolding * getScenarioEffects(game.config.scenario, week, roleId).holdingFactor,
+      initialBacklog: game.config.initialBacklog,
+      shockWeek: getGameShockWeek(game)
+    };
+  });
+};
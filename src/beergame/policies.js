@@ -0,0 +1,22 @@
+// --- SCRIPTED ORDERING POLICIES ---
+// Beer Game adapter for the shared heuristic agents. A policy is a function
+// that receives a role observation (see getRoleObservation in engine.js) and
+// returns a whole, non-negative order quantity.
+
+import { getLeadTime } from './engine.js';
+import { ORDERING_AGENTS, createOrderingAgent } from '../shared/orderingAgents.js';
+
+export const POLICIES = ORDERING_AGENTS;
+
+// The game starts in equilibrium: initialInventory on hand and initialOrder
+// flowing through every link.
+export const toAgentObservation = (obs) => ({
+  ...obs,
+  leadTime: getLeadTime(obs.config, obs.roleIndex),
+  baseline: { inventory: obs.config.initialInventory, demand: obs.config.initialOrder }
+});
+
+export const createPolicy = (name, params = {}) => {
+  const agent = createOrderingAgent(name, params);
+  return (obs) => agent(toAgentObservation(obs));
+};
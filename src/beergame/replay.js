@@ -0,0 +1,33 @@
+// --- SESSION REPLAY ---
+// Loads an exported Beer Game session and slices its recorded history into
+// week-by-week frames. A frame is an ordinary engine state, so the map,
+// summary table and charts render it exactly as they would a live game.
+
+import { getRoles, isWeekComplete, restoreGame } from './engine.js';
+import { BEER_GAME_SIMULATION } from './export.js';
+import { parseSession } from '../shared/sessionExport.js';
+
+export const loadReplay = (text) => {
+  const session = parseSession(text, BEER_GAME_SIMULATION);
+  if (!session.state) {
+    throw new Error('Session does not include the game state needed for replay');
+  }
+  return {
+    game: restoreGame(session.state),
+    playerTypes: session.settings?.playerTypes || {},
+    exportedAt: session.exportedAt
+  };
+};
+
+// Last week with a full set of orders on record.
+export const getLastRecordedWeek = (game) =>
+  isWeekComplete(game) ? game.currentWeek : game.currentWeek - 1;
+
+// The game as it stood once every role had ordered in `week`.
+export const getReplayFrame = (game, week) => Object.freeze({
+  ...game,
+  currentWeek: week,
+  turnIndex: getRoles(game).length,
+  history: Object.freeze(game.history.filter(h => h.week <= week)),
+  pipeline: Object.freeze(game.pipeline.filter(item => item.sentWeek <= week))
+});
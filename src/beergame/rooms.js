@@ -0,0 +1,188 @@
+// --- MULTIPLAYER ROOMS ---
+// Authoritative state of a networked Beer Game, kept on the server (see
+// scripts/beergame-server.js). Every role submits its order for the week
+// independently; once all orders are in, the week is played with `step`.
+// Observations only look at previous weeks, so the result is the same as the
+// hot-seat game playing the roles in turn.
+//
+// Rooms are plain mutable objects owned by the server; the game inside is
+// still an immutable engine state.
+
+import {
+  createGame, getRoleObservation, getRoles, getSharedContext, getTotalCost, isGameOver,
+  setConsumerDemand, step
+} from './engine.js';
+import { computeBeerGameMetrics } from './metrics.js';
+import { createPolicy } from './policies.js';
+import { validateAgentParams } from '../shared/orderingAgents.js';
+
+// `ruleAgents` maps role id -> { name, params } for roles the server plays
+// with a scripted policy; all other roles wait for a participant (there must
+// be at least one). `team`
+// names the room on the facilitator dashboard.
+export const createRoom = (id, { config = {}, seed, ruleAgents = {}, team = null } = {}) => {
+  const game = createGame(config, { seed });
+  const agents = getRoles(game)
+    .filter(role => role.id in ruleAgents)
+    .map(role => ({ role, agent: ruleAgents[role.id] ?? {} }));
+  // Reject bad parameters up front: a NaN order would stall the room
+  const problems = agents.flatMap(({ role, agent }) =>
+    validateAgentParams(agent.name, agent.params).map(problem => `${role.label}: ${problem}`));
+  if (problems.length > 0) throw new Error(problems.join('; '));
+  const policies = Object.fromEntries(agents.map(({ role, agent }) => [role.id, createPolicy(agent.name, agent.params)]));
+  // Weeks are played when a participant orders, so a room needs at least one
+  if (Object.keys(policies).length === getRoles(game).length) {
+    throw new Error('Leave at least one role for a participant; every role is a rule agent');
+  }
+
+  const room = {
+    id,
+    game,
+    ruleAgents,
+    policies,
+    seats: Object.fromEntries(getRoles(game).map(role => [role.id, null])), // role id -> player name
+    pending: {},
+    team,
+    paused: false,
+    events: [], // { week, label } injected by a facilitator
+    createdAt: Date.now()
+  };
+  playRuleAgents(room);
+  return room;
+};
+
+// Scripted roles order as soon as a week starts.
+const playRuleAgents = (room) => {
+  getRoles(room.game).forEach((role, index) => {
+    const policy = room.policies[role.id];
+    if (policy && !(role.id in room.pending)) {
+      room.pending[role.id] = policy(getRoleObservation(room.game, index));
+    }
+  });
+};
+
+const findRole = (room, roleId) => {
+  const role = getRoles(room.game).find(r => r.id === roleId);
+  if (!role) throw new Error(`Unknown role "${roleId}"`);
+  return role;
+};
+
+export const isRuleRole = (room, roleId) => roleId in room.policies;
+
+export const takeSeat = (room, roleId, name) => {
+  const role = findRole(room, roleId);
+  if (isRuleRole(room, roleId)) throw new Error(`${role.label} is played by a rule agent`);
+  if (room.seats[roleId]) throw new Error(`${role.label} is already taken`);
+  room.seats[roleId] = name || role.label;
+};
+
+export const leaveSeat = (room, roleId) => {
+  if (roleId in room.seats) room.seats[roleId] = null;
+};
+
+// Records a role's order for the current week and plays the week once every
+// role has ordered. Returns true when the week was played.
+export const submitRoomOrder = (room, roleId, amount) => {
+  const role = findRole(room, roleId);
+  if (isGameOver(room.game)) throw new Error('Game is over');
+  if (room.paused) throw new Error('The facilitator has paused the game');
+  if (!Number.isInteger(amount) || amount < 0) throw new Error(`Invalid order amount: ${amount}`);
+  if (roleId in room.pending) throw new Error(`${role.label} has already ordered this week`);
+
+  const pending = { ...room.pending, [roleId]: amount };
+  if (getRoles(room.game).some(r => !(r.id in pending))) {
+    room.pending = pending;
+    return false;
+  }
+
+  // Play the week before touching the room so a failing step leaves it as it was
+  room.game = step(room.game, pending);
+  room.pending = {};
+  if (!isGameOver(room.game)) playRuleAgents(room);
+  return true;
+};
+
+// What everybody in the room may know: the week and who is still deciding.
+export const getRoomSummary = (room) => ({
+  roomId: room.id,
+  week: room.game.currentWeek,
+  totalWeeks: room.game.config.totalWeeks,
+  isOver: isGameOver(room.game),
+  paused: room.paused,
+  roles: getRoles(room.game).map(role => ({
+    id: role.id,
+    label: role.label,
+    player: room.seats[role.id],
+    isRule: isRuleRole(room, role.id),
+    submitted: role.id in room.pending
+  }))
+});
+
+// The view sent to one participant. During play it holds their own role's
+// numbers plus whatever the game's visibility mode shares; the full game is
+// revealed once it is over.
+export const getSeatView = (room, roleId) => {
+  const summary = getRoomSummary(room);
+  if (summary.isOver) return { ...summary, roleId, game: room.game };
+  if (!roleId) return summary;
+
+  const roleIndex = getRoles(room.game).findIndex(role => role.id === roleId);
+  const obs = getRoleObservation(room.game, roleIndex);
+  return {
+    ...summary,
+    roleId,
+    role: {
+      inventory: obs.inventory,
+      backlog: obs.backlog,
+      incomingShipment: obs.incomingShipment,
+      incomingDemand: obs.incomingDemand,
+      pipeline: obs.pipeline,
+      totalCost: getTotalCost(room.game, roleId),
+      history: obs.roleHistory.map(({ week, inventory, backlog, orderPlaced, cost }) => ({
+        week, inventory, backlog, orderPlaced, cost
+      })),
+      submittedOrder: room.pending[roleId] ?? null
+    },
+    shared: getSharedContext(room.game, roleIndex)
+  };
+};
+
+// --- FACILITATION ---
+
+// A paused room keeps its seats but refuses orders until resumed.
+export const setRoomPaused = (room, paused) => {
+  room.paused = paused;
+};
+
+// Sets consumer demand from next week on: this week's demand may already
+// have been seen by the retailer. `weeks` null lasts until the end.
+export const injectDemand = (room, { amount, weeks = null }) => {
+  if (isGameOver(room.game)) throw new Error(`Room ${room.id} is over`);
+  const fromWeek = room.game.currentWeek + 1;
+  room.game = setConsumerDemand(room.game, { fromWeek, amount, weeks });
+  const until = weeks === null ? 'until the end' : `for ${weeks} ${weeks === 1 ? 'week' : 'weeks'}`;
+  room.events.push({ week: fromWeek, label: `Consumer demand set to ${amount} ${until}` });
+};
+
+// Progress and results of a room for the facilitator dashboard. `costByWeek`
+// is the team's cumulative cost after each played week.
+export const getRoomStats = (room) => {
+  const { game } = room;
+  const metrics = computeBeerGameMetrics(game).game;
+  const costByWeek = [];
+  game.history
+    .filter(h => h.week > 0)
+    .forEach(h => {
+      costByWeek[h.week - 1] = (costByWeek[h.week - 1] ?? costByWeek[h.week - 2] ?? 0) + h.cost;
+    });
+  return {
+    ...getRoomSummary(room),
+    team: room.team,
+    events: room.events,
+    weeksPlayed: costByWeek.length,
+    totalCost: getTotalCost(game),
+    bullwhipRatio: metrics.bullwhipRatio,
+    fillRate: metrics.fillRate,
+    costByWeek
+  };
+};
@@ -0,0 +1,88 @@
+// --- SAVE SLOTS ---
+// Persists in-progress Beer Game sessions to localStorage. All slots live
+// under a single key as { [slotName]: save } so listing them is one read.
+
+import { restoreGame } from './engine.js';
+
+const STORAGE_KEY = 'beergame.saves';
+const SAVE_VERSION = 1;
+
+export const AUTOSAVE_SLOT = 'Autosave';
+
+const readSlots = (storage) => {
+  try {
+    return JSON.parse(storage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeSlots = (storage, slots) => {
+  storage.setItem(STORAGE_KEY, JSON.stringify(slots));
+};
+
+// `session` is { game, screen, playerTypes, ruleAgents } as held by the BeerGame component.
+export const saveGame = (name, session, storage = localStorage) => {
+  const slotName = name.trim();
+  if (!slotName) {
+    throw new Error('Save slot needs a name');
+  }
+  const slots = readSlots(storage);
+  slots[slotName] = {
+    version: SAVE_VERSION,
+    name: slotName,
+    savedAt: new Date().toISOString(),
+    screen: session.screen,
+    playerTypes: session.playerTypes,
+    ruleAgents: session.ruleAgents,
+    game: session.game
+  };
+  writeSlots(storage, slots);
+};
+
+// Summary of one slot for the list; throws when the slot is malformed.
+const describeSave = (save) => {
+  if (typeof save.name !== 'string' || typeof save.savedAt !== 'string') {
+    throw new Error('Save slot is missing its name or date');
+  }
+  return {
+    name: save.name,
+    savedAt: save.savedAt,
+    week: save.game.currentWeek,
+    totalWeeks: save.game.config.totalWeeks,
+    roles: save.game.config.roles.map(role => role.label)
+  };
+};
+
+// Newest first. Slots that cannot be read are left out, so one damaged save
+// does not hide the others.
+export const listSaves = (storage = localStorage) =>
+  Object.values(readSlots(storage))
+    .filter(save => save?.version === SAVE_VERSION)
+    .flatMap(save => {
+      try {
+        return [describeSave(save)];
+      } catch {
+        return [];
+      }
+    })
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+
+export const loadGame = (name, storage = localStorage) => {
+  const save = readSlots(storage)[name];
+  if (!save || save.version !== SAVE_VERSION) {
+    throw new Error(`No saved game named "${name}"`);
+  }
+  return {
+    screen: save.screen,
+    playerTypes: save.playerTypes,
+    ruleAgents: save.ruleAgents || {},
+    game: restoreGame(save.game)
+  };
+};
+
+export const deleteSave = (name, storage = localStorage) => {
+  const slots = readSlots(storage);
+  delete slots[name];
+  writeSlots(storage, slots);
+};
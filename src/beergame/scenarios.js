@@ -0,0 +1,52 @@
+// --- BEER GAME SCENARIOS ---
+// Built-in disruption scripts for the setup screen (see shared/scenario.js for
+// the format). They only target the retailer and the manufacturer, which every
+// chain preset contains.
+
+import { EMPTY_SCENARIO } from '../shared/scenario.js';
+
+export const BEER_SCENARIOS = {
+  none: EMPTY_SCENARIO,
+  promotion: {
+    name: 'Holiday Promotion',
+    description: 'A two-week promotion doubles consumer demand in the middle of the game.',
+    events: [
+      { week: 8, type: 'demand-spike', multiplier: 2, duration: 2, message: 'Holiday promotion: consumers buy twice as much beer for the next two weeks.' }
+    ]
+  },
+  'brewery-fire': {
+    name: 'Brewery Fire',
+    description: 'A fire stops every shipment leaving the brewery for three weeks.',
+    events: [
+      { week: 6, type: 'supplier-outage', target: 'manufacturer', duration: 3, message: 'Fire at the brewery! No beer leaves the Manufacturer for three weeks.' }
+    ]
+  },
+  bottleneck: {
+    name: 'Bottling Bottleneck',
+    description: 'A broken bottling line limits what the manufacturer can ship.',
+    events: [
+      { week: 5, type: 'capacity-cut', target: 'manufacturer', capacity: 4, duration: 6 }
+    ]
+  },
+  'trucker-strike': {
+    name: 'Trucker Strike',
+    description: 'A strike adds two weeks to every shipment sent during it.',
+    events: [
+      { week: 7, type: 'lead-time-change', extraWeeks: 2, duration: 4, message: 'Truckers are on strike: everything shipped in the next four weeks takes two weeks longer.' }
+    ]
+  },
+  breakage: {
+    name: 'Rough Roads',
+    description: 'Road works break a quarter of every delivery in the chain.',
+    events: [
+      { week: 4, type: 'shipment-loss', fraction: 0.25, duration: 5 }
+    ]
+  },
+  'rent-hike': {
+    name: 'Warehouse Rent Hike',
+    description: 'Holding stock becomes three times as expensive for the last part of the game.',
+    events: [
+      { week: 12, type: 'cost-change', holdingFactor: 3, duration: 9, message: 'Warehouse rents triple: holding inventory now costs three times as much.' }
+    ]
+  },
+};
@@ -0,0 +1,161 @@
+// --- LEAD TIMES & TRANSIT LOSS ---
+// Optional randomness on the supply links of the Beer Game. Every role has one
+// inbound link: the orders it sends upstream and the shipments it receives
+// (for the producer, its own production). A link can draw its shipping and
+// order delays from a discrete distribution and lose part of a shipment:
+//
+//   transit: {
+//     shippingDelay: { 2: 60, 3: 30, 4: 10 }, // weeks -> weight
+//     orderDelay: null,                         // null = always config.orderDelay
+//     lossChance: 0.1,                          // chance a shipment is hit...
+//     lossFraction: 0.5,                        // ...and the share of it lost
+//     links: { wholesaler: { shippingDelay: { 1: 1, 5: 1 } } } // per-role overrides
+//   }
+//
+// Like consumer demand, every draw is made once when the game is created and
+// stored on the game state, so a session replays exactly.
+
+const DELAY_MIN = 1;
+const DELAY_MAX = 8;
+
+export const LINK_FIELDS = ['shippingDelay', 'orderDelay', 'lossChance', 'lossFraction'];
+
+const LINK_DEFAULTS = { shippingDelay: null, orderDelay: null, lossChance: 0, lossFraction: 0 };
+
+const DELAY_LABELS = { shippingDelay: 'Shipping delay', orderDelay: 'Order delay' };
+
+const validateDistribution = (distribution, label) => {
+  if (distribution === null) return [];
+  if (typeof distribution !== 'object' || Array.isArray(distribution)) {
+    return [`${label} must map weeks to weights`];
+  }
+  const entries = Object.entries(distribution);
+  if (entries.length === 0) return [`${label} needs at least one week`];
+  const errors = [];
+  entries.forEach(([week, weight]) => {
+    const weeks = Number(week);
+    if (!Number.isInteger(weeks) || weeks < DELAY_MIN || weeks > DELAY_MAX) {
+      errors.push(`${label}: ${week} is not a whole number of weeks between ${DELAY_MIN} and ${DELAY_MAX}`);
+    }
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      errors.push(`${label}: weight of ${week} weeks must be a positive number`);
+    }
+  });
+  if (errors.length === 0 && entries.every(([, weight]) => weight === 0)) {
+    errors.push(`${label}: weights cannot all be zero`);
+  }
+  return errors;
+};
+
+const validateLink = (link, where) => {
+  if (!link || typeof link !== 'object') return [`${where} must be an object`];
+  const errors = [];
+  Object.keys(link).forEach(key => {
+    if (!LINK_FIELDS.includes(key) && !(where === 'Transit' && key === 'links')) {
+      errors.push(`${where}: unknown setting "${key}"`);
+    }
+  });
+  Object.entries(DELAY_LABELS).forEach(([key, label]) => {
+    if (link[key] !== undefined) errors.push(...validateDistribution(link[key], `${where}: ${label}`));
+  });
+  ['lossChance', 'lossFraction'].forEach(key => {
+    const value = link[key];
+    if (value !== undefined && (typeof value !== 'number' || !(value >= 0 && value <= 1))) {
+      errors.push(`${where}: ${key} must be between 0 and 1`);
+    }
+  });
+  return errors;
+};
+
+// Returns a list of problems (empty when valid) for the `transit` setting of
+// a game whose chain is `roles`.
+export const validateTransit = (transit, roles) => {
+  if (transit === null || transit === undefined) return [];
+  const errors = validateLink(transit, 'Transit');
+  if (transit.links !== undefined) {
+    if (!transit.links || typeof transit.links !== 'object') return [...errors, 'Transit: links must map role ids to settings'];
+    Object.entries(transit.links).forEach(([roleId, link]) => {
+      const role = roles.find(r => r.id === roleId);
+      if (!role) {
+        errors.push(`Transit: no ${roleId} in this chain`);
+      } else {
+        errors.push(...validateLink(link, `Link into ${role.label}`));
+      }
+    });
+  }
+  return errors;
+};
+
+// Settings of the link into `roleId`, with overrides applied.
+export const getLinkTransit = (transit, roleId) => {
+  const { links = {}, ...defaults } = transit || {};
+  return { ...LINK_DEFAULTS, ...defaults, ...links[roleId] };
+};
+
+export const getMeanDelay = (distribution, fixedDelay) => {
+  if (!distribution) return fixedDelay;
+  const entries = Object.entries(distribution);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  return entries.reduce((sum, [weeks, weight]) => sum + Number(weeks) * weight, 0) / total;
+};
+
+// Uses exactly one random number whatever the distribution, so links without
+// randomness do not shift the draws of the others.
+const sampleDelay = (distribution, fixedDelay, random) => {
+  const r = random();
+  if (!distribution) return fixedDelay;
+  const entries = Object.entries(distribution)
+    .map(([weeks, weight]) => [Number(weeks), weight])
+    .sort((a, b) => a[0] - b[0]);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let cumulative = 0;
+  for (const [weeks, weight] of entries) {
+    cumulative += weight;
+    if (r * total < cumulative) return weeks;
+  }
+  return entries[entries.length - 1][0];
+};
+
+// Per role, one draw per week: { shippingDelay, orderDelay, lossFraction } for
+// the orders sent and the shipments dispatched on its link that week. Null
+// when the game has no transit randomness.
+export const buildTransitDraws = (config, random) => {
+  if (!config.transit) return null;
+  return Object.fromEntries(config.roles.map(role => {
+    const link = getLinkTransit(config.transit, role.id);
+    return [role.id, Array.from({ length: config.totalWeeks }, () => ({
+      shippingDelay: sampleDelay(link.shippingDelay, config.shippingDelay, random),
+      orderDelay: sampleDelay(link.orderDelay, config.orderDelay, random),
+      lossFraction: random() < link.lossChance ? link.lossFraction : 0
+    }))];
+  }));
+};
+
+// --- TEXT FORMAT ---
+// Distributions are typed as "2:60, 3:30, 4:10" (weeks:weight); a week
+// without a weight counts once, and an empty text means a fixed delay.
+
+export const parseDistribution = (text) => {
+  const parts = String(text).split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+  return Object.fromEntries(parts.map(part => {
+    const [weeks, weight = '1'] = part.split(':').map(value => value.trim());
+    if (!/^\d+$/.test(weeks) || !Number.isFinite(Number(weight)) || weight === '') {
+      throw new Error(`"${part}" is not weeks:weight`);
+    }
+    return [weeks, Number(weight)];
+  }));
+};
+
+export const formatDistribution = (distribution) =>
+  distribution ? Object.entries(distribution).map(([weeks, weight]) => `${weeks}:${weight}`).join(', ') : '';
+
+// e.g. "2-4 weeks (2: 60%, 3: 30%, 4: 10%)" for the AI prompt
+export const describeDelay = (distribution, fixedDelay) => {
+  if (!distribution) return `${fixedDelay} week(s)`;
+  const entries = Object.entries(distribution).filter(([, weight]) => weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  const weeks = entries.map(([w]) => Number(w));
+  const range = Math.min(...weeks) === Math.max(...weeks) ? `${weeks[0]}` : `${Math.min(...weeks)}-${Math.max(...weeks)}`;
+  return `${range} week(s) (${entries.map(([w, weight]) => `${w}: ${Math.round((weight / total) * 100)}%`).join(', ')})`;
+};
@@ -0,0 +1,92 @@
+import { useEffect, useRef, useState } from 'react';
+
+// --- ONLINE ROOM CONNECTION ---
+// Keeps the WebSocket connection to the multiplayer server
+// (scripts/beergame-server.js) and the latest view it pushed for this browser:
+// a seat's `view`, or the facilitator `dashboard` listing every room. See the
+// server for the message protocol.
+
+export const DEFAULT_SERVER_URL = import.meta.env.VITE_BEERGAME_SERVER
+  || `ws://${window.location.hostname || 'localhost'}:8787`;
+
+export const useOnlineRoom = () => {
+  const socketRef = useRef(null);
+  const [status, setStatus] = useState('disconnected'); // connecting, connected, disconnected
+  const [view, setView] = useState(null);
+  const [dashboard, setDashboard] = useState(null);
+  const [error, setError] = useState(null);
+
+  const disconnect = () => {
+    socketRef.current?.close();
+    socketRef.current = null;
+  };
+
+  // Closes the connection when the online screen is left
+  useEffect(() => disconnect, []);
+
+  // Sends once the socket is open, connecting to `url` first if needed.
+  const send = (message, url) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+      return;
+    }
+    if (socket) socket.close();
+    if (!url) {
+      setError('Not connected to the game server');
+      return;
+    }
+
+    setStatus('connecting');
+    setError(null);
+    let next;
+    try {
+      next = new WebSocket(url);
+    } catch {
+      setStatus('disconnected');
+      setError(`Invalid server address "${url}"`);
+      return;
+    }
+    socketRef.current = next;
+    next.onopen = () => {
+      setStatus('connected');
+      next.send(JSON.stringify(message));
+    };
+    next.onmessage = (event) => {
+      const data = JSON.parse(event.data);
+      if (data.type === 'view') {
+        setView(data.view);
+        setError(null);
+      } else if (data.type === 'dashboard') {
+        setDashboard(data.rooms);
+        setError(null);
+      } else if (data.type === 'error') {
+        setError(data.message);
+      }
+    };
+    next.onclose = () => {
+      if (socketRef.current !== next) return;
+      socketRef.current = null;
+      setStatus('disconnected');
+      setView(null);
+      setDashboard(null);
+    };
+    next.onerror = () => setError(`Could not reach the game server at ${url}`);
+  };
+
+  return {
+    status,
+    view,
+    dashboard,
+    error,
+    createRoom: (url, setup) => send({ type: 'create', ...setup }, url),
+    joinRoom: (url, roomId, roleId, name) => send({ type: 'join', roomId, roleId, name }, url),
+    submitOrder: (amount) => send({ type: 'order', amount }),
+    leaveRoom: () => send({ type: 'leave' }),
+    facilitate: (url, token) => send({ type: 'facilitate', token }, url),
+    createRooms: (count, setup) => send({ type: 'create-rooms', count, ...setup }),
+    setPaused: (roomIds, paused) => send({ type: paused ? 'pause' : 'resume', roomIds }),
+    injectDemand: (roomIds, event) => send({ type: 'inject', roomIds, event }),
+    disconnect
+  };
+};
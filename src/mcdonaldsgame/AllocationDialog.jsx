@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { Scale } from 'lucide-react';
+import { DC_POLICIES, MANUAL_POLICY, allocateShortage, getOwedTotal } from './dcAllocation';
+import { NUMBER } from './EditorParts';
+import { toCount } from './drafts';
+
+// Shown while the week is processed when the DC is short and the policy is
+// manual. `shortages` lists { item, label, available, owed } per ingredient;
+// the dialog cannot be dismissed, the week needs a split to continue.
+
+const AUTOMATIC_POLICIES = Object.keys(DC_POLICIES).filter(policy => policy !== MANUAL_POLICY);
+
+const AllocationDialog = ({ shortages, restaurants, onConfirm }) => {
+  const [allocations, setAllocations] = useState(() => Object.fromEntries(shortages.map(shortage => [
+    shortage.item,
+    allocateShortage('proportional', shortage.available, shortage.owed, restaurants)
+  ])));
+
+  const applyPolicy = (shortage, policy) => setAllocations(prev => ({
+    ...prev,
+    [shortage.item]: allocateShortage(policy, shortage.available, shortage.owed, restaurants)
+  }));
+
+  const setUnits = (item, storeId, units) => setAllocations(prev => ({ ...prev, [item]: { ...prev[item], [storeId]: units } }));
+
+  const problems = shortages.flatMap(shortage => {
+    const allocated = restaurants.reduce((sum, restaurant) => sum + allocations[shortage.item][restaurant.id], 0);
+    return [
+      ...(allocated > shortage.available ? [`${shortage.label}: ${allocated} allocated but only ${shortage.available} in stock`] : []),
+      ...restaurants
+        .filter(restaurant => allocations[shortage.item][restaurant.id] > getOwedTotal(shortage.owed[restaurant.id]))
+        .map(restaurant => `${shortage.label}: ${restaurant.name} is sent more than it is owed`)
+    ];
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (problems.length === 0) onConfirm(allocations);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto p-6 border-t-8 border-[#DA291C] text-gray-700">
+        <h2 className="text-xl font-black text-gray-800 flex items-center gap-2"><Scale size={20} /> Allocate Shortages</h2>
+        <p className="text-xs text-gray-500 mb-4">
+          The DC cannot serve every restaurant. Backorders not filled now become lost sales; unfilled new orders wait one week.
+        </p>
+
+        {shortages.map(shortage => {
+          const allocated = restaurants.reduce((sum, restaurant) => sum + allocations[shortage.item][restaurant.id], 0);
+          return (
+            <section key={shortage.item} className="mb-6">
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                <h3 className="text-sm font-bold text-gray-700">
+                  {shortage.label}
+                  <span className={`ml-2 text-xs font-mono ${allocated > shortage.available ? 'text-red-600' : 'text-gray-400'}`}>
+                    {allocated} / {shortage.available} allocated
+                  </span>
+                </h3>
+                <div className="flex flex-wrap gap-1">
+                  {AUTOMATIC_POLICIES.map(policy => (
+                    <button
+                      key={policy}
+                      type="button"
+                      onClick={() => applyPolicy(shortage, policy)}
+                      title={DC_POLICIES[policy].description}
+                      className="text-[10px] font-bold border border-gray-200 rounded px-2 py-1 hover:border-[#DA291C]"
+                    >
+                      {DC_POLICIES[policy].label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <table className="w-full text-xs">
+                <thead className="text-gray-400 text-left">
+                  <tr>
+                    <th className="font-bold">Restaurant</th>
+                    <th className="font-bold text-right pr-2">Backorder</th>
+                    <th className="font-bold text-right pr-2">This Week</th>
+                    <th className="font-bold text-right w-24">Send</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {restaurants.map(restaurant => (
+                    <tr key={restaurant.id}>
+                      <td className="py-1">{restaurant.name}{restaurant.priority && <span className="ml-1 text-[#DA291C]" title="Priority restaurant">★</span>}</td>
+                      <td className="py-1 text-right pr-2 font-mono">{shortage.owed[restaurant.id].backlog}</td>
+                      <td className="py-1 text-right pr-2 font-mono">{shortage.owed[restaurant.id].new}</td>
+                      <td className="py-1">
+                        <input
+                          type="number"
+                          min="0"
+                          value={allocations[shortage.item][restaurant.id]}
+                          onChange={(e) => setUnits(shortage.item, restaurant.id, toCount(e.target.value))}
+                          className={NUMBER}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          );
+        })}
+
+        {problems.length > 0 && (
+          <ul className="text-xs text-red-600 mb-4 list-disc pl-5 space-y-0.5">
+            {problems.map((problem, index) => <li key={index}>{problem}</li>)}
+          </ul>
+        )}
+
+        <button
+          type="submit"
+          disabled={problems.length > 0}
+          className="w-full bg-[#FFC72C] hover:bg-[#ffcf4d] disabled:opacity-50 text-gray-900 font-bold py-3 rounded-lg transition-colors"
+        >
+          Ship Allocation
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AllocationDialog;
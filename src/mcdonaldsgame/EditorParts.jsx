@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { Upload, Download, Plus, Trash2, X } from 'lucide-react';
+import { downloadFile } from '../shared/sessionExport';
+
+// Building blocks of the facilitator editors (menu, restaurants): a modal
+// that edits a JSON draft, can load and download it, and only applies it
+// once `errors` is empty.
+
+export const INPUT = 'w-full border border-gray-200 rounded px-2 py-1 text-xs bg-white focus:outline-none focus:ring-2 focus:ring-[#FFC72C]';
+export const NUMBER = `${INPUT} text-right font-mono`;
+
+export const EditorSection = ({ title, onAdd, addLabel, children }) => (
+  <section className="mb-6">
+    <div className="flex items-center justify-between mb-2">
+      <h3 className="text-xs font-bold text-gray-500 uppercase tracking-wider">{title}</h3>
+      <button type="button" onClick={onAdd} className="text-xs font-bold text-[#DA291C] flex items-center gap-1 hover:underline">
+        <Plus size={12} /> {addLabel}
+      </button>
+    </div>
+    <div className="overflow-x-auto">{children}</div>
+  </section>
+);
+
+export const RemoveButton = ({ onClick, label }) => (
+  <button type="button" onClick={onClick} title={label} className="text-gray-300 hover:text-red-600 p-1">
+    <Trash2 size={14} />
+  </button>
+);
+
+// `parse` turns a loaded file into a draft and throws when it is invalid.
+export const EditorDialog = ({
+  title, subtitle, filename, draft, parse, onLoad, errors, applyLabel, onApply, onClose, children
+}) => {
+  const [loadError, setLoadError] = useState(null);
+
+  const handleUpload = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        onLoad(parse(reader.result));
+        setLoadError(null);
+      } catch (uploadError) {
+        setLoadError(`${file.name}: ${uploadError.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    if (errors.length > 0) return;
+    onApply(parse(JSON.stringify(draft)));
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <form
+        onSubmit={handleApply}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-y-auto p-6 border-t-8 border-[#DA291C] text-gray-700"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-black text-gray-800">{title}</h2>
+            <p className="text-xs text-gray-500">{subtitle}</p>
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-700"><X size={20} /></button>
+        </div>
+
+        {children}
+
+        {errors.length > 0 && (
+          <ul className="text-xs text-red-600 mb-4 list-disc pl-5 space-y-0.5">
+            {errors.map((error, index) => <li key={index}>{error}</li>)}
+          </ul>
+        )}
+        {loadError && <p className="text-xs text-red-600 mb-4">{loadError}</p>}
+
+        <div className="flex flex-wrap gap-2 justify-between">
+          <div className="flex gap-2">
+            <label className="text-xs font-bold border border-gray-200 rounded px-3 py-2 hover:border-[#DA291C] flex items-center gap-1 cursor-pointer" title="Load from a JSON file">
+              <Upload size={14} /> Load
+              <input type="file" accept=".json,application/json" onChange={handleUpload} className="hidden" />
+            </label>
+            <button
+              type="button"
+              onClick={() => downloadFile(filename, JSON.stringify(draft, null, 2), 'application/json')}
+              className="text-xs font-bold border border-gray-200 rounded px-3 py-2 hover:border-[#DA291C] flex items-center gap-1"
+              title="Download as JSON"
+            >
+              <Download size={14} /> JSON
+            </button>
+          </div>
+          <div className="flex gap-2">
+            <button type="button" onClick={onClose} className="text-sm font-bold text-gray-500 px-4 py-2 rounded-lg hover:bg-gray-100">Cancel</button>
+            <button
+              type="submit"
+              disabled={errors.length > 0}
+              className="text-sm font-bold bg-[#FFC72C] hover:bg-[#ffcf4d] disabled:opacity-50 text-[#DA291C] px-4 py-2 rounded-lg"
+            >
+              {applyLabel}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
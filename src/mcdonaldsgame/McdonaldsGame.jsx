@@ -1,15 +1,37 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useRef } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, AreaChart, Area } from 'recharts';
 import { Truck, Factory, Store, AlertCircle, ShoppingBag, DollarSign, TrendingUp, Package, Activity, Info, Bot, Cpu, BrainCircuit } from 'lucide-react';
+import { buildSessionDocument, sessionRecord } from '../shared/sessionExport';
+import ExportButtons from '../shared/ExportButtons';
+import MetricsTable from '../shared/MetricsTable';
+import { requestDecision, isAgentReady } from '../shared/agentClient';
+import { useAgentSettings } from '../shared/useAgentSettings';
+import { ORDERING_AGENTS, FALLBACK_AGENT, orderingAgentDecision } from '../shared/orderingAgents';
+import { createRandom, normalizeSeed, randomSeed } from '../shared/random';
+import { computeGameMetrics } from '../shared/metrics';
+import { EMPTY_SCENARIO, getActiveEvents, getFiringEvents, getScenarioEffects, getScenarioShockWeek } from '../shared/scenario';
+import ScenarioPicker from '../shared/ScenarioPicker';
+import ScenarioTimeline from '../shared/ScenarioTimeline';
+import { ALLOCATION_RULES } from './allocation';
+import { createSupplierState, getProductionInProgress, getSupplierTotals, processSupplier } from './supplier';
+import { DEFAULT_MENU, calculateIngredientDemand, getIngredient, getIngredientIds, getSuppliers, mapIngredients } from './menu';
+import RecipeEditor from './RecipeEditor';
+import { DEFAULT_RESTAURANTS, createServiceState, generateRestaurantOrders, getFillRate } from './restaurants';
+import RestaurantEditor from './RestaurantEditor';
+import { DC_POLICIES, MANUAL_POLICY, allocateShortage, getOwedTotal, settleDelivery } from './dcAllocation';
+import AllocationDialog from './AllocationDialog';
+import { consumeFifo, createBatch, getStock, receiveBatch, spoilExpired } from './perishables';
 
 // --- Constants & Config ---
 const MAX_WEEKS = 20;
 const HOLDING_COST = 0.50;
 const BACKLOG_COST = 2.00; // For DC
+const LOST_SALE_COST = 4.00; // Per ingredient unit a restaurant gave up waiting for
+const WASTE_COST = 1.50; // Per ingredient unit written off after its shelf life
 const SUPPLIER_BACKLOG_COST = 5.00; // Higher penalty for manufacturers to encourage stock
+const CAMPAIGN_WEEK = 5; // 'Mac for All' demand spike in the default scenario
 const LEAD_TIME = 2; // Weeks for delivery to DC
 const PRODUCTION_DELAY = 2; // Weeks for Manufacturer production
-const API_KEY = ""; // User to provide
 
 const THEME = {
   red: '#DA291C',
@@ -19,21 +41,114 @@ const THEME = {
   text: '#292929'
 };
 
+// --- Ingredients & Suppliers ---
+// Suppliers, ingredients and recipes come from the menu (see menu.js). Each
+// SKU has its own stock and production queue at the supplier; the allocation
+// rule splits the line when a capacity cut hits a multi-SKU plant.
+const DEFAULT_ALLOCATION_RULE = 'proportional';
+
+// Colours per ingredient, by position in the menu
+const INGREDIENT_STYLES = [
+  { border: 'border-yellow-400', badge: 'bg-yellow-50 text-yellow-800', text: 'text-yellow-600' },
+  { border: 'border-red-400', badge: 'bg-red-50 text-red-800', text: 'text-red-600' },
+  { border: 'border-blue-400', badge: 'bg-blue-50 text-blue-800', text: 'text-blue-600' },
+  { border: 'border-green-400', badge: 'bg-green-50 text-green-800', text: 'text-green-600' },
+  { border: 'border-purple-400', badge: 'bg-purple-50 text-purple-800', text: 'text-purple-600' },
+  { border: 'border-orange-400', badge: 'bg-orange-50 text-orange-800', text: 'text-orange-600' }
+];
+
+// --- Scenarios ---
+
+const MCD_SCENARIOS = {
+  'mac-for-all': {
+    name: "'Mac for All' Campaign",
+    description: 'A national campaign multiplies restaurant demand for two weeks.',
+    events: [
+      { week: CAMPAIGN_WEEK, type: 'demand-spike', multiplier: 2.5, message: "HEADQUARTERS ALERT: 'Mac for All' campaign starts now! Massive demand spike." },
+      { week: CAMPAIGN_WEEK + 1, type: 'demand-spike', multiplier: 1.8, message: 'Campaign demand is easing but still 80% above normal.' }
+    ]
+  },
+  none: EMPTY_SCENARIO,
+  'tyson-shutdown': {
+    name: 'Tyson Plant Shutdown',
+    description: 'A food-safety inspection closes the protein plant for three weeks.',
+    events: [
+      { week: 7, type: 'supplier-outage', target: 'tyson', duration: 3, message: 'Tyson plant closed for a food-safety inspection: no beef or fish ships for three weeks.' }
+    ]
+  },
+  'protein-line': {
+    name: 'Protein Line Slowdown',
+    description: "Tyson can only make 500 patties a week across beef and fish; its allocation rule decides which SKU gets the line.",
+    events: [
+      { week: 6, type: 'capacity-cut', target: 'tyson', capacity: 500, duration: 4 }
+    ]
+  },
+  'bakery-capacity': {
+    name: 'Bakery Line Breakdown',
+    description: 'Aryzta can only bake 1,500 buns a week while a line is repaired.',
+    events: [
+      { week: 4, type: 'capacity-cut', target: 'aryzta', capacity: 1500, duration: 6 }
+    ]
+  },
+  'port-congestion': {
+    name: 'Freight Congestion',
+    description: 'Trucking delays add two weeks to every delivery to the DC.',
+    events: [
+      { week: 6, type: 'lead-time-change', extraWeeks: 2, duration: 4 }
+    ]
+  },
+  'cold-chain': {
+    name: 'Cold-Chain Failure',
+    description: 'Broken reefer trucks spoil part of every protein delivery.',
+    events: [
+      { week: 9, type: 'shipment-loss', target: 'tyson', fraction: 0.3, duration: 3 }
+    ]
+  },
+  'energy-crisis': {
+    name: 'Energy Crisis',
+    description: 'Refrigerated storage costs double for the second half of the game.',
+    events: [
+      { week: 10, type: 'cost-change', holdingFactor: 2, duration: 11, message: 'Energy prices spike: holding inventory now costs twice as much.' }
+    ]
+  },
+};
+
 // --- Initial State Generators ---
-const generateInitialInventory = () => ({ buns: 1500, beef: 1000, fish: 500 });
-const generateEmptyOrder = () => ({ buns: 0, beef: 0, fish: 0 });
-
-// Internal state for an AI Supplier
-const generateSupplierState = (role, initialInv) => ({
-  role,
-  inventory: initialInv,
-  backlog: 0,
-  productionQueue: [], // { weekArrives, amount }
-  lastOrderReceived: 0,
-  history: [], // For AI context
-  lastReasoning: "Simulation started. Ready for orders.",
-  lastProductionOrder: 0
-});
+// Opening DC stock is one fresh batch per ingredient, usable from week 1
+const generateInitialBatches = (menu) => mapIngredients(menu, ingredient =>
+  (ingredient.dcStock > 0 ? [createBatch(ingredient.dcStock, 1, ingredient.shelfLife)] : []));
+const generateEmptyOrder = (menu) => mapIngredients(menu, () => 0);
+const generateInitialHistory = (menu) => [{
+  week: 0, inventory: menu.ingredients.reduce((sum, ingredient) => sum + ingredient.dcStock, 0), backlog: 0, spoiled: 0, demand: 0
+}];
+
+// Backorders per restaurant and ingredient
+const generateStoreBacklog = (restaurants, menu) =>
+  Object.fromEntries(restaurants.map(restaurant => [restaurant.id, generateEmptyOrder(menu)]));
+
+// Keeps each ingredient's rationing policy across menu edits
+const forEachIngredient = (menu, previous, fallback) => mapIngredients(menu, ingredient => previous[ingredient.id] ?? fallback);
+const DEFAULT_DC_POLICY = 'proportional';
+
+// Week 1 orders carry no noise, only a spike the scenario may open with
+const generateOpeningOrders = (restaurants, menu, scenario) =>
+  generateRestaurantOrders(restaurants, menu, 1, { spikeMultiplier: getScenarioEffects(scenario, 1).demandMultiplier });
+
+const WELCOME_MESSAGE = { type: 'info', text: 'Welcome, Martin Bower. Week 1 has started.' };
+
+// Internal state for the AI Suppliers, keyed by supplier id
+const LLM_AGENT = 'llm'; // Supplier agent option backed by the AI provider
+
+const generateSupplierStates = (menu) => {
+  const initialInventory = mapIngredients(menu, ingredient => ingredient.supplierStock);
+  return Object.fromEntries(getSuppliers(menu).map(supplier => [supplier.id, createSupplierState(supplier, initialInventory)]));
+};
+
+// Keeps per-supplier settings across menu edits, with defaults for new suppliers
+const forEachSupplier = (menu, previous, fallback) =>
+  Object.fromEntries(getSuppliers(menu).map(supplier => [supplier.id, previous[supplier.id] ?? fallback]));
+
+const aiPhase = (supplier) => `AI_${supplier.id.toUpperCase()}`;
 
 // --- UI Components (Defined Outside App to prevent re-render focus loss) ---
 
@@ -54,13 +169,14 @@ const OrderInput = ({ label, type, value, onChange, icon: Icon, color, disabled
   </div>
 );
 
-const StatCard = ({ title, value, subValue, icon: Icon, alert }) => (
+const StatCard = ({ title, value, subValue, detail, icon: Icon, alert }) => (
   <div className={`bg-white p-4 rounded-xl shadow-sm border-l-4 ${alert ? 'border-red-500 bg-red-50' : 'border-[#FFC72C]'} relative overflow-hidden`}>
     <div className="flex justify-between items-start z-10 relative">
       <div>
         <h3 className="text-gray-500 text-xs font-bold uppercase tracking-wider">{title}</h3>
         <div className="text-2xl font-black text-gray-800 mt-1">{value.toLocaleString()}</div>
         {subValue && <div className="text-xs text-red-600 font-bold mt-1">{subValue}</div>}
+        {detail && <div className="text-[10px] text-gray-400 mt-1">{detail}</div>}
       </div>
       <div className={`p-2 rounded-full ${alert ? 'bg-red-100 text-red-600' : 'bg-yellow-50 text-yellow-600'}`}>
         <Icon size={20} />
@@ -69,89 +185,183 @@ const StatCard = ({ title, value, subValue, icon: Icon, alert }) => (
   </div>
 );
 
+const SupplierAgentSelect = ({ value, onChange, disabled }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    disabled={disabled}
+    className="w-full mb-2 text-xs border border-gray-200 rounded px-2 py-1 bg-white text-gray-600 focus:outline-none focus:ring-2 focus:ring-[#FFC72C] disabled:opacity-50"
+  >
+    <option value={LLM_AGENT}>AI Agent (LLM)</option>
+    {Object.entries(ORDERING_AGENTS).map(([name, agent]) => (
+      <option key={name} value={name}>{agent.label}</option>
+    ))}
+  </select>
+);
+
+const AllocationRuleSelect = ({ value, onChange, disabled, label = 'When short', rules = ALLOCATION_RULES }) => (
+  <label className="flex items-center gap-2 mb-2 text-[10px] font-bold uppercase text-gray-400">
+    {label}
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      title={rules[value].description}
+      className="flex-1 text-xs normal-case font-normal border border-gray-200 rounded px-2 py-1 bg-white text-gray-600 focus:outline-none focus:ring-2 focus:ring-[#FFC72C] disabled:opacity-50"
+    >
+      {Object.entries(rules).map(([name, rule]) => (
+        <option key={name} value={name}>{rule.label}</option>
+      ))}
+    </select>
+  </label>
+);
+
 const App = () => {
+  // Re-render when the AI settings change on the Introduction screen
+  useAgentSettings();
+
   // --- Game State ---
   const [week, setWeek] = useState(1);
   const [gameOver, setGameOver] = useState(false);
-  const [turnPhase, setTurnPhase] = useState('PLAYER'); // PLAYER, AI_ARYZTA, AI_TYSON, PROCESSING
-  const [apiKey, setApiKey] = useState(API_KEY);
+  const [turnPhase, setTurnPhase] = useState('PLAYER'); // PLAYER, AI_<SUPPLIER> (see aiPhase), PROCESSING, ALLOCATING
+  // Drives all restaurant demand noise; can be changed until the first turn is played
+  const [seed, setSeed] = useState(randomSeed);
+  // Disruption script; like the seed it is fixed once the first turn is played
+  const [scenario, setScenario] = useState(MCD_SCENARIOS['mac-for-all']);
+  const canEditSeed = week === 1 && turnPhase === 'PLAYER';
+  // Suppliers, ingredients and recipes; editable before the first turn like the seed
+  const [menu, setMenu] = useState(DEFAULT_MENU);
+  const [isEditingMenu, setIsEditingMenu] = useState(false);
   
   // Resources (Player / DC)
-  const [inventory, setInventory] = useState(generateInitialInventory());
-  const [backlog, setBacklog] = useState({ buns: 0, beef: 0, fish: 0 });
+  // DC stock per ingredient as batches with an expiry week, oldest first (see perishables.js)
+  const [stockBatches, setStockBatches] = useState(() => generateInitialBatches(DEFAULT_MENU));
+  // Units written off so far, per ingredient
+  const [spoiled, setSpoiled] = useState(() => generateEmptyOrder(DEFAULT_MENU));
   const [totalCost, setTotalCost] = useState(0);
+  // How each ingredient is rationed between restaurants when the DC is short
+  const [allocationPolicies, setAllocationPolicies] = useState(() => forEachIngredient(DEFAULT_MENU, {}, DEFAULT_DC_POLICY));
+  // Manual allocation waiting for the player ({ shortages, resolve })
+  const [pendingAllocation, setPendingAllocation] = useState(null);
 
   // AI Opponents (Upstream)
-  const [aryztaState, setAryztaState] = useState(generateSupplierState("Aryzta (Buns)", 3000));
-  const [tysonState, setTysonState] = useState(generateSupplierState("Tyson (Protein)", 3000));
+  const [supplierStates, setSupplierStates] = useState(() => generateSupplierStates(DEFAULT_MENU));
+  // Who decides production for each supplier: the LLM or a named heuristic agent
+  const [supplierAgents, setSupplierAgents] = useState(() => forEachSupplier(DEFAULT_MENU, {}, LLM_AGENT));
+  // How a multi-SKU supplier splits its line when it cannot make everything
+  const [allocationRules, setAllocationRules] = useState(() => forEachSupplier(DEFAULT_MENU, {}, DEFAULT_ALLOCATION_RULE));
   
   // Simulation Data
-  const [history, setHistory] = useState([{ week: 0, inventory: 3000, backlog: 0, demand: 0 }]);
-  const [messages, setMessages] = useState([{ type: 'info', text: 'Welcome, Martin Bower. Week 1 has started.' }]);
+  const [history, setHistory] = useState(() => generateInitialHistory(DEFAULT_MENU));
+  const [sessionLog, setSessionLog] = useState([]); // Per-week, per-role records for export
+  const [messages, setMessages] = useState([WELCOME_MESSAGE]);
   
   // Demand (Restaurants)
-  const [storeOrders, setStoreOrders] = useState({
-    storeA: { bigMacs: 100, filets: 20 },
-    storeB: { bigMacs: 90, filets: 30 },
-    storeC: { bigMacs: 110, filets: 10 }
-  });
+  // Restaurants (demand profiles) and how well each has been served so far
+  const [restaurants, setRestaurants] = useState(DEFAULT_RESTAURANTS);
+  const [isEditingRestaurants, setIsEditingRestaurants] = useState(false);
+  const [storeService, setStoreService] = useState(() => createServiceState(DEFAULT_RESTAURANTS));
+  const [storeBacklog, setStoreBacklog] = useState(() => generateStoreBacklog(DEFAULT_RESTAURANTS, DEFAULT_MENU));
+  const [storeOrders, setStoreOrders] = useState(() => generateOpeningOrders(DEFAULT_RESTAURANTS, DEFAULT_MENU, MCD_SCENARIOS['mac-for-all']));
   
-  const [currentDemand, setCurrentDemand] = useState({ buns: 0, beef: 0, fish: 0 });
+  const [currentDemand, setCurrentDemand] = useState(() => calculateIngredientDemand(DEFAULT_MENU, storeOrders));
 
   // Supply Chain (Shipments in transit from Supplier to DC)
   const [shipments, setShipments] = useState([]);
 
   // User Input
-  const [playerOrder, setPlayerOrder] = useState({ buns: 0, beef: 0, fish: 0 });
+  const [playerOrder, setPlayerOrder] = useState(() => generateEmptyOrder(DEFAULT_MENU));
 
   // --- Helpers ---
 
+  const suppliers = getSuppliers(menu);
+  const ingredientIds = getIngredientIds(menu);
+  const supplierTargets = Object.fromEntries(suppliers.map(supplier => [supplier.id, supplier.name]));
+  const scenarioOptions = { targets: supplierTargets, totalWeeks: MAX_WEEKS };
+  const ingredientLabel = (id) => getIngredient(menu, id).label;
+  const ingredientStyle = (id) => INGREDIENT_STYLES[ingredientIds.indexOf(id) % INGREDIENT_STYLES.length];
+  const supplierName = (ingredient) => supplierTargets[ingredient.supplier];
+  const inventory = mapIngredients(menu, ingredient => getStock(stockBatches[ingredient.id]));
+  // The DC's backlog is what it owes the restaurants
+  const backlog = mapIngredients(menu, ingredient => restaurants.reduce((sum, restaurant) => sum + storeBacklog[restaurant.id][ingredient.id], 0));
+
+  // Stock by use-by week for the inventory cards; null for stock that keeps
+  const describeBatches = (id) => {
+    const batches = stockBatches[id].filter(batch => batch.expiresWeek !== null);
+    const wasted = spoiled[id] > 0 ? [`${spoiled[id]} written off`] : [];
+    const lines = [...batches.map(batch => (batch.expiresWeek === week ? `${batch.units} expire this week` : `${batch.units} use by Wk ${batch.expiresWeek}`)), ...wasted];
+    return lines.length > 0 ? lines.join(' · ') : null;
+  };
+
   const addMessage = (type, text) => {
     setMessages(prev => [{ type, text }, ...prev].slice(0, 10)); 
   };
 
-  const calculateIngredientDemand = (orders) => {
-    let bunsNeeded = 0;
-    let beefNeeded = 0;
-    let fishNeeded = 0;
+  // Week 1 demand and announcements follow the chosen scenario
+  const changeScenario = (nextScenario) => {
+    const firstOrders = generateOpeningOrders(restaurants, menu, nextScenario);
+    setScenario(nextScenario);
+    setStoreOrders(firstOrders);
+    setCurrentDemand(calculateIngredientDemand(menu, firstOrders));
+    setMessages([
+      ...getFiringEvents(nextScenario, 1, supplierTargets).reverse().map(event => ({ type: 'warning', text: event.text })),
+      WELCOME_MESSAGE
+    ]);
+  };
 
-    Object.values(orders).forEach(order => {
-      bunsNeeded += (order.bigMacs * 3) + (order.filets * 2);
-      beefNeeded += (order.bigMacs * 2);
-      fishNeeded += (order.filets * 1);
-    });
+  // A new menu restarts week 1 with its own stock, suppliers and demand
+  const changeMenu = (nextMenu) => {
+    const firstOrders = generateOpeningOrders(restaurants, nextMenu, scenario);
+    setMenu(nextMenu);
+    setStockBatches(generateInitialBatches(nextMenu));
+    setSpoiled(generateEmptyOrder(nextMenu));
+    setStoreBacklog(generateStoreBacklog(restaurants, nextMenu));
+    setAllocationPolicies(prev => forEachIngredient(nextMenu, prev, DEFAULT_DC_POLICY));
+    setPlayerOrder(generateEmptyOrder(nextMenu));
+    setHistory(generateInitialHistory(nextMenu));
+    setSupplierStates(generateSupplierStates(nextMenu));
+    setSupplierAgents(prev => forEachSupplier(nextMenu, prev, LLM_AGENT));
+    setAllocationRules(prev => forEachSupplier(nextMenu, prev, DEFAULT_ALLOCATION_RULE));
+    setShipments([]);
+    setStoreOrders(firstOrders);
+    setCurrentDemand(calculateIngredientDemand(nextMenu, firstOrders));
+    addMessage('info', `Menu updated: ${nextMenu.items.map(item => item.label).join(', ')}.`);
+  };
 
-    return { buns: bunsNeeded, beef: beefNeeded, fish: fishNeeded };
+  const changeRestaurants = (nextRestaurants) => {
+    const firstOrders = generateOpeningOrders(nextRestaurants, menu, scenario);
+    setRestaurants(nextRestaurants);
+    setStoreService(createServiceState(nextRestaurants));
+    setStoreBacklog(generateStoreBacklog(nextRestaurants, menu));
+    setStoreOrders(firstOrders);
+    setCurrentDemand(calculateIngredientDemand(menu, firstOrders));
+    addMessage('info', `Restaurant network updated: ${nextRestaurants.length} restaurants.`);
   };
 
   // --- Gemini AI Integration ---
 
-  const getAITurn = async (agentName, agentState, currentDemandFromPlayer) => {
-    if (!apiKey) {
-      console.warn("No API Key provided, using fallback logic.");
-      // Fallback: Simple Order-Up-To Policy
-      const target = agentState.lastOrderReceived * 1.5 || 200;
-      const order = Math.max(0, target - agentState.inventory + agentState.backlog);
-      return { 
-        order: Math.round(order), 
-        reasoning: "API Key missing. Fallback strategy: Target inventory maintenance." 
-      };
-    }
-
+  const getAITurn = async (supplier, sku, skuState, currentDemandFromPlayer, fallback) => {
+    const otherSkus = supplier.skus.filter(other => other !== sku).map(other => ingredientLabel(other));
+    // The rates this week's costs are charged at, after any cost-change event
+    const costEffects = getScenarioEffects(scenario, week);
+    const holdingCost = HOLDING_COST * costEffects.holdingFactor;
+    const backlogCost = SUPPLIER_BACKLOG_COST * costEffects.backlogFactor;
     const prompt = `
       You are playing a Supply Chain Simulation Game.
-      Role: Factory Manager for ${agentName}.
-      Goal: Minimize costs. Holding Cost: $0.50/unit. Backlog Penalty: $2.00/unit.
+      Role: Factory Manager for ${supplier.name} (${supplier.product}), deciding production of ${ingredientLabel(sku)}.
+      Goal: Minimize costs. Holding Cost: $${holdingCost.toFixed(2)}/unit/week. Backlog Penalty: $${backlogCost.toFixed(2)}/unit/week (the Distributor pays $${(BACKLOG_COST * costEffects.backlogFactor).toFixed(2)}/unit/week on its own backlog).
       
-      Current State:
+      Current State (${ingredientLabel(sku)} only):
       - Week: ${week}
-      - Your Inventory: ${agentState.inventory}
-      - Your Backlog (Owed to Distributor): ${agentState.backlog}
+      - Your Inventory: ${skuState.inventory}
+      - Your Backlog (Owed to Distributor): ${skuState.backlog}
+      - In Production: ${getProductionInProgress(skuState, week)}
       - Incoming Order from Distributor (Player): ${currentDemandFromPlayer} units
-      - History (Last 3 Weeks): ${JSON.stringify(agentState.history.slice(-3))}
+      - History (Last 3 Weeks): ${JSON.stringify(skuState.history.slice(-3))}
       
       Constraint:
-      - Production Delay: ${PRODUCTION_DELAY} weeks. (Order placed now arrives in Week ${week + PRODUCTION_DELAY}).
+      - Production Delay: ${PRODUCTION_DELAY} weeks. (Order placed now arrives in Week ${week + PRODUCTION_DELAY}).${otherSkus.length > 0 ? `
+      - ${otherSkus.join(', ')} share your production line. If capacity is cut, the line is split by the ${ALLOCATION_RULES[allocationRules[supplier.id]].label} rule.` : ''}
       - Avoid the Bullwhip Effect (do not over-react to spikes, but do not stockout).
       
       Task: Decide your PRODUCTION ORDER quantity for this week.
@@ -163,232 +373,298 @@ const App = () => {
       }
     `;
 
-    try {
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: { responseMimeType: "application/json" }
-        })
-      });
+    return requestDecision({ prompt, fallback });
+  };
+
+  // Maps one SKU of a supplier onto the shared heuristic agents' observation
+  const supplierObservation = (sku, skuState, currentDemandFromPlayer) => {
+    const demandHistory = [...skuState.history.map(h => h.orderReceived), currentDemandFromPlayer];
+    return {
+      inventory: skuState.inventory,
+      backlog: skuState.backlog,
+      incomingDemand: currentDemandFromPlayer,
+      supplyLine: getProductionInProgress(skuState, week),
+      demandHistory,
+      leadTime: PRODUCTION_DELAY,
+      baseline: { inventory: getIngredient(menu, sku).supplierStock, demand: demandHistory[0] }
+    };
+  };
 
-      const data = await response.json();
-      const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-      const result = JSON.parse(text);
-      return result;
-    } catch (error) {
-      console.error("Gemini API Error:", error);
-      return { order: currentDemandFromPlayer, reasoning: "AI Brain Freeze (Error). Matching demand." };
+  // One production decision per SKU, each against the DC's order for that SKU
+  const getSupplierDecision = (supplier, sku, currentDemandFromPlayer) => {
+    const skuState = supplierStates[supplier.id].skus[sku];
+    const observation = supplierObservation(sku, skuState, currentDemandFromPlayer);
+    const agent = supplierAgents[supplier.id];
+    if (agent !== LLM_AGENT) {
+      return Promise.resolve(orderingAgentDecision(agent, {}, observation));
     }
+    return getAITurn(supplier, sku, skuState, currentDemandFromPlayer, orderingAgentDecision(FALLBACK_AGENT, {}, observation));
   };
 
   // --- Game Loop Logic ---
 
-  useEffect(() => {
-    const demand = calculateIngredientDemand(storeOrders);
-    setCurrentDemand(demand);
-  }, []);
-
   // Triggered when Player clicks "Start AI Turn"
   const startTurnSequence = async () => {
     if (week >= MAX_WEEKS) return;
     
-    // 1. Player Turn Done -> Switch to Aryzta
-    setTurnPhase('AI_ARYZTA');
-    
-    // Execute Aryzta Logic
-    const bunsOrderFromPlayer = playerOrder.buns;
-    
-    // Artificial delay for UI "Thinking"
-    await new Promise(r => setTimeout(r, 1000));
-    
-    const aryztaDecision = await getAITurn("Aryzta (Buns)", aryztaState, bunsOrderFromPlayer);
-    
-    // Update Aryzta Internal State
-    setAryztaState(prev => ({
-      ...prev,
-      lastReasoning: aryztaDecision.reasoning,
-      lastProductionOrder: aryztaDecision.order,
-      history: [...prev.history, { week, orderReceived: bunsOrderFromPlayer, inventory: prev.inventory, production: aryztaDecision.order }]
-    }));
+    // 1. Player Turn Done -> each supplier decides in turn
+    const decisions = {};
+    for (const supplier of suppliers) {
+      setTurnPhase(aiPhase(supplier));
 
-    // 2. Switch to Tyson
-    setTurnPhase('AI_TYSON');
-    
-    // Execute Tyson Logic (Combined Beef+Fish for simplicity of API call)
-    const totalMeatOrder = playerOrder.beef + playerOrder.fish;
-    
-    await new Promise(r => setTimeout(r, 1000));
-    const tysonDecision = await getAITurn("Tyson (Meat)", tysonState, totalMeatOrder);
-    
-    setTysonState(prev => ({
-      ...prev,
-      lastReasoning: tysonDecision.reasoning,
-      lastProductionOrder: tysonDecision.order,
-       history: [...prev.history, { week, orderReceived: totalMeatOrder, inventory: prev.inventory, production: tysonDecision.order }]
-    }));
+      // Artificial delay for UI "Thinking"
+      await new Promise(r => setTimeout(r, 1000));
+
+      decisions[supplier.id] = {};
+      for (const sku of supplier.skus) {
+        decisions[supplier.id][sku] = await getSupplierDecision(supplier, sku, playerOrder[sku]);
+      }
+    }
 
-    // 3. Resolve Week
+    // 2. Resolve Week
     setTurnPhase('PROCESSING');
     await new Promise(r => setTimeout(r, 500));
-    resolveWeek(aryztaDecision.order, tysonDecision.order);
+    await resolveWeek(decisions);
   };
 
-  const resolveWeek = (aryztaProduction, tysonProduction) => {
+  // Opens the allocation dialog and resolves with the player's split
+  // ({ ingredient: { storeId: units } }) once it is shipped
+  const allocateManually = (shortages) => {
+    setTurnPhase('ALLOCATING');
+    return new Promise(resolve => setPendingAllocation({ shortages, resolve }));
+  };
+
+  const confirmAllocation = (allocations) => {
+    pendingAllocation.resolve(allocations);
+    setPendingAllocation(null);
+    setTurnPhase('PROCESSING');
+  };
+
+  // `decisions` holds each supplier's production decision per SKU
+  const resolveWeek = async (decisions) => {
     // --- Step 1: Upstream (Supplier) Logic ---
     
-    // Function to handle a single supplier's logic
-    const processSupplier = (state, productionAmount, playerOrderAmount) => {
-      let newState = { ...state };
-      
-      // 1. Receive Production (placed 2 weeks ago)
-      const arrivingProduction = newState.productionQueue.find(p => p.weekArrives === week + 1);
-      if (arrivingProduction) {
-        newState.inventory += arrivingProduction.amount;
-      }
-      
-      // 2. Queue New Production (from AI decision)
-      newState.productionQueue.push({ weekArrives: week + 1 + PRODUCTION_DELAY, amount: productionAmount });
-      
-      // 3. Ship to Player
-      const totalOwed = playerOrderAmount + newState.backlog;
-      let shippedAmount = 0;
-      
-      if (newState.inventory >= totalOwed) {
-        shippedAmount = totalOwed;
-        newState.inventory -= totalOwed;
-        newState.backlog = 0;
-      } else {
-        shippedAmount = newState.inventory;
-        newState.backlog = totalOwed - newState.inventory;
-        newState.inventory = 0;
-      }
-      
-      newState.lastOrderReceived = playerOrderAmount;
-      return { newState, shippedAmount };
-    };
+    // Disruptions active this week (see the scenario timeline)
+    const supplierEffects = Object.fromEntries(suppliers.map(supplier => [supplier.id, getScenarioEffects(scenario, week, supplier.id)]));
+    const costEffects = getScenarioEffects(scenario, week);
 
-    // Process Aryzta (Buns)
-    const aryztaResult = processSupplier(aryztaState, aryztaProduction, playerOrder.buns);
-    setAryztaState(aryztaResult.newState);
+    const supplierResults = Object.fromEntries(suppliers.map(supplier => [supplier.id, processSupplier(supplierStates[supplier.id], {
+      week,
+      orders: playerOrder,
+      decisions: decisions[supplier.id],
+      effects: supplierEffects[supplier.id],
+      rule: allocationRules[supplier.id],
+      productionDelay: PRODUCTION_DELAY
+    })]));
+    setSupplierStates(Object.fromEntries(suppliers.map(supplier => [supplier.id, supplierResults[supplier.id].newState])));
 
-    // Process Tyson (Beef & Fish)
-    const tysonResult = processSupplier(tysonState, tysonProduction, playerOrder.beef + playerOrder.fish);
-    setTysonState(tysonResult.newState);
-    
-    // BUT we need to know specifically how many Beef vs Fish were shipped.
-    let shippedBeef = playerOrder.beef;
-    let shippedFish = playerOrder.fish;
-    const tysonDemandTotal = playerOrder.beef + playerOrder.fish + tysonState.backlog; // Approx
-    
-    // Service Level Ratio
-    const serviceLevel = tysonDemandTotal > 0 ? tysonResult.shippedAmount / tysonDemandTotal : 1;
-    shippedBeef = Math.floor(playerOrder.beef * serviceLevel);
-    shippedFish = Math.floor(playerOrder.fish * serviceLevel);
+    // Explain capacity cuts per SKU, with the rule that split a shared line
+    suppliers.forEach(supplier => {
+      const { results } = supplierResults[supplier.id];
+      if (supplier.skus.every(sku => results[sku].produced >= results[sku].requested)) return;
+      const split = supplier.skus.map(sku => `${results[sku].produced} / ${results[sku].requested} ${ingredientLabel(sku)}`).join(', ');
+      const rule = supplier.skus.length > 1 ? ` (${ALLOCATION_RULES[allocationRules[supplier.id]].label} allocation)` : '';
+      addMessage('warning', `${supplier.name} capacity cut: only ${split} go into production${rule}.`);
+    });
     
     // --- Step 2: Midstream (Player) Logic ---
 
-    // Create Shipment Object for Player (Arrives in 2 weeks)
-    const newShipment = {
-      arrivalWeek: week + 1 + LEAD_TIME, 
-      quantities: {
-        buns: aryztaResult.shippedAmount,
-        beef: shippedBeef,
-        fish: shippedFish
+    // Create Shipment Objects for Player (Arrive in 2 weeks unless a lead-time
+    // change applies; part of the load can be lost in transit)
+    const createShipment = (supplier, effects, quantities) => {
+      const lost = Object.fromEntries(Object.entries(quantities).map(([item, amount]) => [item, Math.round(amount * effects.lossFraction)]));
+      const totalLost = Object.values(lost).reduce((sum, amount) => sum + amount, 0);
+      if (totalLost > 0) {
+        addMessage('error', `${supplier} shipment damaged in transit: ${totalLost} units lost.`);
       }
+      return {
+        supplier,
+        arrivalWeek: Math.max(week + 1, week + 1 + LEAD_TIME + effects.extraWeeks),
+        quantities: Object.fromEntries(Object.entries(quantities).map(([item, amount]) => [item, amount - lost[item]]))
+      };
     };
     
-    const updatedShipments = [...shipments, newShipment];
+    const updatedShipments = [
+      ...shipments,
+      ...suppliers.map(supplier => createShipment(
+        supplier.name,
+        supplierEffects[supplier.id],
+        Object.fromEntries(supplier.skus.map(sku => [sku, supplierResults[supplier.id].results[sku].shipped]))
+      ))
+    ];
     setShipments(updatedShipments);
     
-    // Log if Suppliers shorted the player
-    if (aryztaResult.shippedAmount < playerOrder.buns) {
-      addMessage('warning', `Aryzta Stockout! Only shipped ${aryztaResult.shippedAmount} / ${playerOrder.buns} Buns.`);
-    }
-    if (shippedBeef < playerOrder.beef || shippedFish < playerOrder.fish) {
-      addMessage('warning', `Tyson Stockout! Shorted Beef/Fish shipments.`);
-    }
+    // Log every SKU a supplier could not ship in full
+    suppliers.forEach(supplier => {
+      const { results } = supplierResults[supplier.id];
+      const shorted = supplier.skus.filter(sku => results[sku].shipped < results[sku].owed);
+      if (shorted.length === 0) return;
+      const reason = supplierEffects[supplier.id].outage ? ' (plant shut down)' : '';
+      addMessage('warning', `${supplier.name} Stockout${reason}! ${shorted.map(sku => `Only shipped ${results[sku].shipped} / ${results[sku].owed} ${ingredientLabel(sku)}`).join('; ')}.`);
+    });
 
     // --- Step 3: Player Receive & Consume (Standard Logic) ---
     
-    // Receive Old Shipments
-    const arrivingShipment = updatedShipments.find(s => s.arrivalWeek === week + 1);
-    let newInventory = { ...inventory };
-    
-    if (arrivingShipment) {
-      newInventory.buns += arrivingShipment.quantities.buns;
-      newInventory.beef += arrivingShipment.quantities.beef;
-      newInventory.fish += arrivingShipment.quantities.fish;
-      addMessage('success', `Shipment arrived! +${arrivingShipment.quantities.buns} Buns, +${arrivingShipment.quantities.beef} Beef...`);
+    // Receive Old Shipments (both suppliers can deliver in the same week)
+    const arrivingShipments = updatedShipments.filter(s => s.arrivalWeek === week + 1);
+    const received = generateEmptyOrder(menu);
+    arrivingShipments.forEach(s => {
+      Object.entries(s.quantities).forEach(([item, amount]) => {
+        received[item] += amount;
+      });
+    });
+    // Deliveries go to the back of the batch list; they are usable from this week
+    const receivedBatches = mapIngredients(menu, ingredient =>
+      receiveBatch(stockBatches[ingredient.id], received[ingredient.id], week, ingredient.shelfLife));
+    const newInventory = mapIngredients(menu, ({ id: item }) => getStock(receivedBatches[item]));
+    const receivedItems = ingredientIds.filter(item => received[item] > 0);
+    if (receivedItems.length > 0) {
+      addMessage('success', `Shipment arrived! ${receivedItems.map(item => `+${received[item]} ${ingredientLabel(item)}`).join(', ')}`);
     }
 
-    // Determine Total Demand (Current Week + Backlog)
-    const totalNeeds = {
-      buns: currentDemand.buns + backlog.buns,
-      beef: currentDemand.beef + backlog.beef,
-      fish: currentDemand.fish + backlog.fish
-    };
+    // Each restaurant is owed last week's backorder plus this week's need
+    const storeIds = restaurants.map(restaurant => restaurant.id);
+    const storeNeeds = Object.fromEntries(storeIds.map(id => [id, calculateIngredientDemand(menu, { [id]: storeOrders[id] })]));
+    const owed = mapIngredients(menu, ({ id: item }) => Object.fromEntries(storeIds.map(id => [id, { backlog: storeBacklog[id][item], new: storeNeeds[id][item] }])));
+    const owedTotal = (item) => storeIds.reduce((sum, id) => sum + getOwedTotal(owed[item][id]), 0);
 
-    // Fulfill
-    let newBacklog = { buns: 0, beef: 0, fish: 0 };
-    ['buns', 'beef', 'fish'].forEach(item => {
-      if (newInventory[item] >= totalNeeds[item]) {
-        newInventory[item] -= totalNeeds[item];
-        newBacklog[item] = 0;
-      } else {
-        newBacklog[item] = totalNeeds[item] - newInventory[item];
-        newInventory[item] = 0;
-      }
+    // Ration what the DC cannot cover with each ingredient's policy
+    const shortItems = ingredientIds.filter(item => owedTotal(item) > newInventory[item]);
+    const manualShortages = shortItems
+      .filter(item => allocationPolicies[item] === MANUAL_POLICY)
+      .map(item => ({ item, label: ingredientLabel(item), available: newInventory[item], owed: owed[item] }));
+    const manualSplit = manualShortages.length > 0 ? await allocateManually(manualShortages) : {};
+    const sent = mapIngredients(menu, ({ id: item }) => {
+      if (!shortItems.includes(item)) return Object.fromEntries(storeIds.map(id => [id, getOwedTotal(owed[item][id])]));
+      return manualSplit[item] ?? allocateShortage(allocationPolicies[item], newInventory[item], owed[item], restaurants);
     });
+    shortItems.forEach(item => {
+      addMessage('warning', `${ingredientLabel(item)} short: ${newInventory[item]} in stock for ${owedTotal(item)} owed (${DC_POLICIES[allocationPolicies[item]].label} allocation).`);
+    });
+
+    // Ship oldest batches first, then write off what expires this week
+    const fulfilled = mapIngredients(menu, ({ id: item }) => storeIds.reduce((sum, id) => sum + sent[item][id], 0));
+    const spoilage = mapIngredients(menu, ({ id: item }) => spoilExpired(consumeFifo(receivedBatches[item], fulfilled[item]), week));
+    const newBatches = mapIngredients(menu, ({ id: item }) => spoilage[item].batches);
+    const spoiledThisWeek = mapIngredients(menu, ({ id: item }) => spoilage[item].spoiled);
+    ingredientIds.forEach(item => {
+      newInventory[item] = getStock(newBatches[item]);
+    });
+    const spoiledItems = ingredientIds.filter(item => spoiledThisWeek[item] > 0);
+    if (spoiledItems.length > 0) {
+      addMessage('warning', `Spoilage write-off: ${spoiledItems.map(item => `${spoiledThisWeek[item]} ${ingredientLabel(item)}`).join(', ')} expired at the DC.`);
+    }
+
+    // Backorders are served first; one still open after this week is a lost
+    // sale, the unfilled part of this week's need waits one week
+    const settled = Object.fromEntries(storeIds.map(id => [id, mapIngredients(menu, ({ id: item }) => settleDelivery(owed[item][id], sent[item][id]))]));
+    const newStoreBacklog = Object.fromEntries(storeIds.map(id => [id, mapIngredients(menu, ({ id: item }) => settled[id][item].backlog)]));
+    const newBacklog = mapIngredients(menu, ({ id: item }) => storeIds.reduce((sum, id) => sum + newStoreBacklog[id][item], 0));
+    const sumOf = (amounts) => ingredientIds.reduce((sum, item) => sum + amounts[item], 0);
+    const storeLost = Object.fromEntries(storeIds.map(id => [id, mapIngredients(menu, ({ id: item }) => settled[id][item].lost)]));
+    const nextStoreService = Object.fromEntries(storeIds.map(id => {
+      const short = Object.fromEntries(ingredientIds
+        .filter(item => newStoreBacklog[id][item] > 0)
+        .map(item => [item, newStoreBacklog[id][item]]));
+      const isShort = Object.keys(short).length > 0;
+      return [id, {
+        requested: storeService[id].requested + sumOf(storeNeeds[id]),
+        filled: storeService[id].filled + sumOf(mapIngredients(menu, ({ id: item }) => settled[id][item].filledNew)),
+        lostSales: storeService[id].lostSales + sumOf(storeLost[id]),
+        shortWeeks: storeService[id].shortWeeks + (isShort ? 1 : 0),
+        lastShort: isShort ? { week, units: short } : storeService[id].lastShort
+      }];
+    }));
+    const shortedStores = restaurants.filter(restaurant => nextStoreService[restaurant.id].lastShort?.week === week);
+    if (shortedStores.length > 0) {
+      addMessage('error', `Restaurants shorted this week: ${shortedStores.map(restaurant => restaurant.name).join(', ')}.`);
+    }
+    const lostStores = restaurants.filter(restaurant => sumOf(storeLost[restaurant.id]) > 0);
+    if (lostStores.length > 0) {
+      addMessage('error', `Lost sales after a week of backorder: ${lostStores.map(restaurant => `${restaurant.name} ${sumOf(storeLost[restaurant.id])} units`).join(', ')}.`);
+    }
+    const lostSales = mapIngredients(menu, ({ id: item }) => storeIds.reduce((sum, id) => sum + storeLost[id][item], 0));
 
     // Costs
-    const totalItemsHeld = newInventory.buns + newInventory.beef + newInventory.fish;
-    const totalItemsBacklog = newBacklog.buns + newBacklog.beef + newBacklog.fish;
-    const weeklyCost = (totalItemsHeld * HOLDING_COST) + (totalItemsBacklog * BACKLOG_COST);
+    const totalItemsHeld = Object.values(newInventory).reduce((sum, amount) => sum + amount, 0);
+    const totalItemsBacklog = Object.values(newBacklog).reduce((sum, amount) => sum + amount, 0);
+    const holdingCost = HOLDING_COST * costEffects.holdingFactor;
+    const backlogCost = BACKLOG_COST * costEffects.backlogFactor;
+    const totalLostSales = sumOf(lostSales);
+    const totalSpoiled = sumOf(spoiledThisWeek);
+    const weeklyCost = (totalItemsHeld * holdingCost) + (totalItemsBacklog * backlogCost) + (totalLostSales * LOST_SALE_COST) + (totalSpoiled * WASTE_COST);
     const newTotalCost = totalCost + weeklyCost;
 
     if (totalItemsBacklog > 0) {
       addMessage('error', `Stockout! Backlog of ${totalItemsBacklog} units incurred penalty.`);
     }
 
+    // Session records for export (DC per ingredient, then each supplier)
+    const supplierRecords = suppliers.flatMap(supplier => supplier.skus.map(sku => {
+      const { newState, results } = supplierResults[supplier.id];
+      const skuState = newState.skus[sku];
+      return sessionRecord({
+        week,
+        role: supplier.name,
+        item: sku,
+        demand: playerOrder[sku],
+        order: decisions[supplier.id][sku].order,
+        received: results[sku].arriving,
+        shipped: results[sku].shipped,
+        inventory: skuState.inventory,
+        backlog: skuState.backlog,
+        cost: (skuState.inventory * holdingCost) + (skuState.backlog * SUPPLIER_BACKLOG_COST * costEffects.backlogFactor),
+        reasoning: decisions[supplier.id][sku].reasoning
+      });
+    }));
+    setSessionLog(prev => [
+      ...prev,
+      ...ingredientIds.map(item => sessionRecord({
+        week,
+        role: 'Regional DC',
+        item,
+        demand: currentDemand[item],
+        order: playerOrder[item],
+        received: received[item],
+        shipped: fulfilled[item],
+        inventory: newInventory[item],
+        backlog: newBacklog[item],
+        lostSales: lostSales[item],
+        spoiled: spoiledThisWeek[item],
+        cost: (newInventory[item] * holdingCost) + (newBacklog[item] * backlogCost) + (lostSales[item] * LOST_SALE_COST) + (spoiledThisWeek[item] * WASTE_COST)
+      })),
+      ...supplierRecords
+    ]);
+
     // --- Step 4: Generate Next Week Demand ---
     const nextWeek = week + 1;
-    let multiplier = 1.0;
-    
-    // Bullwhip Trigger
-    if (nextWeek === 5) {
-      multiplier = 2.5;
-      addMessage('warning', "HEADQUARTERS ALERT: 'Mac for All' campaign starts now! Massive demand spike.");
-    } else if (nextWeek === 6) multiplier = 1.8;
-    else multiplier = 0.8 + (Math.random() * 0.4);
-
-    const generateStoreDemand = (baseBM, baseF) => ({
-      bigMacs: Math.floor(baseBM * multiplier),
-      filets: Math.floor(baseF * multiplier)
-    });
 
-    const nextStoreOrders = {
-      storeA: generateStoreDemand(100, 20),
-      storeB: generateStoreDemand(90, 30),
-      storeC: generateStoreDemand(110, 10)
-    };
+    // Bullwhip Trigger: scenario demand spikes replace the usual noise
+    getFiringEvents(scenario, nextWeek, supplierTargets).forEach(event => addMessage('warning', event.text));
+    const spiking = getActiveEvents(scenario, nextWeek).some(event => event.type === 'demand-spike');
+    const nextStoreOrders = generateRestaurantOrders(restaurants, menu, nextWeek, spiking
+      ? { spikeMultiplier: getScenarioEffects(scenario, nextWeek).demandMultiplier }
+      // One generator per week, so a week's demand depends only on the seed
+      : { random: createRandom(`${seed}:${nextWeek}`) });
     
-    const nextIngredientDemand = calculateIngredientDemand(nextStoreOrders);
+    const nextIngredientDemand = calculateIngredientDemand(menu, nextStoreOrders);
 
     // Update All State
-    setInventory(newInventory);
-    setBacklog(newBacklog);
+    setStockBatches(newBatches);
+    setSpoiled(prev => mapIngredients(menu, ({ id: item }) => prev[item] + spoiledThisWeek[item]));
+    setStoreBacklog(newStoreBacklog);
     setTotalCost(newTotalCost);
     setStoreOrders(nextStoreOrders);
+    setStoreService(nextStoreService);
     setCurrentDemand(nextIngredientDemand);
     setWeek(nextWeek);
-    setPlayerOrder(generateEmptyOrder());
+    setPlayerOrder(generateEmptyOrder(menu));
     
     setHistory(prev => [...prev, {
       week: nextWeek,
       inventory: totalItemsHeld,
       backlog: totalItemsBacklog,
+      spoiled: totalSpoiled,
       cost: newTotalCost
     }]);
 
@@ -396,13 +672,44 @@ const App = () => {
     setTurnPhase('PLAYER');
   };
 
+  const shockWeek = getScenarioShockWeek(scenario, CAMPAIGN_WEEK);
+  const thinkingSupplier = suppliers.find(supplier => aiPhase(supplier) === turnPhase);
+
+  const buildSession = () => buildSessionDocument({
+    simulation: 'mcdonalds-dc',
+    settings: {
+      maxWeeks: MAX_WEEKS,
+      holdingCost: HOLDING_COST,
+      backlogCost: BACKLOG_COST,
+      lostSaleCost: LOST_SALE_COST,
+      wasteCost: WASTE_COST,
+      supplierBacklogCost: SUPPLIER_BACKLOG_COST,
+      leadTime: LEAD_TIME,
+      productionDelay: PRODUCTION_DELAY,
+      menu,
+      restaurants,
+      supplierAgents,
+      allocationRules,
+      allocationPolicies,
+      seed,
+      scenario
+    },
+    summary: {
+      weeksPlayed: week,
+      totalCost,
+      spoiledUnits: spoiled,
+      restaurantService: storeService
+    },
+    records: sessionLog
+  });
+
   return (
     <div className="min-h-screen font-sans text-gray-800 bg-gray-50 flex flex-col relative">
       
       {/* API Key Modal if missing */}
-      {!apiKey && (
+      {!isAgentReady() && (
         <div className="bg-[#DA291C] text-white p-2 text-center text-xs font-bold">
-           Demo Mode: AI will use fallback logic. To enable Gemini, set API_KEY in code.
+           Demo Mode: AI will use fallback logic. To enable an AI provider, enter an API key on the Introduction page.
         </div>
       )}
 
@@ -422,8 +729,21 @@ const App = () => {
               <div className="text-xs text-red-200 uppercase font-bold">Total Cost</div>
               <div className="text-2xl font-black text-[#FFC72C]">${totalCost.toLocaleString(undefined, {minimumFractionDigits: 2})}</div>
             </div>
-            <div className="flex flex-col items-end">
+            <div className="flex flex-col items-end gap-1">
               <span className="text-xs font-bold uppercase bg-red-800 px-2 py-1 rounded text-white">Week {week} / {MAX_WEEKS}</span>
+              {canEditSeed ? (
+                <label className="text-[10px] uppercase font-bold text-red-200 flex items-center gap-1">
+                  Seed
+                  <input
+                    type="text"
+                    value={seed}
+                    onChange={(e) => setSeed(normalizeSeed(e.target.value))}
+                    className="w-20 bg-red-800 rounded px-1 py-0.5 font-mono text-white focus:outline-none focus:ring-2 focus:ring-[#FFC72C]"
+                  />
+                </label>
+              ) : (
+                <span className="text-[10px] uppercase font-bold text-red-200">Seed <span className="font-mono">{seed}</span></span>
+              )}
             </div>
           </div>
         </div>
@@ -437,25 +757,137 @@ const App = () => {
           <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
             <div className="bg-gray-800 text-white p-3 flex items-center justify-between">
               <h2 className="font-bold flex items-center gap-2"><Store size={18} /> Downstream</h2>
-              <span className="text-xs bg-gray-700 px-2 py-1 rounded text-gray-300">Restaurants</span>
+              {canEditSeed ? (
+                <button
+                  onClick={() => setIsEditingRestaurants(true)}
+                  className="text-xs bg-gray-700 hover:bg-gray-600 px-2 py-1 rounded text-gray-200 font-bold"
+                >
+                  Edit Restaurants
+                </button>
+              ) : (
+                <span className="text-xs bg-gray-700 px-2 py-1 rounded text-gray-300">Restaurants</span>
+              )}
             </div>
             <div className="bg-gray-50 p-4 border-b border-gray-100">
               <h3 className="text-xs font-bold text-gray-500 uppercase mb-2">Incoming Demand</h3>
               <div className="grid grid-cols-3 gap-2 text-center">
-                <div className="bg-white p-2 rounded shadow-sm">
-                  <div className="text-xs text-gray-400">Buns</div>
-                  <div className="font-bold text-[#DA291C]">{currentDemand.buns}</div>
-                </div>
-                <div className="bg-white p-2 rounded shadow-sm">
-                  <div className="text-xs text-gray-400">Beef</div>
-                  <div className="font-bold text-[#DA291C]">{currentDemand.beef}</div>
-                </div>
-                <div className="bg-white p-2 rounded shadow-sm">
-                  <div className="text-xs text-gray-400">Fish</div>
-                  <div className="font-bold text-[#DA291C]">{currentDemand.fish}</div>
-                </div>
+                {menu.ingredients.map(ingredient => (
+                  <div key={ingredient.id} className="bg-white p-2 rounded shadow-sm">
+                    <div className="text-xs text-gray-400 truncate" title={ingredient.label}>{ingredient.label}</div>
+                    <div className="font-bold text-[#DA291C]">{currentDemand[ingredient.id]}</div>
+                  </div>
+                ))}
               </div>
             </div>
+            <div className="p-4 border-b border-gray-100">
+              <h3 className="text-xs font-bold text-gray-500 uppercase mb-2">Rationing</h3>
+              {menu.ingredients.map(ingredient => (
+                <AllocationRuleSelect
+                  key={ingredient.id}
+                  label={ingredient.label}
+                  rules={DC_POLICIES}
+                  value={allocationPolicies[ingredient.id]}
+                  onChange={(value) => setAllocationPolicies(prev => ({ ...prev, [ingredient.id]: value }))}
+                  disabled={turnPhase !== 'PLAYER'}
+                />
+              ))}
+            </div>
+            <div className="p-4 space-y-2">
+              {restaurants.map(restaurant => {
+                const service = storeService[restaurant.id];
+                const shortedLastWeek = service.lastShort?.week === week - 1;
+                const backorders = ingredientIds.filter(item => storeBacklog[restaurant.id][item] > 0);
+                return (
+                  <div key={restaurant.id} className={`text-xs rounded border p-2 ${shortedLastWeek ? 'border-red-300 bg-red-50' : 'border-gray-100'}`}>
+                    <div className="flex justify-between font-bold text-gray-700">
+                      <span>
+                        {restaurant.name}
+                        {restaurant.priority && <span className="ml-1 text-[#DA291C]" title="Priority restaurant">★</span>}
+                      </span>
+                      <span className={getFillRate(service) < 1 ? 'text-red-600' : 'text-green-600'} title="Ingredient units delivered in the week they were ordered">
+                        {Math.round(getFillRate(service) * 100)}% filled
+                      </span>
+                    </div>
+                    <div className="text-gray-500">
+                      {menu.items.map(item => `${storeOrders[restaurant.id][item.id]} ${item.label}`).join(' · ')}
+                    </div>
+                    <div className="text-[10px] text-gray-400">
+                      Trend {restaurant.trend >= 0 ? '+' : ''}{Math.round(restaurant.trend * 1000) / 10}%/wk · Noise ±{Math.round(restaurant.noise * 100)}% · Promo ×{restaurant.promoSensitivity}
+                    </div>
+                    {service.lastShort && (
+                      <div className={`mt-1 font-bold ${shortedLastWeek ? 'text-red-600' : 'text-gray-400'}`}>
+                        Shorted Wk {service.lastShort.week}: {Object.entries(service.lastShort.units).map(([item, units]) => `${units} ${ingredientLabel(item)}`).join(', ')}
+                        {service.shortWeeks > 1 && ` (${service.shortWeeks} weeks in total)`}
+                      </div>
+                    )}
+                    {backorders.length > 0 && (
+                      <div className="text-red-600" title="Lost if not delivered next week">
+                        Backorder: {backorders.map(item => `${storeBacklog[restaurant.id][item]} ${ingredientLabel(item)}`).join(', ')}
+                      </div>
+                    )}
+                    {service.lostSales > 0 && <div className="text-gray-500">Lost sales: {service.lostSales} units</div>}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* Menu & Recipes */}
+          <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+            <div className="bg-gray-100 p-3 border-b border-gray-200 flex items-center justify-between">
+              <h2 className="font-bold text-sm text-gray-700 flex items-center gap-2"><ShoppingBag size={16} /> Menu & Recipes</h2>
+              {canEditSeed && (
+                <button
+                  onClick={() => setIsEditingMenu(true)}
+                  className="text-xs font-bold border border-gray-200 rounded px-2 py-1 bg-white hover:border-[#DA291C]"
+                >
+                  Edit
+                </button>
+              )}
+            </div>
+            <ul className="p-4 space-y-2 text-xs">
+              {menu.items.map(item => (
+                <li key={item.id}>
+                  <div className="font-bold text-gray-700">{item.label}</div>
+                  <div className="text-gray-500">
+                    {Object.entries(item.recipe).filter(([, units]) => units > 0).map(([id, units]) => `${units} ${ingredientLabel(id)}`).join(' + ')}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {/* Scenario */}
+          <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+            <div className="bg-gray-100 p-3 border-b border-gray-200">
+              <h2 className="font-bold text-sm text-gray-700 flex items-center gap-2"><AlertCircle size={16} /> Scenario</h2>
+            </div>
+            <div className="p-4 space-y-3">
+              {canEditSeed ? (
+                <ScenarioPicker
+                  presets={MCD_SCENARIOS}
+                  value={scenario}
+                  onChange={changeScenario}
+                  options={scenarioOptions}
+                  className="text-gray-600"
+                  selectClassName="text-xs border border-gray-200 rounded px-2 py-1 bg-white focus:outline-none focus:ring-2 focus:ring-[#FFC72C]"
+                  buttonClassName="text-xs font-bold border border-gray-200 rounded px-2 py-1 hover:border-[#DA291C]"
+                  errorClassName="text-red-600"
+                />
+              ) : (
+                <div className="text-sm font-bold text-gray-700">{scenario.name}</div>
+              )}
+              <ScenarioTimeline
+                scenario={scenario}
+                totalWeeks={MAX_WEEKS}
+                currentWeek={week}
+                targets={supplierTargets}
+                className="text-gray-600"
+                cellClassName="bg-gray-100"
+                currentClassName="ring-2 ring-[#DA291C]"
+                textClassName="text-gray-400"
+              />
+            </div>
           </div>
 
           {/* Activity Log */}
@@ -483,27 +915,17 @@ const App = () => {
           
           {/* Inventory Dashboard */}
           <div className="grid grid-cols-3 gap-4">
-            <StatCard 
-              title="Buns" 
-              value={inventory.buns} 
-              subValue={backlog.buns > 0 ? `Backlog: ${backlog.buns}` : null}
-              icon={Package} 
-              alert={backlog.buns > 0}
-            />
-            <StatCard 
-              title="Beef Patties" 
-              value={inventory.beef}
-              subValue={backlog.beef > 0 ? `Backlog: ${backlog.beef}` : null}
-              icon={Package} 
-              alert={backlog.beef > 0}
-            />
-            <StatCard 
-              title="Fish Patties" 
-              value={inventory.fish}
-              subValue={backlog.fish > 0 ? `Backlog: ${backlog.fish}` : null}
-              icon={Package} 
-              alert={backlog.fish > 0}
-            />
+            {menu.ingredients.map(ingredient => (
+              <StatCard 
+                key={ingredient.id}
+                title={ingredient.label} 
+                value={inventory[ingredient.id]} 
+                subValue={backlog[ingredient.id] > 0 ? `Backlog: ${backlog[ingredient.id]}` : null}
+                detail={describeBatches(ingredient.id)}
+                icon={Package} 
+                alert={backlog[ingredient.id] > 0}
+              />
+            ))}
           </div>
 
           {/* Order Console */}
@@ -515,12 +937,13 @@ const App = () => {
                      <BrainCircuit size={48} className="text-blue-600" />
                   </div>
                   <h3 className="text-xl font-bold text-gray-800 mb-1">
-                    {turnPhase === 'AI_ARYZTA' ? 'Aryzta (AI) is Thinking...' : 
-                     turnPhase === 'AI_TYSON' ? 'Tyson (AI) is Thinking...' : 
-                     'Processing Week...'}
+                    {thinkingSupplier ? `${thinkingSupplier.name} (AI) is Thinking...` :
+                     turnPhase === 'ALLOCATING' ? 'Waiting for Your Allocation...' : 'Processing Week...'}
                   </h3>
                   <p className="text-sm text-gray-500 max-w-md">
-                     The AI is analyzing your order and deciding its own production strategy to minimize costs.
+                     {turnPhase === 'ALLOCATING'
+                       ? 'The DC is short. Decide how much each restaurant receives.'
+                       : 'The AI is analyzing your order and deciding its own production strategy to minimize costs.'}
                   </p>
                </div>
              )}
@@ -547,33 +970,18 @@ const App = () => {
                 </div>
 
                 <div className="grid grid-cols-3 gap-6">
-                   <OrderInput 
-                      label="Order Buns (Aryzta)" 
-                      type="buns" 
-                      value={playerOrder.buns} 
-                      onChange={(k, v) => setPlayerOrder({...playerOrder, [k]: v})}
-                      icon={Factory}
-                      color="text-yellow-600"
-                      disabled={gameOver || turnPhase !== 'PLAYER'}
-                   />
-                   <OrderInput 
-                      label="Order Beef (Tyson)" 
-                      type="beef" 
-                      value={playerOrder.beef} 
-                      onChange={(k, v) => setPlayerOrder({...playerOrder, [k]: v})}
-                      icon={Factory}
-                      color="text-red-600"
-                      disabled={gameOver || turnPhase !== 'PLAYER'}
-                   />
-                   <OrderInput 
-                      label="Order Fish (Tyson)" 
-                      type="fish" 
-                      value={playerOrder.fish} 
-                      onChange={(k, v) => setPlayerOrder({...playerOrder, [k]: v})}
-                      icon={Factory}
-                      color="text-blue-600"
-                      disabled={gameOver || turnPhase !== 'PLAYER'}
-                   />
+                   {menu.ingredients.map(ingredient => (
+                     <OrderInput 
+                        key={ingredient.id}
+                        label={`Order ${ingredient.label} (${supplierName(ingredient)})`} 
+                        type={ingredient.id} 
+                        value={playerOrder[ingredient.id]} 
+                        onChange={(k, v) => setPlayerOrder({...playerOrder, [k]: v})}
+                        icon={Factory}
+                        color={ingredientStyle(ingredient.id).text}
+                        disabled={gameOver || turnPhase !== 'PLAYER'}
+                     />
+                   ))}
                 </div>
              </div>
           </div>
@@ -602,6 +1010,7 @@ const App = () => {
                 <Legend />
                 <Area type="monotone" dataKey="inventory" stroke="#FFC72C" fillOpacity={1} fill="url(#colorInv)" name="Total Inventory" />
                 <Area type="monotone" dataKey="backlog" stroke="#DA291C" fillOpacity={1} fill="url(#colorBack)" name="Total Backlog" />
+                <Area type="monotone" dataKey="spoiled" stroke="#6b7280" fillOpacity={0} name="Spoiled" />
               </AreaChart>
             </ResponsiveContainer>
           </div>
@@ -616,35 +1025,53 @@ const App = () => {
             </div>
             
             <div className="p-4 space-y-4">
-              {/* Aryzta Status */}
-              <div className="bg-gray-50 rounded-lg p-3">
-                <div className="flex items-center justify-between mb-2">
-                   <div className="font-bold text-sm text-gray-700">Aryzta (Buns)</div>
-                   {aryztaState.backlog > 0 && <span className="text-xs bg-red-100 text-red-600 px-2 rounded-full font-bold">Backlog: {aryztaState.backlog}</span>}
-                </div>
-                <div className="text-xs text-gray-500 italic border-l-2 border-yellow-400 pl-2 mb-2">
-                  "{aryztaState.lastReasoning}"
-                </div>
-                <div className="flex justify-between text-xs font-bold text-gray-400">
-                   <span>Last Production: {aryztaState.lastProductionOrder}</span>
-                   <span>Inv: {aryztaState.inventory}</span>
-                </div>
-              </div>
-
-               {/* Tyson Status */}
-              <div className="bg-gray-50 rounded-lg p-3">
-                <div className="flex items-center justify-between mb-2">
-                   <div className="font-bold text-sm text-gray-700">Tyson (Meat)</div>
-                   {tysonState.backlog > 0 && <span className="text-xs bg-red-100 text-red-600 px-2 rounded-full font-bold">Backlog: {tysonState.backlog}</span>}
-                </div>
-                <div className="text-xs text-gray-500 italic border-l-2 border-red-400 pl-2 mb-2">
-                  "{tysonState.lastReasoning}"
-                </div>
-                 <div className="flex justify-between text-xs font-bold text-gray-400">
-                   <span>Last Production: {tysonState.lastProductionOrder}</span>
-                   <span>Inv: {tysonState.inventory}</span>
-                </div>
-              </div>
+              {suppliers.map(supplier => {
+                const state = supplierStates[supplier.id];
+                const totals = getSupplierTotals(state);
+                return (
+                  <div key={supplier.id} className="bg-gray-50 rounded-lg p-3">
+                    <div className="flex items-center justify-between mb-2">
+                       <div className="font-bold text-sm text-gray-700">{supplier.name} ({supplier.product})</div>
+                       {totals.backlog > 0 && <span className="text-xs bg-red-100 text-red-600 px-2 rounded-full font-bold">Backlog: {totals.backlog}</span>}
+                    </div>
+                    <SupplierAgentSelect
+                      value={supplierAgents[supplier.id]}
+                      onChange={(agent) => setSupplierAgents(prev => ({ ...prev, [supplier.id]: agent }))}
+                      disabled={turnPhase !== 'PLAYER'}
+                    />
+                    {supplier.skus.length > 1 && (
+                      <AllocationRuleSelect
+                        value={allocationRules[supplier.id]}
+                        onChange={(rule) => setAllocationRules(prev => ({ ...prev, [supplier.id]: rule }))}
+                        disabled={turnPhase !== 'PLAYER'}
+                      />
+                    )}
+                    {supplier.skus.map(sku => {
+                      const skuState = state.skus[sku];
+                      return (
+                        <div key={sku} className="mt-2">
+                          {supplier.skus.length > 1 && (
+                            <div className="flex items-center justify-between text-xs font-bold text-gray-600 mb-1">
+                              <span>{ingredientLabel(sku)}</span>
+                              {skuState.backlog > 0 && <span className="text-red-600">Backlog: {skuState.backlog}</span>}
+                            </div>
+                          )}
+                          <div className={`text-xs text-gray-500 italic border-l-2 ${ingredientStyle(sku).border} pl-2 mb-2`}>
+                            "{skuState.lastReasoning}"
+                          </div>
+                          <div className="flex justify-between text-xs font-bold text-gray-400">
+                             <span>
+                               Last Production: {skuState.lastProductionOrder}
+                               {skuState.lastProductionRequested > skuState.lastProductionOrder && ` of ${skuState.lastProductionRequested} planned`}
+                             </span>
+                             <span>Inv: {skuState.inventory}</span>
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                );
+              })}
             </div>
           </div>
 
@@ -664,11 +1091,11 @@ const App = () => {
                        <div className="absolute -top-2 -right-2 bg-blue-600 text-white text-xs font-bold px-2 py-1 rounded-full shadow">
                          W{ship.arrivalWeek}
                        </div>
-                       <div className="text-xs font-bold text-gray-500 uppercase mb-1">In Transit</div>
+                       <div className="text-xs font-bold text-gray-500 uppercase mb-1">In Transit · {ship.supplier}</div>
                        <div className="grid grid-cols-3 gap-1 text-xs">
-                          {ship.quantities.buns > 0 && <span className="bg-yellow-50 text-yellow-800 px-1 rounded">Buns: {ship.quantities.buns}</span>}
-                          {ship.quantities.beef > 0 && <span className="bg-red-50 text-red-800 px-1 rounded">Beef: {ship.quantities.beef}</span>}
-                          {ship.quantities.fish > 0 && <span className="bg-blue-50 text-blue-800 px-1 rounded">Fish: {ship.quantities.fish}</span>}
+                          {Object.entries(ship.quantities).filter(([, amount]) => amount > 0).map(([item, amount]) => (
+                            <span key={item} className={`${ingredientStyle(item).badge} px-1 rounded`}>{ingredientLabel(item)}: {amount}</span>
+                          ))}
                        </div>
                     </div>
                   ))
@@ -678,14 +1105,26 @@ const App = () => {
         </div>
       </main>
 
+      {isEditingRestaurants && (
+        <RestaurantEditor restaurants={restaurants} menu={menu} onApply={changeRestaurants} onClose={() => setIsEditingRestaurants(false)} />
+      )}
+
+      {pendingAllocation && (
+        <AllocationDialog shortages={pendingAllocation.shortages} restaurants={restaurants} onConfirm={confirmAllocation} />
+      )}
+
+      {isEditingMenu && (
+        <RecipeEditor menu={menu} onApply={changeMenu} onClose={() => setIsEditingMenu(false)} />
+      )}
+
       {/* Game Over Modal */}
       {gameOver && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
-          <div className="bg-white rounded-2xl shadow-2xl max-w-lg w-full p-8 text-center border-t-8 border-[#DA291C]">
+          <div className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-y-auto p-8 text-center border-t-8 border-[#DA291C]">
             <h2 className="text-3xl font-black text-gray-800 mb-2">Simulation Complete</h2>
-            <p className="text-gray-500 mb-6">Regional Distribution Center Performance Report</p>
+            <p className="text-gray-500 mb-6">Regional Distribution Center Performance Report · Seed <span className="font-mono">{seed}</span></p>
             
-            <div className="bg-gray-50 rounded-xl p-6 mb-6 grid grid-cols-2 gap-4">
+            <div className="bg-gray-50 rounded-xl p-6 mb-6 grid grid-cols-3 gap-4">
               <div className="text-left">
                 <div className="text-xs uppercase text-gray-400 font-bold">Total Cost</div>
                 <div className="text-2xl font-black text-[#DA291C]">${totalCost.toLocaleString()}</div>
@@ -696,6 +1135,29 @@ const App = () => {
                   {Math.round(history.reduce((acc, curr) => acc + curr.backlog, 0) / history.length)} units
                 </div>
               </div>
+              <div className="text-left">
+                <div className="text-xs uppercase text-gray-400 font-bold">Waste</div>
+                <div className="text-2xl font-black text-gray-800">
+                  ${(ingredientIds.reduce((sum, id) => sum + spoiled[id], 0) * WASTE_COST).toLocaleString()}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {menu.ingredients.map(ingredient => `${spoiled[ingredient.id]} ${ingredient.label}`).join(' · ')} expired
+                </div>
+              </div>
+            </div>
+
+            <div className="mb-6 text-left">
+              <div className="text-xs uppercase text-gray-400 font-bold mb-2">Restaurant Service</div>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+                {restaurants.map(restaurant => (
+                  <div key={restaurant.id} className="bg-gray-50 rounded-lg p-3 text-sm">
+                    <div className="font-bold text-gray-700">{restaurant.name}</div>
+                    <div className="text-gray-500 text-xs">
+                      {Math.round(getFillRate(storeService[restaurant.id]) * 100)}% filled on time · shorted {storeService[restaurant.id].shortWeeks} weeks · {storeService[restaurant.id].lostSales} units lost
+                    </div>
+                  </div>
+                ))}
+              </div>
             </div>
 
             <p className="text-sm text-gray-600 mb-6">
@@ -704,6 +1166,25 @@ const App = () => {
                "High costs detected. The Bullwhip Effect likely caused significant overstocking or backlogs."}
             </p>
 
+            <MetricsTable
+              metrics={computeGameMetrics(sessionLog, () => ({
+                holdingCost: (w) => HOLDING_COST * getScenarioEffects(scenario, w).holdingFactor,
+                lostSaleCost: LOST_SALE_COST,
+                wasteCost: WASTE_COST,
+                shockWeek
+              }))}
+              shockWeek={shockWeek}
+              className="text-gray-700 mb-6"
+              headClassName="text-gray-400 text-xs uppercase border-b border-gray-200"
+              totalClassName="border-t border-gray-200 text-[#DA291C]"
+            />
+
+            <ExportButtons
+              buildSession={buildSession}
+              className="mb-3"
+              buttonClassName="flex-1 bg-white border-2 border-gray-200 hover:border-[#DA291C] text-gray-700 py-2 rounded-lg text-sm"
+            />
+
             <button 
               onClick={() => window.location.reload()}
               className="w-full bg-[#FFC72C] hover:bg-[#ffcf4d] text-gray-900 font-bold py-3 rounded-lg transition-colors"
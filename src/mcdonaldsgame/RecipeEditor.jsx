@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { parseMenu, validateMenu } from './menu';
+import { INPUT, NUMBER, EditorDialog, EditorSection, RemoveButton } from './EditorParts';
+import { toCount, uniqueId } from './drafts';
+
+// Modal for the facilitator to edit suppliers, ingredients and the bill of
+// materials of every menu item (see menu.js). Works on a draft; the game only
+// sees the menu once it is valid and applied.
+
+const RecipeEditor = ({ menu, onApply, onClose }) => {
+  const [draft, setDraft] = useState(() => JSON.parse(JSON.stringify(menu)));
+  const errors = validateMenu(draft);
+
+  const updateList = (list, index, changes) =>
+    setDraft(prev => ({ ...prev, [list]: prev[list].map((entry, i) => (i === index ? { ...entry, ...changes } : entry)) }));
+
+  const removeFromList = (list, index) =>
+    setDraft(prev => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+
+  // Ids are referenced elsewhere in the menu, so renaming one follows through
+  const renameSupplier = (index, id) => setDraft(prev => {
+    const oldId = prev.suppliers[index].id;
+    return {
+      ...prev,
+      suppliers: prev.suppliers.map((supplier, i) => (i === index ? { ...supplier, id } : supplier)),
+      ingredients: prev.ingredients.map(ingredient => (ingredient.supplier === oldId ? { ...ingredient, supplier: id } : ingredient))
+    };
+  });
+
+  const renameIngredient = (index, id) => setDraft(prev => {
+    const oldId = prev.ingredients[index].id;
+    return {
+      ...prev,
+      ingredients: prev.ingredients.map((ingredient, i) => (i === index ? { ...ingredient, id } : ingredient)),
+      items: prev.items.map(item => {
+        const { [oldId]: units, ...recipe } = item.recipe;
+        return units === undefined ? item : { ...item, recipe: { ...recipe, [id]: units } };
+      })
+    };
+  });
+
+  const removeIngredient = (index) => setDraft(prev => {
+    const { id } = prev.ingredients[index];
+    return {
+      ...prev,
+      ingredients: prev.ingredients.filter((_, i) => i !== index),
+      items: prev.items.map(item => {
+        const { [id]: _removed, ...recipe } = item.recipe;
+        return { ...item, recipe };
+      })
+    };
+  });
+
+  const setRecipeUnits = (index, ingredientId, units) => setDraft(prev => ({
+    ...prev,
+    items: prev.items.map((item, i) => (i === index ? { ...item, recipe: { ...item.recipe, [ingredientId]: units } } : item))
+  }));
+
+  const addSupplier = () => setDraft(prev => ({
+    ...prev,
+    suppliers: [...prev.suppliers, { id: uniqueId('supplier', prev.suppliers), name: '', product: '' }]
+  }));
+
+  const addIngredient = () => setDraft(prev => ({
+    ...prev,
+    ingredients: [...prev.ingredients, {
+      id: uniqueId('ingredient', prev.ingredients), label: '', supplier: prev.suppliers[0]?.id ?? '', dcStock: 0, supplierStock: 0, shelfLife: 0
+    }]
+  }));
+
+  const addItem = () => setDraft(prev => ({
+    ...prev,
+    items: [...prev.items, { id: uniqueId('item', prev.items), label: '', baseDemand: 0, recipe: {} }]
+  }));
+
+  return (
+    <EditorDialog
+      title="Menu & Recipes"
+      subtitle="Ingredient units per item sold, and who supplies each ingredient."
+      filename="menu.json"
+      draft={draft}
+      parse={parseMenu}
+      onLoad={setDraft}
+      errors={errors}
+      applyLabel="Apply Menu"
+      onApply={onApply}
+      onClose={onClose}
+    >
+      <EditorSection title="Suppliers" onAdd={addSupplier} addLabel="Add supplier">
+        <table className="w-full text-xs">
+          <thead className="text-gray-400 text-left">
+            <tr><th className="pr-2 font-bold">Id</th><th className="pr-2 font-bold">Name</th><th className="pr-2 font-bold">Product</th><th /></tr>
+          </thead>
+          <tbody>
+            {draft.suppliers.map((supplier, index) => (
+              <tr key={index}>
+                <td className="pr-2 py-1 w-32"><input value={supplier.id} onChange={(e) => renameSupplier(index, e.target.value)} className={`${INPUT} font-mono`} /></td>
+                <td className="pr-2 py-1"><input value={supplier.name} onChange={(e) => updateList('suppliers', index, { name: e.target.value })} className={INPUT} /></td>
+                <td className="pr-2 py-1"><input value={supplier.product} onChange={(e) => updateList('suppliers', index, { product: e.target.value })} className={INPUT} /></td>
+                <td className="w-6"><RemoveButton onClick={() => removeFromList('suppliers', index)} label="Remove supplier" /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </EditorSection>
+
+      <EditorSection title="Ingredients" onAdd={addIngredient} addLabel="Add ingredient">
+        <table className="w-full text-xs">
+          <thead className="text-gray-400 text-left">
+            <tr>
+              <th className="pr-2 font-bold">Id</th><th className="pr-2 font-bold">Name</th><th className="pr-2 font-bold">Supplier</th>
+              <th className="pr-2 font-bold text-right">DC Stock</th><th className="pr-2 font-bold text-right">Supplier Stock</th>
+              <th className="pr-2 font-bold text-right" title="Weeks a delivery can be used at the DC; 0 = does not spoil">Shelf Life (Wks)</th><th />
+            </tr>
+          </thead>
+          <tbody>
+            {draft.ingredients.map((ingredient, index) => (
+              <tr key={index}>
+                <td className="pr-2 py-1 w-32"><input value={ingredient.id} onChange={(e) => renameIngredient(index, e.target.value)} className={`${INPUT} font-mono`} /></td>
+                <td className="pr-2 py-1"><input value={ingredient.label} onChange={(e) => updateList('ingredients', index, { label: e.target.value })} className={INPUT} /></td>
+                <td className="pr-2 py-1">
+                  <select value={ingredient.supplier} onChange={(e) => updateList('ingredients', index, { supplier: e.target.value })} className={INPUT}>
+                    {draft.suppliers.map(supplier => (
+                      <option key={supplier.id} value={supplier.id}>{supplier.name || supplier.id}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="pr-2 py-1 w-24"><input type="number" min="0" value={ingredient.dcStock} onChange={(e) => updateList('ingredients', index, { dcStock: toCount(e.target.value) })} className={NUMBER} /></td>
+                <td className="pr-2 py-1 w-24"><input type="number" min="0" value={ingredient.supplierStock} onChange={(e) => updateList('ingredients', index, { supplierStock: toCount(e.target.value) })} className={NUMBER} /></td>
+                <td className="pr-2 py-1 w-20"><input type="number" min="0" value={ingredient.shelfLife ?? 0} onChange={(e) => updateList('ingredients', index, { shelfLife: toCount(e.target.value) })} className={NUMBER} /></td>
+                <td className="w-6"><RemoveButton onClick={() => removeIngredient(index)} label="Remove ingredient" /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </EditorSection>
+
+      <EditorSection title="Menu Items (Bill of Materials)" onAdd={addItem} addLabel="Add menu item">
+        <table className="w-full text-xs">
+          <thead className="text-gray-400 text-left">
+            <tr>
+              <th className="pr-2 font-bold">Id</th><th className="pr-2 font-bold">Name</th>
+              <th className="pr-2 font-bold text-right" title="Items one restaurant sells in a normal week">Base Demand</th>
+              {draft.ingredients.map((ingredient, index) => (
+                <th key={index} className="pr-2 font-bold text-right">{ingredient.label || ingredient.id}</th>
+              ))}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {draft.items.map((item, index) => (
+              <tr key={index}>
+                <td className="pr-2 py-1 w-28"><input value={item.id} onChange={(e) => updateList('items', index, { id: e.target.value })} className={`${INPUT} font-mono`} /></td>
+                <td className="pr-2 py-1"><input value={item.label} onChange={(e) => updateList('items', index, { label: e.target.value })} className={INPUT} /></td>
+                <td className="pr-2 py-1 w-20"><input type="number" min="0" value={item.baseDemand} onChange={(e) => updateList('items', index, { baseDemand: toCount(e.target.value) })} className={NUMBER} /></td>
+                {draft.ingredients.map(ingredient => (
+                  <td key={ingredient.id} className="pr-2 py-1 w-16">
+                    <input
+                      type="number"
+                      min="0"
+                      value={item.recipe[ingredient.id] ?? 0}
+                      onChange={(e) => setRecipeUnits(index, ingredient.id, toCount(e.target.value))}
+                      className={NUMBER}
+                    />
+                  </td>
+                ))}
+                <td className="w-6"><RemoveButton onClick={() => removeFromList('items', index)} label="Remove menu item" /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </EditorSection>
+    </EditorDialog>
+  );
+};
+
+export default RecipeEditor;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { parseRestaurants, validateRestaurants } from './restaurants';
+import { INPUT, NUMBER, EditorDialog, EditorSection, RemoveButton } from './EditorParts';
+import { toCount, uniqueId } from './drafts';
+
+// Modal for the facilitator to edit the restaurants the DC serves (see
+// restaurants.js). Trend and noise are typed as percentages.
+
+const toPercent = (fraction) => Math.round(fraction * 1000) / 10;
+const fromPercent = (value) => (parseFloat(value) || 0) / 100;
+
+const RestaurantEditor = ({ restaurants, menu, onApply, onClose }) => {
+  const [draft, setDraft] = useState(() => JSON.parse(JSON.stringify(restaurants)));
+  const errors = validateRestaurants(draft);
+
+  const update = (index, changes) =>
+    setDraft(prev => prev.map((restaurant, i) => (i === index ? { ...restaurant, ...changes } : restaurant)));
+
+  const setDemand = (index, itemId, units) =>
+    setDraft(prev => prev.map((restaurant, i) => (i === index ? { ...restaurant, demand: { ...restaurant.demand, [itemId]: units } } : restaurant)));
+
+  const addRestaurant = () => setDraft(prev => [...prev, {
+    id: uniqueId('store', prev),
+    name: '',
+    demand: Object.fromEntries(menu.items.map(item => [item.id, item.baseDemand])),
+    trend: 0,
+    noise: 0.2,
+    promoSensitivity: 1,
+    priority: false
+  }]);
+
+  return (
+    <EditorDialog
+      title="Restaurant Network"
+      subtitle="Weekly sales per menu item, growth, variability and how strongly each restaurant reacts to promotions."
+      filename="restaurants.json"
+      draft={draft}
+      parse={parseRestaurants}
+      onLoad={setDraft}
+      errors={errors}
+      applyLabel="Apply Network"
+      onApply={onApply}
+      onClose={onClose}
+    >
+      <EditorSection title="Restaurants" onAdd={addRestaurant} addLabel="Add restaurant">
+        <table className="w-full text-xs">
+          <thead className="text-gray-400 text-left">
+            <tr>
+              <th className="pr-2 font-bold">Id</th><th className="pr-2 font-bold">Name</th>
+              {menu.items.map(item => (
+                <th key={item.id} className="pr-2 font-bold text-right" title="Items sold in a normal week">{item.label}</th>
+              ))}
+              <th className="pr-2 font-bold text-right" title="Growth per week">Trend %/Wk</th>
+              <th className="pr-2 font-bold text-right" title="Orders vary by up to this share in a normal week">Noise ±%</th>
+              <th className="pr-2 font-bold text-right" title="Share of a promotion's uplift this restaurant sees">Promo ×</th>
+              <th className="pr-2 font-bold text-center" title="Served first under the Priority Stores policy">Priority</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {draft.map((restaurant, index) => (
+              <tr key={index}>
+                <td className="pr-2 py-1 w-24"><input value={restaurant.id} onChange={(e) => update(index, { id: e.target.value })} className={`${INPUT} font-mono`} /></td>
+                <td className="pr-2 py-1"><input value={restaurant.name} onChange={(e) => update(index, { name: e.target.value })} className={INPUT} /></td>
+                {menu.items.map(item => (
+                  <td key={item.id} className="pr-2 py-1 w-20">
+                    <input
+                      type="number"
+                      min="0"
+                      value={restaurant.demand[item.id] ?? item.baseDemand}
+                      onChange={(e) => setDemand(index, item.id, toCount(e.target.value))}
+                      className={NUMBER}
+                    />
+                  </td>
+                ))}
+                <td className="pr-2 py-1 w-20"><input type="number" step="0.5" value={toPercent(restaurant.trend)} onChange={(e) => update(index, { trend: fromPercent(e.target.value) })} className={NUMBER} /></td>
+                <td className="pr-2 py-1 w-20"><input type="number" min="0" step="5" value={toPercent(restaurant.noise)} onChange={(e) => update(index, { noise: fromPercent(e.target.value) })} className={NUMBER} /></td>
+                <td className="pr-2 py-1 w-20"><input type="number" min="0" step="0.1" value={restaurant.promoSensitivity} onChange={(e) => update(index, { promoSensitivity: parseFloat(e.target.value) || 0 })} className={NUMBER} /></td>
+                <td className="pr-2 py-1 text-center"><input type="checkbox" checked={!!restaurant.priority} onChange={(e) => update(index, { priority: e.target.checked })} className="accent-[#DA291C]" /></td>
+                <td className="w-6"><RemoveButton onClick={() => setDraft(prev => prev.filter((_, i) => i !== index))} label="Remove restaurant" /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </EditorSection>
+    </EditorDialog>
+  );
+};
+
+export default RestaurantEditor;
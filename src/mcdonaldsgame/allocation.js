@@ -0,0 +1,71 @@
+// --- ALLOCATION RULES ---
+// How a short quantity is split between competing requests, e.g. a supplier
+// whose production line cannot make every SKU it was asked for. Requests map
+// a key to a quantity; `priority` lists the keys most important first.
+
+const sum = (values) => values.reduce((acc, value) => acc + value, 0);
+
+// Gives whatever is left to the requests in priority order, up to what each
+// asked for, so rounding never leaves units unallocated.
+const fillInOrder = (allocation, available, requests, priority) => {
+  let left = available - sum(Object.values(allocation));
+  priority.forEach(key => {
+    const extra = Math.min(left, requests[key] - allocation[key]);
+    allocation[key] += extra;
+    left -= extra;
+  });
+  return allocation;
+};
+
+const proportional = (available, requests, priority) => {
+  const total = sum(Object.values(requests));
+  const allocation = Object.fromEntries(priority.map(key => [key, Math.floor((requests[key] * available) / total)]));
+  return fillInOrder(allocation, available, requests, priority);
+};
+
+const byPriority = (available, requests, priority) =>
+  fillInOrder(Object.fromEntries(priority.map(key => [key, 0])), available, requests, priority);
+
+// Max-min fairness: an equal share each, with what small requests do not
+// need shared again among the rest.
+const fairShare = (available, requests, priority) => {
+  const allocation = Object.fromEntries(priority.map(key => [key, 0]));
+  let open = priority.filter(key => requests[key] > 0);
+  let left = available;
+  while (open.length > 0 && left >= open.length) {
+    const share = Math.floor(left / open.length);
+    open.forEach(key => {
+      const given = Math.min(share, requests[key] - allocation[key]);
+      allocation[key] += given;
+      left -= given;
+    });
+    open = open.filter(key => allocation[key] < requests[key]);
+  }
+  return fillInOrder(allocation, available, requests, priority);
+};
+
+export const ALLOCATION_RULES = {
+  proportional: {
+    label: 'Proportional',
+    description: 'Each request gets the same share of what it asked for.',
+    allocate: proportional
+  },
+  priority: {
+    label: 'Priority',
+    description: 'Requests are filled completely in priority order.',
+    allocate: byPriority
+  },
+  'fair-share': {
+    label: 'Fair Share',
+    description: 'Every request gets an equal amount, capped at what it asked for.',
+    allocate: fairShare
+  },
+};
+
+// Splits `available` whole units between `requests`. Everyone gets what they
+// asked for when there is enough.
+export const allocate = (rule, available, requests, priority = Object.keys(requests)) => {
+  const total = sum(Object.values(requests));
+  if (total <= available) return { ...requests };
+  return ALLOCATION_RULES[rule].allocate(Math.max(0, available), requests, priority);
+};
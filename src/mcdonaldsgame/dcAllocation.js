@@ -0,0 +1,74 @@
+// --- DC ALLOCATION ---
+// Rationing at the DC: when an ingredient cannot cover every restaurant, the
+// policy decides who gets what. Each restaurant is owed last week's backorder
+// plus this week's need ({ backlog, new }); a backorder still unfilled after
+// this week turns into lost sales, so the policies differ in who waits and who
+// walks away.
+
+import { allocate } from './allocation.js';
+
+export const DC_POLICIES = {
+  proportional: {
+    label: 'Proportional',
+    description: 'Every restaurant gets the same share of what it is owed.'
+  },
+  priority: {
+    label: 'Priority Stores',
+    description: 'Priority restaurants are filled completely; the rest share what is left proportionally.'
+  },
+  'fair-share': {
+    label: 'Fair Share',
+    description: 'Every restaurant gets an equal amount, capped at what it is owed.'
+  },
+  'first-come': {
+    label: 'First Come, First Served',
+    description: "Oldest orders first: last week's backorders, then this week's orders in network order."
+  },
+  manual: {
+    label: 'Manual',
+    description: 'Split every shortage yourself in a dialog.'
+  },
+};
+
+export const MANUAL_POLICY = 'manual';
+
+const sum = (values) => values.reduce((acc, value) => acc + value, 0);
+
+export const getOwedTotal = (owed) => owed.backlog + owed.new;
+
+const pick = (values, keys) => Object.fromEntries(keys.map(key => [key, values[key]]));
+
+// Splits `available` units of one ingredient between the restaurants (in
+// network order). `owed` maps restaurant ids to { backlog, new }. Returns the
+// units each restaurant is sent.
+export const allocateShortage = (policy, available, owed, restaurants) => {
+  const ids = restaurants.map(restaurant => restaurant.id);
+  const requests = Object.fromEntries(ids.map(id => [id, getOwedTotal(owed[id])]));
+  switch (policy) {
+    case 'priority': {
+      const first = restaurants.filter(restaurant => restaurant.priority).map(restaurant => restaurant.id);
+      const rest = ids.filter(id => !first.includes(id));
+      const firstShare = allocate('priority', available, pick(requests, first), first);
+      const left = available - sum(Object.values(firstShare));
+      return { ...firstShare, ...allocate('proportional', left, pick(requests, rest), rest) };
+    }
+    case 'first-come': {
+      // Every backorder is older than any of this week's orders
+      const order = [...ids.map(id => `${id}:backlog`), ...ids.map(id => `${id}:new`)];
+      const tiers = Object.fromEntries(ids.flatMap(id => [[`${id}:backlog`, owed[id].backlog], [`${id}:new`, owed[id].new]]));
+      const split = allocate('priority', available, tiers, order);
+      return Object.fromEntries(ids.map(id => [id, split[`${id}:backlog`] + split[`${id}:new`]]));
+    }
+    default:
+      return allocate(policy, available, requests, ids);
+  }
+};
+
+// What a restaurant's delivery does to its orders: the backorder is served
+// first, whatever of it is still missing is lost, and the unfilled part of
+// this week's need becomes the new backorder.
+export const settleDelivery = (owed, sent) => {
+  const toBacklog = Math.min(sent, owed.backlog);
+  const toNew = Math.min(sent - toBacklog, owed.new);
+  return { filledNew: toNew, lost: owed.backlog - toBacklog, backlog: owed.new - toNew };
+};
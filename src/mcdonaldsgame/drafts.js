@@ -0,0 +1,10 @@
+// --- EDITOR DRAFTS ---
+// Helpers for the facilitator editors, which edit plain JSON drafts.
+
+export const uniqueId = (prefix, entries) => {
+  let n = entries.length + 1;
+  while (entries.some(entry => entry.id === `${prefix}${n}`)) n++;
+  return `${prefix}${n}`;
+};
+
+export const toCount = (value) => Math.max(0, parseInt(value) || 0);
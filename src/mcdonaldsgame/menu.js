@@ -0,0 +1,149 @@
+// --- MENU & RECIPES ---
+// What the DC serves, as plain JSON: the suppliers, the ingredients each of
+// them makes and the menu items restaurants sell with their bill of materials
+// (ingredient units per item sold). Facilitators change it in the recipe
+// editor or load it from a file, e.g. to add a chicken sandwich:
+//
+//   {
+//     "suppliers": [..., { "id": "keystone", "name": "Keystone", "product": "Chicken" }],
+//     "ingredients": [..., { "id": "chicken", "label": "Chicken Fillets", "supplier": "keystone", "dcStock": 300, "supplierStock": 600, "shelfLife": 3 }],
+//     "items": [..., { "id": "mcchicken", "label": "McChicken", "baseDemand": 40, "recipe": { "buns": 2, "chicken": 1 } }]
+//   }
+//
+// `dcStock` and `supplierStock` are the opening inventories at the DC and at
+// the supplier; `shelfLife` is how many weeks a delivery can be used at the
+// DC before it is written off (0 or missing = it does not spoil, see
+// perishables.js). `baseDemand` is what one restaurant sells of an item in a
+// normal week. Supplier ids are the targets of scenario events.
+
+export const DEFAULT_MENU = Object.freeze({
+  suppliers: [
+    { id: 'aryzta', name: 'Aryzta', product: 'Buns' },
+    { id: 'tyson', name: 'Tyson', product: 'Protein' }
+  ],
+  ingredients: [
+    { id: 'buns', label: 'Buns', supplier: 'aryzta', dcStock: 1500, supplierStock: 3000, shelfLife: 2 },
+    { id: 'beef', label: 'Beef Patties', supplier: 'tyson', dcStock: 1000, supplierStock: 2000, shelfLife: 3 },
+    { id: 'fish', label: 'Fish Patties', supplier: 'tyson', dcStock: 500, supplierStock: 1000, shelfLife: 4 }
+  ],
+  items: [
+    { id: 'bigMac', label: 'Big Mac', baseDemand: 100, recipe: { buns: 3, beef: 2 } },
+    { id: 'filet', label: 'Filet-O-Fish', baseDemand: 20, recipe: { buns: 2, fish: 1 } }
+  ]
+});
+
+const ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// Checks the `id` and `label` field of every entry of one list.
+const validateEntries = (entries, what, labelKey) => {
+  if (!Array.isArray(entries) || entries.length === 0) return [`Add at least one ${what}`];
+  const errors = [];
+  entries.forEach((entry, index) => {
+    const where = `${what[0].toUpperCase()}${what.slice(1)} ${index + 1}`;
+    if (!ID_PATTERN.test(entry?.id ?? '')) {
+      errors.push(`${where}: id must start with a letter and use only letters, digits, - and _`);
+    } else if (entries.findIndex(other => other.id === entry.id) !== index) {
+      errors.push(`${where}: id "${entry.id}" is used twice`);
+    }
+    if (typeof entry?.[labelKey] !== 'string' || !entry[labelKey].trim()) {
+      errors.push(`${where}: ${labelKey} is required`);
+    }
+  });
+  return errors;
+};
+
+// Returns a list of problems, empty when the menu is valid.
+export const validateMenu = (menu) => {
+  if (!menu || typeof menu !== 'object') return ['Menu must be an object'];
+  const errors = [
+    ...validateEntries(menu.suppliers, 'supplier', 'name'),
+    ...validateEntries(menu.ingredients, 'ingredient', 'label'),
+    ...validateEntries(menu.items, 'menu item', 'label')
+  ];
+  if (errors.length > 0) return errors;
+
+  menu.ingredients.forEach(ingredient => {
+    if (!menu.suppliers.some(supplier => supplier.id === ingredient.supplier)) {
+      errors.push(`${ingredient.label}: unknown supplier "${ingredient.supplier}"`);
+    }
+    if (!isCount(ingredient.dcStock) || !isCount(ingredient.supplierStock)) {
+      errors.push(`${ingredient.label}: opening stock must be a whole number of units`);
+    }
+    if (ingredient.shelfLife !== undefined && !isCount(ingredient.shelfLife)) {
+      errors.push(`${ingredient.label}: shelf life must be a whole number of weeks`);
+    }
+  });
+  menu.suppliers.forEach(supplier => {
+    if (!menu.ingredients.some(ingredient => ingredient.supplier === supplier.id)) {
+      errors.push(`${supplier.name} supplies no ingredient`);
+    }
+  });
+  menu.items.forEach(item => {
+    if (!isCount(item.baseDemand)) {
+      errors.push(`${item.label}: base demand must be a whole number`);
+    }
+    const recipe = Object.entries(item.recipe ?? {});
+    recipe.forEach(([ingredientId, units]) => {
+      if (!menu.ingredients.some(ingredient => ingredient.id === ingredientId)) {
+        errors.push(`${item.label}: unknown ingredient "${ingredientId}"`);
+      } else if (!isCount(units)) {
+        errors.push(`${item.label}: units of ${ingredientId} must be a whole number`);
+      }
+    });
+    if (!recipe.some(([, units]) => units > 0)) {
+      errors.push(`${item.label}: the recipe needs at least one ingredient`);
+    }
+  });
+  return errors;
+};
+
+// Parses and validates a menu file. Throws with every problem found.
+export const parseMenu = (text) => {
+  let menu;
+  try {
+    menu = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+  const errors = validateMenu(menu);
+  if (errors.length > 0) throw new Error(errors.join('; '));
+  return {
+    suppliers: menu.suppliers.map(({ id, name, product = '' }) => ({ id, name: name.trim(), product })),
+    ingredients: menu.ingredients.map(({ id, label, supplier, dcStock, supplierStock, shelfLife = 0 }) => ({
+      id, label: label.trim(), supplier, dcStock, supplierStock, shelfLife
+    })),
+    items: menu.items.map(({ id, label, baseDemand, recipe }) => ({ id, label: label.trim(), baseDemand, recipe }))
+  };
+};
+
+// --- LOOKUPS ---
+
+export const getIngredientIds = (menu) => menu.ingredients.map(ingredient => ingredient.id);
+
+export const getIngredient = (menu, id) => menu.ingredients.find(ingredient => ingredient.id === id);
+
+// Suppliers with the ingredient ids (SKUs) each of them makes, in menu order.
+export const getSuppliers = (menu) => menu.suppliers.map(supplier => ({
+  ...supplier,
+  skus: menu.ingredients.filter(ingredient => ingredient.supplier === supplier.id).map(ingredient => ingredient.id)
+}));
+
+// One value per ingredient, e.g. an empty order.
+export const mapIngredients = (menu, fn) =>
+  Object.fromEntries(menu.ingredients.map(ingredient => [ingredient.id, fn(ingredient)]));
+
+// Explodes restaurant orders ({ store: { itemId: count } }) into ingredient
+// units through the recipes.
+export const calculateIngredientDemand = (menu, orders) => {
+  const demand = mapIngredients(menu, () => 0);
+  Object.values(orders).forEach(order => {
+    menu.items.forEach(item => {
+      Object.entries(item.recipe).forEach(([ingredientId, units]) => {
+        demand[ingredientId] += (order[item.id] ?? 0) * units;
+      });
+    });
+  });
+  return demand;
+};
@@ -0,0 +1,39 @@
+// --- PERISHABLE STOCK ---
+// DC inventory of one ingredient as a list of batches, oldest first:
+// [{ units, expiresWeek }]. A batch can be shipped to restaurants from the
+// week it arrives through `expiresWeek`; whatever is left after that week is
+// written off. Ingredients with a shelf life of 0 never spoil
+// (`expiresWeek: null`).
+
+// A delivery that can first be used in `week`.
+export const createBatch = (units, week, shelfLife) => ({
+  units,
+  expiresWeek: shelfLife > 0 ? week + shelfLife - 1 : null
+});
+
+export const getStock = (batches) => batches.reduce((sum, batch) => sum + batch.units, 0);
+
+// Every delivery of an ingredient keeps as long, so arrival order is expiry
+// order and new batches simply go to the back.
+export const receiveBatch = (batches, units, week, shelfLife) =>
+  (units > 0 ? [...batches, createBatch(units, week, shelfLife)] : batches);
+
+// Ships `units` oldest first (FIFO). Throws when the batches hold less.
+export const consumeFifo = (batches, units) => {
+  if (units > getStock(batches)) throw new Error(`Cannot ship ${units} units from ${getStock(batches)} in stock`);
+  let left = units;
+  return batches.flatMap(batch => {
+    const used = Math.min(left, batch.units);
+    left -= used;
+    return batch.units > used ? [{ ...batch, units: batch.units - used }] : [];
+  });
+};
+
+// Writes off the batches that expire at the end of `week`.
+export const spoilExpired = (batches, week) => {
+  const isExpired = (batch) => batch.expiresWeek !== null && batch.expiresWeek <= week;
+  return {
+    batches: batches.filter(batch => !isExpired(batch)),
+    spoiled: getStock(batches.filter(isExpired))
+  };
+};
@@ -0,0 +1,104 @@
+// --- RESTAURANT NETWORK ---
+// The restaurants the DC serves, as plain JSON. Each one sells the menu items
+// at its own base rate and grows or shrinks by `trend` per week; `noise` is
+// the ± share its orders vary by in a normal week, and `promoSensitivity`
+// scales how much of a scenario demand spike it sees (0 = none, 1 = all of
+// it, 2 = twice the uplift). `priority` restaurants are served first when the
+// DC rations under the Priority Stores policy (optional, default false):
+//
+//   [{ "id": "airport", "name": "Airport", "demand": { "bigMac": 160 },
+//      "trend": 0.02, "noise": 0.1, "promoSensitivity": 0.5, "priority": true }]
+//
+// Items missing from `demand` sell the menu's base demand.
+
+export const DEFAULT_RESTAURANTS = Object.freeze([
+  { id: 'storeA', name: 'Store A', demand: { bigMac: 100, filet: 20 }, trend: 0, noise: 0.2, promoSensitivity: 1, priority: false },
+  { id: 'storeB', name: 'Store B', demand: { bigMac: 90, filet: 30 }, trend: 0, noise: 0.2, promoSensitivity: 1, priority: false },
+  { id: 'storeC', name: 'Store C', demand: { bigMac: 110, filet: 10 }, trend: 0, noise: 0.2, promoSensitivity: 1, priority: false }
+]);
+
+const ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+const RANGES = {
+  trend: { label: 'Trend', min: -0.5, max: 0.5 },
+  noise: { label: 'Noise', min: 0, max: 1 },
+  promoSensitivity: { label: 'Promotion sensitivity', min: 0, max: 5 }
+};
+
+// Returns a list of problems, empty when the network is valid. Demand for
+// items that are not on the menu is ignored, so a menu edit never breaks it.
+export const validateRestaurants = (restaurants) => {
+  if (!Array.isArray(restaurants) || restaurants.length === 0) return ['Add at least one restaurant'];
+  const errors = [];
+  restaurants.forEach((restaurant, index) => {
+    const where = `Restaurant ${index + 1}`;
+    if (!ID_PATTERN.test(restaurant?.id ?? '')) {
+      errors.push(`${where}: id must start with a letter and use only letters, digits, - and _`);
+    } else if (restaurants.findIndex(other => other.id === restaurant.id) !== index) {
+      errors.push(`${where}: id "${restaurant.id}" is used twice`);
+    }
+    if (typeof restaurant?.name !== 'string' || !restaurant.name.trim()) {
+      errors.push(`${where}: name is required`);
+    }
+    if (!restaurant?.demand || typeof restaurant.demand !== 'object') {
+      errors.push(`${where}: demand must map menu items to weekly sales`);
+    } else {
+      Object.entries(restaurant.demand).forEach(([itemId, units]) => {
+        if (!Number.isInteger(units) || units < 0) errors.push(`${where}: demand for ${itemId} must be a whole number`);
+      });
+    }
+    Object.entries(RANGES).forEach(([key, range]) => {
+      const value = restaurant?.[key];
+      if (typeof value !== 'number' || !(value >= range.min && value <= range.max)) {
+        errors.push(`${where}: ${range.label} must be between ${range.min} and ${range.max}`);
+      }
+    });
+    if (restaurant?.priority !== undefined && typeof restaurant.priority !== 'boolean') {
+      errors.push(`${where}: priority must be true or false`);
+    }
+  });
+  return errors;
+};
+
+// Parses and validates a restaurant file. Throws with every problem found.
+export const parseRestaurants = (text) => {
+  let restaurants;
+  try {
+    restaurants = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+  const errors = validateRestaurants(restaurants);
+  if (errors.length > 0) throw new Error(errors.join('; '));
+  return restaurants.map(({ id, name, demand, trend, noise, promoSensitivity, priority = false }) => ({
+    id, name: name.trim(), demand, trend, noise, promoSensitivity, priority
+  }));
+};
+
+// --- DEMAND ---
+
+export const getBaseDemand = (restaurant, item, week) =>
+  (restaurant.demand[item.id] ?? item.baseDemand) * (1 + restaurant.trend) ** (week - 1);
+
+// Orders of every restaurant in `week` ({ storeId: { itemId: count } }).
+// During a demand spike (`spikeMultiplier`) the spike replaces the usual
+// noise; otherwise each restaurant draws its own noise from `random`, in list
+// order. Without either, restaurants order their base demand.
+export const generateRestaurantOrders = (restaurants, menu, week, { spikeMultiplier = null, random = null } = {}) =>
+  Object.fromEntries(restaurants.map(restaurant => {
+    const factor = spikeMultiplier !== null
+      ? 1 + (spikeMultiplier - 1) * restaurant.promoSensitivity
+      : random ? 1 + restaurant.noise * (random() * 2 - 1) : 1;
+    return [restaurant.id, Object.fromEntries(menu.items.map(item => [
+      item.id,
+      Math.max(0, Math.floor(getBaseDemand(restaurant, item, week) * factor))
+    ]))];
+  }));
+
+// --- SERVICE ---
+
+export const createServiceState = (restaurants) =>
+  Object.fromEntries(restaurants.map(restaurant => [restaurant.id, { requested: 0, filled: 0, lostSales: 0, shortWeeks: 0, lastShort: null }]));
+
+// Ingredient units a restaurant was sent against what it needed, to date.
+export const getFillRate = (service) => (service.requested > 0 ? service.filled / service.requested : 1);
@@ -0,0 +1,66 @@
+// --- SUPPLIERS ---
+// An upstream manufacturer making one or more SKUs. Every SKU keeps its own
+// inventory, backlog and production queue, so a fish shortage never eats into
+// beef stock. The SKUs only compete when a capacity cut leaves the plant too
+// little line time for all of them; the supplier's allocation rule (see
+// allocation.js) then decides how much of each goes into production.
+
+import { allocate } from './allocation.js';
+
+const mapSkus = (state, fn) => Object.fromEntries(Object.keys(state.skus).map(sku => [sku, fn(sku, state.skus[sku])]));
+
+export const createSupplierState = (supplier, initialInventory) => ({
+  skus: Object.fromEntries(supplier.skus.map(sku => [sku, {
+    inventory: initialInventory[sku],
+    backlog: 0,
+    productionQueue: [], // { weekArrives, amount }
+    lastOrderReceived: 0,
+    lastProductionOrder: 0, // What actually went into production
+    lastProductionRequested: 0, // What the supplier decided, before any capacity cut
+    lastReasoning: 'Simulation started. Ready for orders.',
+    history: [] // For AI context
+  }]))
+});
+
+// Units of a SKU in production that arrive after `week`.
+export const getProductionInProgress = (skuState, week) =>
+  skuState.productionQueue.filter(p => p.weekArrives > week).reduce((sum, p) => sum + p.amount, 0);
+
+export const getSupplierTotals = (state) => Object.values(state.skus).reduce(
+  (totals, sku) => ({ inventory: totals.inventory + sku.inventory, backlog: totals.backlog + sku.backlog }),
+  { inventory: 0, backlog: 0 }
+);
+
+// One week at the supplier: receive finished production, start this week's
+// production (split by `rule` under a capacity cut) and ship what the DC is
+// owed per SKU (nothing during an outage). `orders` and `decisions` are keyed
+// by SKU. Returns the new state and, per SKU, what happened.
+export const processSupplier = (state, { week, orders, decisions, effects, rule, productionDelay }) => {
+  const requested = mapSkus(state, sku => decisions[sku].order);
+  const produced = allocate(rule, effects.capacity ?? Infinity, requested, Object.keys(state.skus));
+
+  const results = mapSkus(state, (sku, prev) => {
+    const arriving = prev.productionQueue
+      .filter(p => p.weekArrives === week + 1)
+      .reduce((sum, p) => sum + p.amount, 0);
+    const owed = orders[sku] + prev.backlog;
+    const shipped = effects.outage ? 0 : Math.min(prev.inventory + arriving, owed);
+    return { arriving, requested: requested[sku], produced: produced[sku], owed, shipped };
+  });
+
+  const newState = {
+    skus: mapSkus(state, (sku, prev) => ({
+      inventory: prev.inventory + results[sku].arriving - results[sku].shipped,
+      backlog: results[sku].owed - results[sku].shipped,
+      productionQueue: [...prev.productionQueue, { weekArrives: week + 1 + productionDelay, amount: produced[sku] }],
+      lastOrderReceived: orders[sku],
+      lastProductionOrder: produced[sku],
+      lastProductionRequested: requested[sku],
+      lastReasoning: decisions[sku].reasoning,
+      history: [...prev.history, {
+        week, orderReceived: orders[sku], inventory: prev.inventory, production: produced[sku], productionRequested: requested[sku]
+      }]
+    }))
+  };
+  return { newState, results };
+};
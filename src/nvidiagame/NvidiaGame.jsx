@@ -1,15 +1,26 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { LineChart, Line, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer, BarChart, Bar } from 'recharts';
 import { Factory, Truck, Package, AlertTriangle, Cpu, TrendingUp, DollarSign, Activity, Database, Server, Info, Bot, BrainCircuit, Loader2 } from 'lucide-react';
+import { buildSessionDocument, sessionRecord } from '../shared/sessionExport';
+import ExportButtons from '../shared/ExportButtons';
+import MetricsTable from '../shared/MetricsTable';
+import { requestDecision, isAgentReady } from '../shared/agentClient';
+import { useAgentSettings } from '../shared/useAgentSettings';
+import { AI_PROVIDERS } from '../shared/aiProviders';
+import { ORDERING_AGENTS, FALLBACK_AGENT, orderingAgentDecision } from '../shared/orderingAgents';
+import { computeGameMetrics } from '../shared/metrics';
+import { EMPTY_SCENARIO, getFiringEvents, getScenarioEffects, getScenarioShockWeek } from '../shared/scenario';
+import ScenarioPicker from '../shared/ScenarioPicker';
+import ScenarioTimeline from '../shared/ScenarioTimeline';
 
 // --- Constants & Config ---
-const apiKey = ""; // USER TO FILL
 const MAX_WEEKS = 20;
 const LEAD_TIME = 2; // Weeks for both stages (Raw->Supplier, Supplier->NVIDIA)
 const HOLDING_COST_PER_UNIT = 50; 
 const BACKLOG_COST_PER_UNIT = 500; 
 const INITIAL_INVENTORY = 400;
 const COMPONENT_CAPACITY_PER_WEEK = 2000; // Supplier hard cap
+const LLM_AGENT = 'llm'; // Supplier agent option backed by the AI provider
 
 // Simulated "Hype Cycle" Demand Curve for Blackwell
 const DEMAND_SCHEDULE = [
@@ -18,6 +29,63 @@ const DEMAND_SCHEDULE = [
   800, 850, 900, 1000, 1200, // Sustained demand
   1300, 1400, 1200, 1000, 800 // Mature
 ];
+const DEMAND_SHOCK_WEEK = 6; // Largest jump in the schedule, when allocation wars start
+
+// --- Scenarios ---
+const SUPPLIER_TARGETS = { cowos: 'TSMC (CoWoS)', hbm: 'SK Hynix (HBM)' };
+const SCENARIO_OPTIONS = { targets: SUPPLIER_TARGETS, totalWeeks: MAX_WEEKS };
+
+const NVIDIA_SCENARIOS = {
+  none: EMPTY_SCENARIO,
+  'cowos-crunch': {
+    name: 'CoWoS Packaging Crunch',
+    description: 'Advanced packaging lines are oversubscribed and TSMC can only start 600 units a week.',
+    events: [
+      { week: 6, type: 'capacity-cut', target: 'cowos', capacity: 600, duration: 5 }
+    ]
+  },
+  'hbm-outage': {
+    name: 'Fab Earthquake',
+    description: 'An earthquake halts HBM shipments for two weeks at the height of demand.',
+    events: [
+      { week: 9, type: 'supplier-outage', target: 'hbm', duration: 2, message: 'Earthquake in Icheon: SK Hynix cannot ship HBM for two weeks.' }
+    ]
+  },
+  'export-controls': {
+    name: 'Export Controls',
+    description: 'New export paperwork adds two weeks to every component shipment.',
+    events: [
+      { week: 5, type: 'lead-time-change', extraWeeks: 2, duration: 6 }
+    ]
+  },
+  'hbm-yield': {
+    name: 'HBM Qualification Failures',
+    description: 'A fifth of every HBM delivery fails incoming inspection.',
+    events: [
+      { week: 4, type: 'shipment-loss', target: 'hbm', fraction: 0.2, duration: 8 }
+    ]
+  },
+  'sovereign-ai': {
+    name: 'Sovereign AI Wave',
+    description: 'Governments join the queue and lift late-cycle demand by half.',
+    events: [
+      { week: 14, type: 'demand-spike', multiplier: 1.5, duration: 4, message: 'Sovereign AI orders arrive: market demand is 50% higher for four weeks.' }
+    ]
+  },
+  'rate-hike': {
+    name: 'Interest Rate Hike',
+    description: 'Capital tied up in inventory becomes more expensive from week 8.',
+    events: [
+      { week: 8, type: 'cost-change', holdingFactor: 1.5, duration: 13 }
+    ]
+  },
+};
+
+const getMarketDemand = (scenario, week) =>
+  Math.round((DEMAND_SCHEDULE[week - 1] || 0) * getScenarioEffects(scenario, week).demandMultiplier);
+
+const scenarioMessages = (scenario, week) =>
+  getFiringEvents(scenario, week, SUPPLIER_TARGETS).map(event => ({ week, text: event.text }));
 
 // --- Helper Components ---
 
@@ -44,13 +112,7 @@ const Badge = ({ children, color = "green" }) => {
 
 // --- API Logic ---
 
-const getAITurn = async (role, week, inventory, backlog, incomingShipments, incomingDemand, recentHistory) => {
-  if (!apiKey) {
-    // Fallback if no API key
-    console.warn("No API Key provided. Using heuristic fallback.");
-    return { order: incomingDemand, reasoning: "API Key missing. Matching demand." };
-  }
-
+const getAITurn = async (role, week, inventory, backlog, incomingShipments, incomingDemand, recentHistory, fallback) => {
   const prompt = `
     You are the Supply Chain Manager for ${role} in a Beer Game simulation supplying NVIDIA.
     Current Week: ${week}.
@@ -70,42 +132,37 @@ const getAITurn = async (role, week, inventory, backlog, incomingShipments, inco
     Output JSON ONLY: { "order": integer, "reasoning": "short string under 15 words" }
   `;
 
-  try {
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: { 
-          responseMimeType: "application/json",
-          responseSchema: {
-            type: "OBJECT",
-            properties: {
-              order: { type: "INTEGER" },
-              reasoning: { type: "STRING" }
-            }
-          }
-        }
-      })
-    });
+  return requestDecision({ prompt, fallback, maxOrder: COMPONENT_CAPACITY_PER_WEEK });
+};
 
-    const data = await response.json();
-    const result = JSON.parse(data.candidates[0].content.parts[0].text);
-    // Safety clamp
-    const safeOrder = Math.max(0, Math.min(result.order, COMPONENT_CAPACITY_PER_WEEK));
-    return { order: safeOrder, reasoning: result.reasoning };
-
-  } catch (error) {
-    console.error("AI Error:", error);
-    // Fallback: Order demand + portion of backlog
-    const heuristic = incomingDemand + Math.floor(backlog * 0.5);
-    return { order: heuristic, reasoning: "Connection failed. Panic ordering." };
-  }
+// Maps a supplier onto the shared heuristic agents' observation
+const supplierObservation = (sup, week, incomingDemand) => {
+  const demandHistory = [...sup.ordersReceived, incomingDemand];
+  return {
+    inventory: sup.inventory,
+    backlog: sup.backlog,
+    incomingDemand,
+    supplyLine: sup.pipeline
+      .filter(p => p.arrivalWeek >= week)
+      .reduce((sum, p) => sum + p.amount, 0),
+    demandHistory,
+    leadTime: LEAD_TIME,
+    baseline: { inventory: INITIAL_INVENTORY, demand: DEMAND_SCHEDULE[0] }
+  };
+};
+
+// Heuristic agents share the suppliers' capacity limit
+const heuristicDecision = (agent, observation) => {
+  const decision = orderingAgentDecision(agent, {}, observation);
+  return { ...decision, order: Math.min(decision.order, COMPONENT_CAPACITY_PER_WEEK) };
 };
 
 // --- Main Application ---
 
 export default function BlackwellSupplyChain() {
+  // Shared AI settings from the Introduction screen
+  const agent = useAgentSettings();
+
   // --- State ---
   const [week, setWeek] = useState(1);
   const [gameState, setGameState] = useState('START'); // START, PLAY, THINKING, END
@@ -125,6 +182,7 @@ export default function BlackwellSupplyChain() {
       inventory: INITIAL_INVENTORY,
       backlog: 0,
       pipeline: [], // Incoming from Raw Materials
+      ordersReceived: [], // NVIDIA's orders, week by week
       lastOrder: 0,
       reasoning: "Waiting for first order..."
     },
@@ -133,10 +191,16 @@ export default function BlackwellSupplyChain() {
       inventory: INITIAL_INVENTORY,
       backlog: 0,
       pipeline: [], // Incoming from Raw Materials
+      ordersReceived: [], // NVIDIA's orders, week by week
       lastOrder: 0,
       reasoning: "Waiting for first order..."
     }
   });
+  // Who decides production for each supplier: the LLM or a named heuristic agent
+  const [supplierAgents, setSupplierAgents] = useState({ cowos: LLM_AGENT, hbm: LLM_AGENT });
+  // Disruption script chosen on the start screen, and the events announced so far
+  const [scenario, setScenario] = useState(NVIDIA_SCENARIOS.none);
+  const [messages, setMessages] = useState([]);
   
   // Inputs
   const [orders, setOrders] = useState({ cowos: 0, hbm: 0 });
@@ -144,6 +208,7 @@ export default function BlackwellSupplyChain() {
 
   // History for Charts
   const [history, setHistory] = useState([]);
+  const [sessionLog, setSessionLog] = useState([]); // Per-week, per-role records for export
 
   // --- Logic ---
 
@@ -172,26 +237,27 @@ export default function BlackwellSupplyChain() {
     // Prepare data for AI
     const recentHistory = history.slice(-3);
 
-    // Call Gemini for both suppliers in parallel
-    const [cowosDecision, hbmDecision] = await Promise.all([
-      getAITurn(
-        "TSMC CoWoS Supplier", 
-        week, 
-        suppliers.cowos.inventory, 
-        suppliers.cowos.backlog, 
-        suppliers.cowos.pipeline.filter(p => p.arrivalWeek <= week + 2), 
-        cowosOrder, 
-        recentHistory
-      ),
-      getAITurn(
-        "SK Hynix HBM Supplier", 
+    // Ask both suppliers in parallel; heuristic agents answer instantly
+    const decide = (supplierKey, role, playerOrder) => {
+      const sup = suppliers[supplierKey];
+      const observation = supplierObservation(sup, week, playerOrder);
+      if (supplierAgents[supplierKey] !== LLM_AGENT) {
+        return Promise.resolve(heuristicDecision(supplierAgents[supplierKey], observation));
+      }
+      return getAITurn(
+        role, 
         week, 
-        suppliers.hbm.inventory, 
-        suppliers.hbm.backlog, 
-        suppliers.hbm.pipeline.filter(p => p.arrivalWeek <= week + 2), 
-        hbmOrder, 
-        recentHistory
-      )
+        sup.inventory, 
+        sup.backlog, 
+        sup.pipeline.filter(p => p.arrivalWeek <= week + 2), 
+        playerOrder, 
+        recentHistory,
+        heuristicDecision(FALLBACK_AGENT, observation)
+      );
+    };
+    const [cowosDecision, hbmDecision] = await Promise.all([
+      decide('cowos', "TSMC CoWoS Supplier", cowosOrder),
+      decide('hbm', "SK Hynix HBM Supplier", hbmOrder)
     ]);
 
     // Proceed to process the turn with AI decisions
@@ -201,10 +267,16 @@ export default function BlackwellSupplyChain() {
   // Phase 2: Process Logistics & Advance Week
   const finalizeTurn = (playerCowosOrder, playerHbmOrder, cowosAI, hbmAI) => {
     
+    // Disruptions active this week (see the scenario timeline)
+    const costEffects = getScenarioEffects(scenario, week);
+    const holdingCostPerUnit = HOLDING_COST_PER_UNIT * costEffects.holdingFactor;
+    const backlogCostPerUnit = BACKLOG_COST_PER_UNIT * costEffects.backlogFactor;
+
     // --- 1. Supplier Phase (Tier 1) ---
     // Suppliers receive shipments from Raw Materials (ordered 2 weeks ago)
     const updateSupplier = (supplierKey, playerOrder, aiDecision) => {
       const sup = suppliers[supplierKey];
+      const effects = getScenarioEffects(scenario, week, supplierKey);
       
       // Receive Raw Materials
       const arrivingRaw = sup.pipeline
@@ -213,16 +285,17 @@ export default function BlackwellSupplyChain() {
       
       const availableInventory = sup.inventory + arrivingRaw;
       
-      // Fulfill Player Order (Incoming Demand + Existing Backlog)
+      // Fulfill Player Order (Incoming Demand + Existing Backlog); nothing ships during an outage
       const totalDemand = playerOrder + sup.backlog;
-      const shippedToPlayer = Math.min(availableInventory, totalDemand);
+      const shippedToPlayer = effects.outage ? 0 : Math.min(availableInventory, totalDemand);
       const newBacklog = totalDemand - shippedToPlayer;
       const newInventory = availableInventory - shippedToPlayer;
       
-      // Place new Production Order (AI Decision)
+      // Place new Production Order (AI Decision, capped by a capacity cut)
+      const production = Math.min(aiDecision.order, effects.capacity ?? Infinity);
       const newPipelineItem = { 
         arrivalWeek: week + LEAD_TIME, 
-        amount: aiDecision.order 
+        amount: production 
       };
 
       return {
@@ -230,9 +303,13 @@ export default function BlackwellSupplyChain() {
         inventory: newInventory,
         backlog: newBacklog,
         pipeline: [...sup.pipeline, newPipelineItem],
-        lastOrder: aiDecision.order,
+        ordersReceived: [...sup.ordersReceived, playerOrder],
+        lastOrder: production,
         reasoning: aiDecision.reasoning,
-        lastShipped: shippedToPlayer
+        lastShipped: shippedToPlayer,
+        lastLost: Math.round(shippedToPlayer * effects.lossFraction),
+        lastArrival: Math.max(week + 1, week + LEAD_TIME + effects.extraWeeks),
+        lastReceived: arrivingRaw
       };
     };
 
@@ -260,7 +337,7 @@ export default function BlackwellSupplyChain() {
     };
 
     // Fulfill Market Demand
-    const marketDemand = DEMAND_SCHEDULE[week - 1] || 0;
+    const marketDemand = getMarketDemand(scenario, week);
     const totalPlayerDemand = marketDemand + player.backlog;
     
     // Production constrained by available components
@@ -274,16 +351,25 @@ export default function BlackwellSupplyChain() {
     };
 
     // Calculate Costs
-    const holdingCost = (newPlayerInventory.cowos + newPlayerInventory.hbm) * HOLDING_COST_PER_UNIT;
-    const backlogCost = newPlayerBacklog * BACKLOG_COST_PER_UNIT;
+    const holdingCost = (newPlayerInventory.cowos + newPlayerInventory.hbm) * holdingCostPerUnit;
+    const backlogCost = newPlayerBacklog * backlogCostPerUnit;
     const weeklyCost = holdingCost + backlogCost;
     const newTotalCash = player.cash + weeklyCost;
 
-    // Add Supplier Shipments to Player Pipeline (Arrival = Current Week + Lead Time)
+    // Add Supplier Shipments to Player Pipeline (Arrival = Current Week + Lead Time,
+    // less whatever is lost in transit)
     const newPlayerPipeline = [
       ...player.pipeline,
-      { arrivalWeek: week + LEAD_TIME, type: 'cowos', amount: newCowosState.lastShipped },
-      { arrivalWeek: week + LEAD_TIME, type: 'hbm', amount: newHbmState.lastShipped }
+      { arrivalWeek: newCowosState.lastArrival, type: 'cowos', amount: newCowosState.lastShipped - newCowosState.lastLost },
+      { arrivalWeek: newHbmState.lastArrival, type: 'hbm', amount: newHbmState.lastShipped - newHbmState.lastLost }
+    ];
+
+    // Activity log: losses this week, then the events that start next week
+    const newMessages = [
+      ...[newCowosState, newHbmState]
+        .filter(sup => sup.lastLost > 0)
+        .map(sup => ({ week, text: `${sup.lastLost} units from ${sup.name} were lost in transit.` })),
+      ...(week < MAX_WEEKS ? scenarioMessages(scenario, week + 1) : [])
     ];
 
     // --- 3. Update History & State ---
@@ -300,7 +386,38 @@ export default function BlackwellSupplyChain() {
       aiHbmInv: newHbmState.inventory
     };
 
+    // Session records for export: NVIDIA per component, then each supplier
+    const supplierRecord = (role, item, sup, playerOrder) => sessionRecord({
+      week, role, item,
+      demand: playerOrder,
+      order: sup.lastOrder,
+      received: sup.lastReceived,
+      shipped: sup.lastShipped,
+      inventory: sup.inventory,
+      backlog: sup.backlog,
+      cost: (sup.inventory * holdingCostPerUnit) + (sup.backlog * backlogCostPerUnit),
+      reasoning: sup.reasoning
+    });
+    setSessionLog(prev => [
+      ...prev,
+      sessionRecord({
+        week, role: 'NVIDIA', item: 'cowos',
+        demand: marketDemand, order: playerCowosOrder, received: arrivingCowos, shipped: fulfilled,
+        inventory: newPlayerInventory.cowos, backlog: newPlayerBacklog,
+        cost: (newPlayerInventory.cowos * holdingCostPerUnit) + backlogCost
+      }),
+      sessionRecord({
+        week, role: 'NVIDIA', item: 'hbm',
+        demand: marketDemand, order: playerHbmOrder, received: arrivingHbm, shipped: fulfilled,
+        inventory: newPlayerInventory.hbm, backlog: newPlayerBacklog,
+        cost: newPlayerInventory.hbm * holdingCostPerUnit
+      }),
+      supplierRecord('TSMC', 'cowos', newCowosState, playerCowosOrder),
+      supplierRecord('SK Hynix', 'hbm', newHbmState, playerHbmOrder)
+    ]);
+
     setHistory(prev => [...prev, weekStats]);
+    setMessages(prev => [...newMessages.reverse(), ...prev]);
     setPlayer({
       inventory: newPlayerInventory,
       backlog: newPlayerBacklog,
@@ -330,13 +447,42 @@ export default function BlackwellSupplyChain() {
       pipeline: []
     });
     setSuppliers({
-      cowos: { ...suppliers.cowos, inventory: INITIAL_INVENTORY, backlog: 0, pipeline: [], reasoning: "Ready" },
-      hbm: { ...suppliers.hbm, inventory: INITIAL_INVENTORY, backlog: 0, pipeline: [], reasoning: "Ready" }
+      cowos: { ...suppliers.cowos, inventory: INITIAL_INVENTORY, backlog: 0, pipeline: [], ordersReceived: [], reasoning: "Ready" },
+      hbm: { ...suppliers.hbm, inventory: INITIAL_INVENTORY, backlog: 0, pipeline: [], ordersReceived: [], reasoning: "Ready" }
     });
     setHistory([]);
+    setSessionLog([]);
+    setMessages([]);
     setOrders({ cowos: 0, hbm: 0 });
   };
 
+  const startGame = () => {
+    setMessages(scenarioMessages(scenario, 1).reverse());
+    setGameState('PLAY');
+  };
+
+  const shockWeek = getScenarioShockWeek(scenario, DEMAND_SHOCK_WEEK);
+
+  const buildSession = () => buildSessionDocument({
+    simulation: 'nvidia-blackwell',
+    settings: {
+      maxWeeks: MAX_WEEKS,
+      leadTime: LEAD_TIME,
+      holdingCost: HOLDING_COST_PER_UNIT,
+      backlogCost: BACKLOG_COST_PER_UNIT,
+      initialInventory: INITIAL_INVENTORY,
+      componentCapacity: COMPONENT_CAPACITY_PER_WEEK,
+      demandSchedule: DEMAND_SCHEDULE,
+      supplierAgents,
+      scenario
+    },
+    summary: {
+      weeksPlayed: history.length,
+      totalCost: player.cash
+    },
+    records: sessionLog
+  });
+
   // --- Render ---
 
   if (gameState === 'START') {
@@ -360,9 +506,13 @@ export default function BlackwellSupplyChain() {
           
           <div className="bg-neutral-950 p-4 rounded border border-neutral-800 mb-6">
             <h3 className="text-[#76B900] font-bold mb-2">API Configuration</h3>
-            {apiKey ? (
+            {agent.status.state === 'error' ? (
+              <div className="flex items-center gap-2 text-red-400 text-sm">
+                <AlertTriangle size={16} /> {AI_PROVIDERS[agent.settings.provider].label} Unreachable: {agent.status.message} (Using fallback logic)
+              </div>
+            ) : isAgentReady() ? (
               <div className="flex items-center gap-2 text-green-400 text-sm">
-                <BrainCircuit size={16} /> Gemini API Key Detected
+                <BrainCircuit size={16} /> {AI_PROVIDERS[agent.settings.provider].label} {agent.status.state === 'connected' ? 'Connected' : 'Configured'}
               </div>
             ) : (
                <div className="flex items-center gap-2 text-yellow-500 text-sm">
@@ -371,8 +521,50 @@ export default function BlackwellSupplyChain() {
             )}
           </div>
 
+          <div className="bg-neutral-950 p-4 rounded border border-neutral-800 mb-6">
+            <h3 className="text-[#76B900] font-bold mb-2">Supplier Agents</h3>
+            <p className="text-xs text-gray-500 mb-3">Use the LLM, or a deterministic ordering rule for fully offline, reproducible runs.</p>
+            {[['cowos', 'TSMC (CoWoS)'], ['hbm', 'SK Hynix (HBM)']].map(([key, label]) => (
+              <label key={key} className="flex items-center justify-between gap-4 text-sm text-gray-300 mb-2">
+                {label}
+                <select
+                  value={supplierAgents[key]}
+                  onChange={(e) => setSupplierAgents(prev => ({ ...prev, [key]: e.target.value }))}
+                  className="bg-neutral-900 border border-neutral-700 rounded px-2 py-1 text-sm text-gray-200 focus:outline-none focus:border-[#76B900]"
+                >
+                  <option value={LLM_AGENT}>AI Agent (LLM)</option>
+                  {Object.entries(ORDERING_AGENTS).map(([name, agent]) => (
+                    <option key={name} value={name}>{agent.label}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <div className="bg-neutral-950 p-4 rounded border border-neutral-800 mb-6">
+            <h3 className="text-[#76B900] font-bold mb-2">Scenario</h3>
+            <ScenarioPicker
+              presets={NVIDIA_SCENARIOS}
+              value={scenario}
+              onChange={setScenario}
+              options={SCENARIO_OPTIONS}
+              className="text-gray-300 mb-3"
+              selectClassName="bg-neutral-900 border border-neutral-700 rounded px-2 py-1 text-sm text-gray-200 focus:outline-none focus:border-[#76B900]"
+              buttonClassName="bg-neutral-900 border border-neutral-700 hover:border-[#76B900] rounded px-2 py-1 text-xs text-gray-300"
+              errorClassName="text-red-400"
+            />
+            <ScenarioTimeline
+              scenario={scenario}
+              totalWeeks={MAX_WEEKS}
+              targets={SUPPLIER_TARGETS}
+              className="text-gray-300"
+              cellClassName="bg-neutral-800"
+              textClassName="text-gray-500"
+            />
+          </div>
+
           <button 
-            onClick={() => setGameState('PLAY')}
+            onClick={startGame}
             className="w-full bg-[#76B900] hover:bg-[#66a300] text-black font-bold py-4 rounded-lg transition-colors text-lg"
           >
             Start Simulation
@@ -385,9 +577,9 @@ export default function BlackwellSupplyChain() {
   return (
     <div className="min-h-screen bg-neutral-950 text-gray-100 font-sans selection:bg-[#76B900] selection:text-black">
 	  {/* API Key Modal if missing */}
-      {!apiKey && (
+      {!isAgentReady() && (
         <div className="border-b border-neutral-800 bg-neutral-900/50 backdrop-blur-sm text-white p-2 text-center text-xs font-bold">
-           Demo Mode: AI will use fallback logic. To enable Gemini, set API_KEY in code.
+           Demo Mode: AI will use fallback logic. To enable an AI provider, enter an API key on the Introduction page.
         </div>
       )}
       {/* Header */}
@@ -434,7 +626,7 @@ export default function BlackwellSupplyChain() {
             <div className="space-y-4">
               <div>
                 <p className="text-sm text-gray-400 mb-1">Market Demand</p>
-                <div className="text-3xl font-bold text-white">{DEMAND_SCHEDULE[week-1]} <span className="text-sm text-gray-500 font-normal">GPUs</span></div>
+                <div className="text-3xl font-bold text-white">{getMarketDemand(scenario, week)} <span className="text-sm text-gray-500 font-normal">GPUs</span></div>
               </div>
 
               <div className="p-3 bg-red-900/10 border border-red-900/30 rounded">
@@ -556,6 +748,36 @@ export default function BlackwellSupplyChain() {
 
         {/* RIGHT COLUMN: AI Agents */}
         <div className="lg:col-span-3 space-y-4">
+
+          <Card>
+            <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
+              <Activity className="w-5 h-5 text-[#76B900]" />
+              {scenario.name}
+            </h2>
+            <ScenarioTimeline
+              scenario={scenario}
+              totalWeeks={MAX_WEEKS}
+              currentWeek={week}
+              targets={SUPPLIER_TARGETS}
+              showEvents={false}
+              className="mb-3"
+              cellClassName="bg-neutral-800"
+              currentClassName="ring-2 ring-[#76B900]"
+              textClassName="text-gray-500"
+            />
+            <h3 className="text-xs font-bold text-gray-500 uppercase tracking-wider mb-2">Activity Log</h3>
+            <div className="space-y-2 max-h-40 overflow-y-auto pr-2 custom-scrollbar">
+              {messages.length === 0 ? (
+                <p className="text-sm text-gray-600 italic text-center py-2">No disruptions so far</p>
+              ) : (
+                messages.map((message, idx) => (
+                  <div key={idx} className="text-xs bg-neutral-950 p-2 rounded border border-neutral-800 text-gray-300">
+                    <span className="font-mono text-yellow-500 mr-1">Wk {message.week}</span> {message.text}
+                  </div>
+                ))
+              )}
+            </div>
+          </Card>
           
           <Card>
             <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
@@ -633,7 +855,7 @@ export default function BlackwellSupplyChain() {
       {/* Game Over Modal */}
       {gameState === 'END' && (
         <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4">
-          <div className="bg-neutral-900 border border-neutral-700 p-8 rounded-xl max-w-lg w-full shadow-2xl">
+          <div className="bg-neutral-900 border border-neutral-700 p-8 rounded-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto shadow-2xl">
             <h2 className="text-3xl font-bold text-white mb-2">Simulation Complete</h2>
             <div className="grid grid-cols-2 gap-4 mb-6 mt-6">
               <div className="bg-black/50 p-4 rounded border border-neutral-800">
@@ -648,6 +870,20 @@ export default function BlackwellSupplyChain() {
               </div>
             </div>
 
+            <MetricsTable
+              metrics={computeGameMetrics(sessionLog, () => ({ holdingCost: (w) => HOLDING_COST_PER_UNIT * getScenarioEffects(scenario, w).holdingFactor, shockWeek }))}
+              shockWeek={shockWeek}
+              className="text-gray-300 mb-6"
+              headClassName="text-gray-500 text-xs uppercase border-b border-neutral-700"
+              totalClassName="border-t border-neutral-700 text-[#76B900]"
+            />
+
+            <ExportButtons
+              buildSession={buildSession}
+              className="mb-3"
+              buttonClassName="flex-1 bg-neutral-800 hover:bg-neutral-700 border border-neutral-700 text-gray-200 py-2 rounded text-sm"
+            />
+
             <button 
               onClick={restartGame}
               className="w-full bg-[#76B900] hover:bg-[#66a300] text-black font-bold py-3 rounded transition-colors"
@@ -0,0 +1,184 @@
+import { useState } from 'react';
+import { AI_PROVIDERS } from './aiProviders';
+import { clearAgentSettings, configureAgent, getAgentSettings, testConnection } from './agentClient';
+
+// Modal for entering the AI provider, key and endpoint used by every game.
+const AgentSettingsDialog = ({ onClose }) => {
+  const [draft, setDraft] = useState(getAgentSettings);
+  const [testResult, setTestResult] = useState(null);
+  const [isTesting, setIsTesting] = useState(false);
+  const provider = AI_PROVIDERS[draft.provider];
+
+  const update = (key, value) => {
+    setDraft(prev => ({ ...prev, [key]: value }));
+    setTestResult(null);
+  };
+
+  const handleTest = async () => {
+    setIsTesting(true);
+    setTestResult(await testConnection(draft));
+    setIsTesting(false);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    // A successful test of exactly these settings counts as connected
+    configureAgent(draft, { verified: Boolean(testResult?.ok) });
+    onClose();
+  };
+
+  const handleClear = () => {
+    clearAgentSettings();
+    setDraft(getAgentSettings());
+    setTestResult(null);
+  };
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <form style={styles.dialog} onSubmit={handleSave} onClick={(e) => e.stopPropagation()}>
+        <h3 style={styles.title}>AI Engine Settings</h3>
+
+        <label style={styles.label}>
+          Provider
+          <select value={draft.provider} onChange={(e) => update('provider', e.target.value)} style={styles.input}>
+            {Object.entries(AI_PROVIDERS).map(([id, p]) => (
+              <option key={id} value={id}>{p.label}</option>
+            ))}
+          </select>
+        </label>
+
+        {provider.requiresApiKey && (
+          <label style={styles.label}>
+            API Key
+            <input
+              type="password"
+              value={draft.apiKey}
+              onChange={(e) => update('apiKey', e.target.value)}
+              placeholder="Paste your key"
+              autoComplete="off"
+              style={styles.input}
+            />
+          </label>
+        )}
+
+        {draft.provider !== 'mock' && (
+          <>
+            <label style={styles.label}>
+              Model
+              <input
+                type="text"
+                value={draft.model}
+                onChange={(e) => update('model', e.target.value)}
+                placeholder={provider.defaults.model}
+                style={styles.input}
+              />
+            </label>
+            <label style={styles.label}>
+              Endpoint
+              <input
+                type="text"
+                value={draft.baseUrl}
+                onChange={(e) => update('baseUrl', e.target.value)}
+                placeholder={provider.defaults.baseUrl}
+                style={styles.input}
+              />
+            </label>
+          </>
+        )}
+
+        <label style={{ ...styles.label, flexDirection: 'row', alignItems: 'center', gap: '8px' }}>
+          <input type="checkbox" checked={draft.remember} onChange={(e) => update('remember', e.target.checked)} />
+          Remember on this device (stored in this browser's localStorage)
+        </label>
+
+        {testResult && (
+          <p style={{ ...styles.result, color: testResult.ok ? '#4ade80' : '#f87171' }}>
+            {testResult.ok ? '✅' : '❌'} {testResult.message}
+          </p>
+        )}
+
+        <div style={styles.actions}>
+          <button type="button" onClick={handleClear} style={{ ...styles.btn, marginRight: 'auto', color: '#f87171' }}>
+            Clear
+          </button>
+          <button type="button" onClick={handleTest} disabled={isTesting} style={styles.btn}>
+            {isTesting ? 'Testing…' : 'Test Connection'}
+          </button>
+          <button type="button" onClick={onClose} style={styles.btn}>Cancel</button>
+          <button type="submit" style={styles.primaryBtn}>Save</button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Matches the App shell's inline styles
+const styles = {
+  overlay: {
+    position: 'fixed',
+    inset: 0,
+    backgroundColor: 'rgba(15, 23, 42, 0.8)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 100,
+  },
+  dialog: {
+    width: '440px',
+    backgroundColor: '#1e293b',
+    border: '1px solid #334155',
+    borderRadius: '8px',
+    padding: '25px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '14px',
+    fontFamily: 'sans-serif',
+  },
+  title: {
+    fontSize: '1.2rem',
+    color: '#f8fafc',
+    margin: 0,
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    fontSize: '0.85rem',
+    color: '#cbd5e1',
+  },
+  input: {
+    padding: '8px 10px',
+    backgroundColor: '#0f172a',
+    color: '#e2e8f0',
+    border: '1px solid #334155',
+    borderRadius: '6px',
+  },
+  result: {
+    fontSize: '0.85rem',
+    margin: 0,
+  },
+  actions: {
+    display: 'flex',
+    gap: '8px',
+    marginTop: '6px',
+  },
+  btn: {
+    padding: '8px 12px',
+    backgroundColor: 'transparent',
+    color: '#94a3b8',
+    border: '1px solid #334155',
+    borderRadius: '6px',
+    cursor: 'pointer',
+  },
+  primaryBtn: {
+    padding: '8px 14px',
+    backgroundColor: '#3498db',
+    color: 'white',
+    border: '1px solid #3498db',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontWeight: 'bold',
+  },
+};
+
+export default AgentSettingsDialog;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { Download } from 'lucide-react';
+import { downloadSession } from './sessionExport';
+
+// "Export CSV" / "Export JSON" buttons. `buildSession` is only called on click
+// so the end screens don't rebuild the document on every render.
+const ExportButtons = ({ buildSession, className = '', buttonClassName = '' }) => (
+  <div className={`flex gap-2 ${className}`}>
+    {['csv', 'json'].map(format => (
+      <button
+        key={format}
+        onClick={() => downloadSession(buildSession(), format)}
+        className={`flex items-center justify-center gap-2 font-bold transition-colors ${buttonClassName}`}
+      >
+        <Download size={16} /> Export {format.toUpperCase()}
+      </button>
+    ))}
+  </div>
+);
+
+export default ExportButtons;
@@ -0,0 +1,58 @@
+import React from 'react';
+
+// KPI table for the end screens: one row per series from computeGameMetrics
+// plus a whole-game row. Colours come from the hosting game via class props.
+// Optional columns only appear when the game has a cost in them.
+
+const formatMoney = (value) => `$${value.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+const formatPercent = (value) => (value === null ? '—' : `${(value * 100).toFixed(0)}%`);
+const formatNumber = (value, digits = 1) => (value === null ? '—' : value.toFixed(digits));
+
+const COLUMNS = [
+  { key: 'bullwhipRatio', label: 'Bullwhip', hint: 'Variance of orders placed / variance of demand received', format: (v) => (v === null ? '—' : `${v.toFixed(2)}×`) },
+  { key: 'fillRate', label: 'Fill Rate', hint: 'Share of demand shipped in the week it arrived', format: formatPercent },
+  { key: 'cycleServiceLevel', label: 'Service Lvl', hint: 'Share of weeks that ended without backlog', format: formatPercent },
+  { key: 'averageBacklog', label: 'Avg Backlog', hint: 'Average backlog at the end of each week', format: formatNumber },
+  { key: 'peakBacklog', label: 'Peak Backlog', hint: 'Largest end-of-week backlog', format: (v) => formatNumber(v, 0) },
+  { key: 'inventoryTurns', label: 'Turns', hint: 'Units shipped / average inventory held', format: formatNumber },
+  { key: 'holdingCost', label: 'Holding $', hint: 'Cost of inventory held', format: formatMoney },
+  { key: 'backlogCost', label: 'Backlog $', hint: 'Penalty for unfilled orders', format: formatMoney },
+  { key: 'lostSalesCost', label: 'Lost Sales $', hint: 'Orders customers gave up on', format: formatMoney, optional: true },
+  { key: 'wasteCost', label: 'Waste $', hint: 'Stock written off after its shelf life', format: formatMoney, optional: true },
+  { key: 'timeToRecover', label: 'Recovery', hint: 'Weeks from the demand shock until the backlog was cleared for good', format: (v) => (v === null ? 'Never' : `${v} wk`) },
+];
+
+const MetricsTable = ({ metrics, shockWeek, className = '', headClassName = '', totalClassName = '' }) => {
+  const columns = COLUMNS.filter(col => !col.optional || metrics.game[col.key] > 0);
+  return (
+    <div className={`overflow-x-auto ${className}`}>
+      <table className="w-full text-sm text-right">
+        <thead>
+          <tr className={headClassName}>
+            <th className="p-2 text-left">Role</th>
+            {columns.map(col => (
+              <th key={col.key} className="p-2 whitespace-nowrap cursor-help" title={col.hint}>{col.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="font-mono">
+          {metrics.series.map(series => (
+            <tr key={series.label}>
+              <td className="p-2 text-left font-sans font-bold whitespace-nowrap">{series.label}</td>
+              {columns.map(col => <td key={col.key} className="p-2">{col.format(series.metrics[col.key])}</td>)}
+            </tr>
+          ))}
+          <tr className={`font-bold ${totalClassName}`}>
+            <td className="p-2 text-left font-sans">Whole Game</td>
+            {columns.map(col => <td key={col.key} className="p-2">{col.format(metrics.game[col.key])}</td>)}
+          </tr>
+        </tbody>
+      </table>
+      <p className="text-xs opacity-60 mt-2 text-left">
+        Recovery is counted from the Week {shockWeek} shock. The whole-game row reports the worst bullwhip ratio and the slowest recovery.
+      </p>
+    </div>
+  );
+};
+
+export default MetricsTable;
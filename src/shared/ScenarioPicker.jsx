@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { Upload, Download } from 'lucide-react';
+import { parseScenario } from './scenario';
+import { downloadFile } from './sessionExport';
+
+// Chooses a built-in scenario or loads one from a JSON file. `options` are the
+// simulation's validation options (targets, eventTypes, totalWeeks); the
+// current scenario can be downloaded as a starting point for a custom one.
+
+const CUSTOM = 'custom';
+
+const ScenarioPicker = ({
+  presets, value, onChange, options, disabled = false,
+  className = '', selectClassName = '', buttonClassName = '', errorClassName = ''
+}) => {
+  const [error, setError] = useState(null);
+  const selected = Object.keys(presets).find(key => presets[key] === value) ?? CUSTOM;
+
+  const handleUpload = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        onChange(parseScenario(reader.result, options));
+        setError(null);
+      } catch (uploadError) {
+        setError(`${file.name}: ${uploadError.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleDownload = () => {
+    const slug = value.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'scenario';
+    downloadFile(`${slug}.json`, JSON.stringify(value, null, 2), 'application/json');
+  };
+
+  return (
+    <div className={className}>
+      <div className="flex gap-2">
+        <select
+          value={selected}
+          onChange={(e) => {
+            onChange(presets[e.target.value]);
+            setError(null);
+          }}
+          disabled={disabled}
+          className={`flex-1 min-w-0 ${selectClassName}`}
+        >
+          {Object.entries(presets).map(([key, scenario]) => (
+            <option key={key} value={key}>{scenario.name}</option>
+          ))}
+          {selected === CUSTOM && <option value={CUSTOM}>{value.name}</option>}
+        </select>
+        <label
+          className={`flex items-center gap-1 ${disabled ? 'opacity-50 pointer-events-none' : 'cursor-pointer'} ${buttonClassName}`}
+          title="Load a scenario from a JSON file"
+        >
+          <Upload size={14} /> Load
+          <input type="file" accept=".json,application/json" onChange={handleUpload} disabled={disabled} className="hidden" />
+        </label>
+        <button
+          onClick={handleDownload}
+          className={`flex items-center gap-1 ${buttonClassName}`}
+          title="Download this scenario as JSON to edit it"
+        >
+          <Download size={14} /> JSON
+        </button>
+      </div>
+      {value.description && <p className="text-xs opacity-70 mt-2">{value.description}</p>}
+      {error && <p className={`text-xs mt-2 ${errorClassName}`}>{error}</p>}
+    </div>
+  );
+};
+
+export default ScenarioPicker;
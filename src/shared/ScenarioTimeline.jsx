@@ -0,0 +1,58 @@
+import React from 'react';
+import { EVENT_TYPES, describeEvent, formatEventWeeks, getActiveEvents } from './scenario';
+
+// One cell per week coloured by the events active in it, followed by the list
+// of events unless `showEvents` is off (e.g. next to an activity log). Panel
+// colours come from the hosting game via class props; event colours are
+// shared so every game reads the same way.
+
+const ScenarioTimeline = ({
+  scenario, totalWeeks, currentWeek = null, targets = {}, showEvents = true,
+  className = '', cellClassName = '', currentClassName = '', textClassName = ''
+}) => {
+  const events = [...(scenario?.events ?? [])].sort((a, b) => a.week - b.week);
+  return (
+    <div className={className}>
+      <div className="flex gap-0.5">
+        {Array.from({ length: totalWeeks }, (_, i) => {
+          const week = i + 1;
+          const active = getActiveEvents(scenario, week);
+          return (
+            <div
+              key={week}
+              title={active.length > 0 ? `Week ${week}: ${active.map(event => EVENT_TYPES[event.type].label).join(', ')}` : `Week ${week}`}
+              className={`flex-1 h-5 rounded-sm overflow-hidden flex flex-col ${active.length === 0 ? cellClassName : ''} ${week === currentWeek ? currentClassName : ''}`}
+            >
+              {active.map((event, index) => (
+                <div key={index} className={`flex-1 ${EVENT_TYPES[event.type].color}`} />
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      <div className={`flex justify-between text-[10px] mt-1 ${textClassName}`}>
+        <span>Wk 1</span>
+        <span>Wk {totalWeeks}</span>
+      </div>
+      {!showEvents ? null : events.length === 0 ? (
+        <p className={`text-xs mt-2 ${textClassName}`}>No scheduled events.</p>
+      ) : (
+        <ul className="mt-2 space-y-1 text-xs">
+          {events.map((event, index) => (
+            <li
+              key={index}
+              className={`flex items-start gap-2 ${currentWeek !== null && event.week <= currentWeek ? '' : 'opacity-70'}`}
+            >
+              <span className={`w-2 h-2 rounded-full mt-1 shrink-0 ${EVENT_TYPES[event.type].color}`} />
+              <span>
+                <span className={`font-mono ${textClassName}`}>{formatEventWeeks(event)}</span> {describeEvent(event, targets)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioTimeline;
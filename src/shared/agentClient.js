@@ -0,0 +1,186 @@
+// --- AGENT CLIENT ---
+// Single entry point the simulations use to ask an AI agent for an order.
+// It also owns the app-wide AI settings (provider, key, model, endpoint):
+// defaults come from VITE_AI_* environment variables, the Introduction
+// screen edits them via `configureAgent`, and they are only written to
+// localStorage when the user asks to remember them.
+
+import { AI_PROVIDERS } from './aiProviders.js';
+import { DECISION_SCHEMA, parseDecision } from './aiDecision.js';
+
+const REQUEST_TIMEOUT_MS = 30000;
+const STORAGE_KEY = 'ai.settings';
+
+const env = import.meta.env || {};
+
+const DEFAULT_SETTINGS = {
+  provider: env.VITE_AI_PROVIDER || 'gemini',
+  apiKey: env.VITE_AI_API_KEY || '',
+  model: env.VITE_AI_MODEL || '',
+  baseUrl: env.VITE_AI_BASE_URL || '',
+  remember: false
+};
+
+// --- SETTINGS STORE ---
+
+const storage = typeof localStorage === 'undefined' ? null : localStorage;
+
+const readStoredSettings = () => {
+  try {
+    const stored = JSON.parse(storage?.getItem(STORAGE_KEY));
+    return stored && AI_PROVIDERS[stored.provider] ? { ...stored, remember: true } : null;
+  } catch {
+    return null;
+  }
+};
+
+const writeStoredSettings = (settings) => {
+  try {
+    if (settings.remember) {
+      const { provider, apiKey, model, baseUrl } = settings;
+      storage?.setItem(STORAGE_KEY, JSON.stringify({ provider, apiKey, model, baseUrl }));
+    } else {
+      storage?.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn("Could not store AI settings:", error);
+  }
+};
+
+const UNTESTED = { state: 'untested', message: '' };
+
+// `status.state` is 'untested', 'connected' or 'error'. It tracks the most
+// recent real exchange with the provider, so a stale key shows up as an error.
+let agentState = {
+  settings: { ...DEFAULT_SETTINGS, ...readStoredSettings() },
+  status: UNTESTED
+};
+const listeners = new Set();
+
+const setAgentState = (changes) => {
+  agentState = { ...agentState, ...changes };
+  listeners.forEach(listener => listener());
+};
+
+const setStatus = (state, message = '') => {
+  if (agentState.status.state !== state || agentState.status.message !== message) {
+    setAgentState({ status: { state, message } });
+  }
+};
+
+export const subscribeAgent = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getAgentState = () => agentState;
+
+export const getAgentSettings = () => agentState.settings;
+
+// `verified` carries over a successful `testConnection` of these settings.
+export const configureAgent = (changes, { verified = false } = {}) => {
+  const next = { ...agentState.settings, ...changes };
+  if (!AI_PROVIDERS[next.provider]) {
+    throw new Error(`Unknown AI provider "${next.provider}"`);
+  }
+  writeStoredSettings(next);
+  setAgentState({ settings: next, status: verified ? { state: 'connected', message: '' } : UNTESTED });
+  return next;
+};
+
+// Forgets the key (including any remembered copy) and returns to the defaults.
+export const clearAgentSettings = () => {
+  writeStoredSettings({ remember: false });
+  setAgentState({ settings: { ...DEFAULT_SETTINGS, apiKey: '' }, status: UNTESTED });
+};
+
+// --- REQUESTS ---
+
+// Settings with the provider's defaults filled in for blank fields.
+const resolveSettings = (overrides) => {
+  const merged = { ...agentState.settings, ...overrides };
+  const provider = AI_PROVIDERS[merged.provider];
+  if (!provider) {
+    throw new Error(`Unknown AI provider "${merged.provider}"`);
+  }
+  return {
+    provider,
+    settings: {
+      ...merged,
+      model: merged.model || provider.defaults.model,
+      baseUrl: merged.baseUrl || provider.defaults.baseUrl
+    }
+  };
+};
+
+export const isAgentReady = (overrides = {}) => {
+  const { provider, settings: resolved } = resolveSettings(overrides);
+  return !provider.requiresApiKey || Boolean(resolved.apiKey);
+};
+
+const withFallback = (fallback, note, maxOrder) => ({
+  order: Math.min(Math.max(0, Math.round(fallback.order) || 0), maxOrder),
+  reasoning: `${note} ${fallback.reasoning}`,
+  source: 'fallback'
+});
+
+// `fallback` is the game's own heuristic decision { order, reasoning }; it is
+// used when no provider is usable or the reply is invalid, and it is what the
+// offline mock answers with. `maxOrder` clamps replies to a capacity limit.
+export const requestDecision = async ({ prompt, fallback, maxOrder = Infinity }, overrides = {}) => {
+  const { provider, settings: resolved } = resolveSettings(overrides);
+  if (provider.requiresApiKey && !resolved.apiKey) {
+    console.warn(`No API key for ${provider.label}, using fallback logic.`);
+    return withFallback(fallback, 'API key missing.', maxOrder);
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const text = await provider.complete({ prompt, schema: DECISION_SCHEMA, fallback }, resolved, controller.signal);
+    const decision = parseDecision(text);
+    setStatus('connected');
+    return {
+      order: Math.min(decision.order, maxOrder),
+      reasoning: decision.reasoning,
+      source: resolved.provider
+    };
+  } catch (error) {
+    console.error(`${provider.label} agent error:`, error);
+    setStatus('error', error.message);
+    return withFallback(fallback, 'AI error.', maxOrder);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Sends a trivial prompt and checks the reply against the decision schema,
+// without any fallback. Resolves to { ok, message }. Testing draft settings
+// (passed as overrides) leaves the app-wide status alone.
+export const testConnection = async (overrides = {}) => {
+  const { provider, settings: resolved } = resolveSettings(overrides);
+  const isCurrent = Object.keys(overrides).length === 0;
+  const report = (ok, message) => {
+    if (isCurrent) setStatus(ok ? 'connected' : 'error', ok ? '' : message);
+    return { ok, message };
+  };
+  if (provider.requiresApiKey && !resolved.apiKey) {
+    return report(false, 'API key missing');
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const text = await provider.complete({
+      prompt: 'Connection test. Reply with JSON only: { "order": 0, "reasoning": "ok" }',
+      schema: DECISION_SCHEMA,
+      fallback: { order: 0, reasoning: 'Connection test.' }
+    }, resolved, controller.signal);
+    parseDecision(text);
+    return report(true, `${provider.label} responded`);
+  } catch (error) {
+    return report(false, error.name === 'AbortError' ? 'Request timed out' : error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+};
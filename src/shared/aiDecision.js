@@ -0,0 +1,61 @@
+// --- AGENT DECISIONS ---
+// Every simulation asks its AI agents for the same thing: a whole number of
+// units to order plus a one-line explanation. Provider responses are checked
+// against one JSON schema so a malformed reply can never reach game logic.
+
+export const DECISION_SCHEMA = {
+  type: 'object',
+  properties: {
+    order: { type: 'integer', minimum: 0 },
+    reasoning: { type: 'string' }
+  },
+  required: ['order', 'reasoning']
+};
+
+const TYPE_CHECKS = {
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  string: value => typeof value === 'string'
+};
+
+// Supports the small subset of JSON Schema used above. Returns a list of
+// problems, empty when the value is valid.
+export const validateAgainstSchema = (value, schema, path = 'response') => {
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    return [`${path} must be ${schema.type === 'integer' ? 'an integer' : `a ${schema.type}`}`];
+  }
+  const errors = [];
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} must be at most ${schema.maximum}`);
+  }
+  (schema.required || []).forEach(key => {
+    if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+  });
+  Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+    if (value[key] !== undefined) {
+      errors.push(...validateAgainstSchema(value[key], propSchema, `${path}.${key}`));
+    }
+  });
+  return errors;
+};
+
+// Models like to wrap JSON in markdown fences even when asked not to.
+const stripCodeFence = (text) => text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+export const parseDecision = (text) => {
+  let value;
+  try {
+    value = JSON.parse(stripCodeFence(String(text ?? '')));
+  } catch {
+    throw new Error('Agent response is not valid JSON');
+  }
+  const errors = validateAgainstSchema(value, DECISION_SCHEMA);
+  if (errors.length > 0) {
+    throw new Error(`Agent response does not match schema: ${errors.join('; ')}`);
+  }
+  return { order: value.order, reasoning: value.reasoning };
+};
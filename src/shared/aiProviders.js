@@ -0,0 +1,113 @@
+// --- AI PROVIDERS ---
+// Each provider turns a prompt into the raw text of a JSON decision. They only
+// deal with transport; validation and fallbacks live in the agent client.
+//
+// Provider shape:
+//   label, requiresApiKey, defaults: { model, baseUrl },
+//   complete({ prompt, schema, fallback }, settings, signal) -> Promise<string>
+
+const postJSON = async (url, body, { headers = {}, signal, label }) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  });
+  if (!response.ok) {
+    throw new Error(`${label} request failed (${response.status})`);
+  }
+  return response.json();
+};
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// Gemini uses an OpenAPI-style schema with upper-case type names.
+const toGeminiSchema = (schema) => ({
+  type: schema.type.toUpperCase(),
+  ...(schema.properties ? {
+    properties: Object.fromEntries(Object.entries(schema.properties).map(([key, prop]) => [key, toGeminiSchema(prop)]))
+  } : {}),
+  ...(schema.required ? { required: schema.required } : {})
+});
+
+export const AI_PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    requiresApiKey: true,
+    defaults: {
+      model: 'gemini-2.5-flash-preview-09-2025',
+      baseUrl: 'https://generativelanguage.googleapis.com/v1beta'
+    },
+    complete: async ({ prompt, schema }, settings, signal) => {
+      const data = await postJSON(
+        `${trimSlash(settings.baseUrl)}/models/${encodeURIComponent(settings.model)}:generateContent?key=${encodeURIComponent(settings.apiKey)}`,
+        {
+          contents: [{ parts: [{ text: prompt }] }],
+          generationConfig: {
+            responseMimeType: 'application/json',
+            responseSchema: toGeminiSchema(schema)
+          }
+        },
+        { signal, label: 'Gemini' }
+      );
+      return data.candidates?.[0]?.content?.parts?.[0]?.text;
+    }
+  },
+
+  openai: {
+    label: 'OpenAI-compatible',
+    requiresApiKey: true,
+    defaults: {
+      model: 'gpt-4o-mini',
+      baseUrl: 'https://api.openai.com/v1'
+    },
+    complete: async ({ prompt }, settings, signal) => {
+      const data = await postJSON(
+        `${trimSlash(settings.baseUrl)}/chat/completions`,
+        {
+          model: settings.model,
+          messages: [{ role: 'user', content: prompt }],
+          // json_object is understood by most compatible servers; the schema
+          // itself is enforced when the reply is parsed.
+          response_format: { type: 'json_object' }
+        },
+        { signal, label: 'OpenAI', headers: { Authorization: `Bearer ${settings.apiKey}` } }
+      );
+      return data.choices?.[0]?.message?.content;
+    }
+  },
+
+  ollama: {
+    label: 'Local (Ollama)',
+    requiresApiKey: false,
+    defaults: {
+      model: 'llama3.1',
+      baseUrl: 'http://localhost:11434'
+    },
+    complete: async ({ prompt, schema }, settings, signal) => {
+      const data = await postJSON(
+        `${trimSlash(settings.baseUrl)}/api/chat`,
+        {
+          model: settings.model,
+          messages: [{ role: 'user', content: prompt }],
+          format: schema,
+          stream: false
+        },
+        { signal, label: 'Ollama' }
+      );
+      return data.message?.content;
+    }
+  },
+
+  // Deterministic and offline: answers with the game's own heuristic, so
+  // sessions are reproducible and playable without any network access.
+  mock: {
+    label: 'Offline Mock',
+    requiresApiKey: false,
+    defaults: { model: '', baseUrl: '' },
+    complete: async ({ fallback }) => JSON.stringify({
+      order: Math.max(0, Math.round(fallback.order) || 0),
+      reasoning: `Offline mock: ${fallback.reasoning}`
+    })
+  }
+};
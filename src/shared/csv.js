@@ -0,0 +1,14 @@
+// --- CSV HELPERS ---
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialises an array of flat objects. Columns default to the keys of the
+// first row so every row is written in the same order.
+export const toCSV = (rows, columns = Object.keys(rows[0] || {})) => [
+  columns.map(escapeCell).join(','),
+  ...rows.map(row => columns.map(col => escapeCell(row[col])).join(','))
+].join('\n');
@@ -0,0 +1,138 @@
+// --- SUPPLY CHAIN METRICS ---
+// Standard end-of-game KPIs computed from session records (see
+// sessionExport.js), so every simulation gets the same definitions as long as
+// it can describe its weeks as records.
+//
+// A series is one role (and item) over the weeks of a game. Per series:
+//   bullwhipRatio      - var(orders placed) / var(demand received); null when
+//                        demand never varied
+//   fillRate           - share of demand shipped in the week it arrived, with
+//                        older backlog served first
+//   cycleServiceLevel  - share of weeks that ended without any backlog
+//   averageBacklog, peakBacklog
+//   inventoryTurns     - units shipped / average inventory held
+//   holdingCost, lostSalesCost, wasteCost - the record units priced at the
+//                        rates given; backlogCost is the rest of the cost
+//   timeToRecover      - weeks from the shock until the backlog was cleared
+//                        for good; null when it never was
+
+const sum = (values) => values.reduce((acc, value) => acc + value, 0);
+
+const mean = (values) => (values.length > 0 ? sum(values) / values.length : 0);
+
+const variance = (values) => {
+  const avg = mean(values);
+  return mean(values.map(value => (value - avg) ** 2));
+};
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+// Splits records into one series per role and item, keeping the order in
+// which each series first appears. The item is only part of the label for
+// roles that handle more than one.
+export const groupSeries = (records) => {
+  const groups = new Map();
+  records.forEach(record => {
+    const key = `${record.role}\u0000${record.item}`;
+    if (!groups.has(key)) groups.set(key, { role: record.role, item: record.item, records: [] });
+    groups.get(key).records.push(record);
+  });
+  const series = [...groups.values()];
+  const itemCount = (role) => series.filter(s => s.role === role).length;
+  return series.map(group => ({
+    ...group,
+    label: itemCount(group.role) > 1 ? `${group.role} · ${group.item}` : group.role,
+    records: [...group.records].sort((a, b) => a.week - b.week)
+  }));
+};
+
+// Options: holdingCost (per unit and week, or a function of the week when
+// scenario events change the rate), lostSaleCost and wasteCost (per unit),
+// shockWeek, initialBacklog.
+export const computeSeriesMetrics = (records, {
+  holdingCost = 0, lostSaleCost = 0, wasteCost = 0, shockWeek = 1, initialBacklog = 0
+} = {}) => {
+  const holdingRate = typeof holdingCost === 'function' ? holdingCost : () => holdingCost;
+  const demand = records.map(r => r.demand ?? 0);
+  const orders = records.map(r => r.order ?? 0);
+  const backlogs = records.map(r => r.backlog ?? 0);
+  const inventories = records.map(r => r.inventory ?? 0);
+
+  let filled = 0;
+  records.forEach((record, i) => {
+    const previousBacklog = i > 0 ? backlogs[i - 1] : initialBacklog;
+    filled += Math.min(demand[i], Math.max(0, (record.shipped ?? 0) - previousBacklog));
+  });
+
+  const shipped = sum(records.map(r => r.shipped ?? 0));
+  const holding = sum(records.map((record, i) => inventories[i] * holdingRate(record.week)));
+  const lostSales = sum(records.map(r => r.lostSales ?? 0)) * lostSaleCost;
+  const waste = sum(records.map(r => r.spoiled ?? 0)) * wasteCost;
+  const totalCost = sum(records.map(r => r.cost ?? 0));
+
+  // The backlog has to be cleared at the end of the game and stay cleared
+  const lastBacklogged = records.reduce((last, record) => (record.backlog > 0 ? record.week : last), null);
+  let timeToRecover = 0;
+  if (records.length > 0 && backlogs[backlogs.length - 1] > 0) {
+    timeToRecover = null;
+  } else if (lastBacklogged !== null && lastBacklogged >= shockWeek) {
+    timeToRecover = lastBacklogged + 1 - shockWeek;
+  }
+
+  return {
+    weeks: records.length,
+    bullwhipRatio: ratio(variance(orders), variance(demand)),
+    fillRate: ratio(filled, sum(demand)),
+    cycleServiceLevel: ratio(backlogs.filter(b => b === 0).length, records.length),
+    averageBacklog: mean(backlogs),
+    peakBacklog: backlogs.length > 0 ? Math.max(...backlogs) : 0,
+    inventoryTurns: ratio(shipped, mean(inventories)),
+    holdingCost: holding,
+    backlogCost: totalCost - holding - lostSales - waste,
+    lostSalesCost: lostSales,
+    wasteCost: waste,
+    totalCost,
+    timeToRecover,
+    // Kept for the game totals
+    demand: sum(demand),
+    filled,
+    shipped,
+    averageInventory: mean(inventories)
+  };
+};
+
+// Whole-game figures from the per-series metrics: costs and backlogs add up,
+// fill rate and turns are taken over the pooled flows, and the worst
+// amplification and slowest recovery are reported.
+export const summarizeMetrics = (series) => {
+  const metrics = series.map(s => s.metrics);
+  const ratios = metrics.map(m => m.bullwhipRatio).filter(r => r !== null);
+  return {
+    bullwhipRatio: ratios.length > 0 ? Math.max(...ratios) : null,
+    fillRate: ratio(sum(metrics.map(m => m.filled)), sum(metrics.map(m => m.demand))),
+    cycleServiceLevel: metrics.length > 0 ? mean(metrics.map(m => m.cycleServiceLevel ?? 0)) : null,
+    averageBacklog: sum(metrics.map(m => m.averageBacklog)),
+    peakBacklog: metrics.length > 0 ? Math.max(...metrics.map(m => m.peakBacklog)) : 0,
+    inventoryTurns: ratio(sum(metrics.map(m => m.shipped)), sum(metrics.map(m => m.averageInventory))),
+    holdingCost: sum(metrics.map(m => m.holdingCost)),
+    backlogCost: sum(metrics.map(m => m.backlogCost)),
+    lostSalesCost: sum(metrics.map(m => m.lostSalesCost)),
+    wasteCost: sum(metrics.map(m => m.wasteCost)),
+    totalCost: sum(metrics.map(m => m.totalCost)),
+    timeToRecover: metrics.some(m => m.timeToRecover === null)
+      ? null
+      : Math.max(0, ...metrics.map(m => m.timeToRecover))
+  };
+};
+
+// `optionsFor(series)` returns the computeSeriesMetrics options for a series,
+// so roles with different cost rates can share one call.
+export const computeGameMetrics = (records, optionsFor = () => ({})) => {
+  const series = groupSeries(records).map(group => ({
+    label: group.label,
+    role: group.role,
+    item: group.item,
+    metrics: computeSeriesMetrics(group.records, optionsFor(group))
+  }));
+  return { series, game: summarizeMetrics(series) };
+};
@@ -0,0 +1,158 @@
+// --- HEURISTIC ORDERING AGENTS ---
+// Named, deterministic ordering rules shared by all three simulations. An
+// agent is a function of an observation that returns a whole, non-negative
+// order quantity. Each game maps its own state onto this observation:
+//
+//   inventory, backlog  - on hand / owed before this week's demand
+//   incomingDemand      - the order just received from downstream
+//   supplyLine          - units ordered or in production but not yet received
+//   demandHistory       - incoming demand per week so far, including this week
+//   leadTime            - weeks between ordering and receiving
+//   baseline            - { inventory, demand }: the steady state the game
+//                         starts in, used for defaults
+//
+// Parameters left undefined fall back to values derived from the baseline.
+
+const toOrder = (value) => Math.max(0, Math.round(value));
+
+// Net stock plus what is already on its way, after serving this week's demand.
+const inventoryPosition = (obs) => obs.inventory - obs.backlog + obs.supplyLine - obs.incomingDemand;
+
+const defaultOrderUpTo = (obs) => obs.baseline.inventory + obs.baseline.demand * obs.leadTime;
+
+// Exponentially smoothed demand forecast (theta = weight on the newest demand)
+const smoothDemand = (demandHistory, theta, initial) =>
+  demandHistory.reduce((expected, demand) => theta * demand + (1 - theta) * expected, initial);
+
+// Order exactly what was just ordered from us.
+const passThrough = () => (obs) => toOrder(obs.incomingDemand);
+
+// Order-up-to: bring the inventory position back to a fixed target.
+const baseStock = ({ target } = {}) => (obs) =>
+  toOrder((target ?? defaultOrderUpTo(obs)) - inventoryPosition(obs));
+
+// (s, S): only order once the inventory position falls to the reorder point
+// s, and then order all the way up to S. Fewer, larger orders.
+const reorderPoint = ({ reorderLevel, orderUpTo } = {}) => (obs) => {
+  const upTo = orderUpTo ?? defaultOrderUpTo(obs);
+  const level = reorderLevel ?? upTo - 2 * obs.baseline.demand;
+  const position = inventoryPosition(obs);
+  return position <= level ? toOrder(upTo - position) : 0;
+};
+
+// Sterman (1989) anchoring-and-adjustment heuristic: anchor on expected
+// demand, then close a fraction of the stock and supply line gaps.
+// Defaults are the average parameters estimated in the original study.
+const sterman = ({ theta = 0.36, alpha = 0.26, beta = 0.34, desiredInventory } = {}) => (obs) => {
+  const expectedDemand = smoothDemand(obs.demandHistory, theta, obs.baseline.demand);
+  const targetStock = desiredInventory ?? obs.baseline.inventory;
+  const targetSupplyLine = expectedDemand * obs.leadTime;
+  const netStock = obs.inventory - obs.backlog;
+  return toOrder(expectedDemand + alpha * (targetStock - netStock + beta * (targetSupplyLine - obs.supplyLine)));
+};
+
+// Order-up-to with a moving target: forecast demand as the average of the
+// last `window` weeks and cover the lead time plus a safety stock.
+const movingAverage = ({ window = 4, safetyStock } = {}) => (obs) => {
+  const recent = obs.demandHistory.slice(-window);
+  const forecast = recent.length > 0
+    ? recent.reduce((sum, demand) => sum + demand, 0) / recent.length
+    : obs.baseline.demand;
+  const target = forecast * obs.leadTime + (safetyStock ?? obs.baseline.inventory);
+  return toOrder(target - inventoryPosition(obs));
+};
+
+// `params` describes the tunable parameters for setup screens and the values
+// they accept (`min`, `max`, `integer`). A missing `default` means the value
+// is derived from the game's baseline.
+export const ORDERING_AGENTS = {
+  'pass-through': {
+    label: 'Pass-Through',
+    description: 'Orders exactly what was just ordered from it.',
+    params: {},
+    create: passThrough
+  },
+  'base-stock': {
+    label: 'Base-Stock (Order-Up-To)',
+    description: 'Tops the inventory position up to a fixed target every week.',
+    params: {
+      target: { label: 'Order-Up-To Level', min: 0 }
+    },
+    create: baseStock
+  },
+  's-S': {
+    label: '(s, S) Reorder Point',
+    description: 'Waits until the inventory position drops to s, then orders up to S.',
+    params: {
+      reorderLevel: { label: 'Reorder Point (s)', min: 0 },
+      orderUpTo: { label: 'Order-Up-To (S)', min: 0 }
+    },
+    create: reorderPoint
+  },
+  'sterman': {
+    label: 'Sterman Anchor & Adjust',
+    description: 'Anchors on smoothed demand and corrects part of the stock and supply line gaps.',
+    params: {
+      theta: { label: 'Forecast Weight (θ)', default: 0.36, min: 0, max: 1, step: 0.01 },
+      alpha: { label: 'Stock Adjustment (α)', default: 0.26, min: 0, max: 1, step: 0.01 },
+      beta: { label: 'Supply Line Weight (β)', default: 0.34, min: 0, max: 1, step: 0.01 },
+      desiredInventory: { label: 'Desired Inventory', min: 0 }
+    },
+    create: sterman
+  },
+  'moving-average': {
+    label: 'Moving-Average Forecaster',
+    description: 'Forecasts demand from the last few weeks and orders up to cover the lead time plus safety stock.',
+    params: {
+      window: { label: 'Window (Weeks)', default: 4, min: 1, max: 52, step: 1, integer: true },
+      safetyStock: { label: 'Safety Stock', min: 0 }
+    },
+    create: movingAverage
+  }
+};
+
+// What every game falls back to when an LLM agent is unavailable.
+export const FALLBACK_AGENT = 'base-stock';
+
+// Blank form fields mean "use the default"
+const isBlank = (value) => value === '' || value === null || value === undefined;
+
+const describeRange = ({ min, max }) => {
+  if (min !== undefined && max !== undefined) return `between ${min} and ${max}`;
+  return min !== undefined ? `at least ${min}` : `at most ${max}`;
+};
+
+// Returns a list of problems with an agent's parameters, empty when they are
+// valid.
+export const validateAgentParams = (name, params = {}) => {
+  const agent = ORDERING_AGENTS[name];
+  if (!agent) return [`Unknown ordering agent "${name}". Available: ${Object.keys(ORDERING_AGENTS).join(', ')}`];
+  return Object.entries(params ?? {})
+    .filter(([, value]) => !isBlank(value))
+    .flatMap(([key, value]) => {
+      const field = agent.params[key];
+      if (!field) return [`${agent.label} has no parameter "${key}"`];
+      if (typeof value !== 'number' || !Number.isFinite(value)) return [`${field.label} must be a number`];
+      if (field.integer && !Number.isInteger(value)) return [`${field.label} must be a whole number`];
+      if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+        return [`${field.label} must be ${describeRange(field)}`];
+      }
+      return [];
+    });
+};
+
+export const createOrderingAgent = (name, params = {}) => {
+  const errors = validateAgentParams(name, params);
+  if (errors.length > 0) throw new Error(errors.join('; '));
+  const cleanParams = Object.fromEntries(Object.entries(params ?? {}).filter(([, value]) => !isBlank(value)));
+  return ORDERING_AGENTS[name].create(cleanParams);
+};
+
+// An agent's order in the { order, reasoning } shape the games display.
+export const orderingAgentDecision = (name, params, obs) => {
+  const order = createOrderingAgent(name, params)(obs);
+  return {
+    order,
+    reasoning: `${ORDERING_AGENTS[name].label}: inventory position ${Math.round(inventoryPosition(obs))}, ordering ${order}.`
+  };
+};
@@ -0,0 +1,32 @@
+// --- SEEDED RANDOMNESS ---
+// Every random draw in the simulations goes through a generator created from
+// a seed, so the same seed and the same orders always replay the same session.
+// Seeds are short strings that are easy to read out to a class.
+
+// FNV-1a: turns any seed string into a 32-bit integer.
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: small, fast and good enough for game randomness. Returns a
+// function with the same contract as Math.random.
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// A fresh seed for a new session; the only place Math.random is used.
+export const randomSeed = () => Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0').toUpperCase();
+
+export const normalizeSeed = (seed) => String(seed).trim().toUpperCase();
@@ -0,0 +1,223 @@
+// --- SCENARIOS ---
+// Declarative disruption scripts shared by all simulations. A scenario is
+// plain JSON, so instructors can write their own and load them from a file:
+//
+//   {
+//     "name": "Supplier strike",
+//     "description": "Optional text shown next to the timeline",
+//     "events": [
+//       { "week": 5, "type": "demand-spike", "multiplier": 2.5 },
+//       { "week": 8, "type": "supplier-outage", "target": "tyson", "duration": 2 },
+//       { "week": 10, "type": "cost-change", "holdingFactor": 2, "message": "Warehouse rents double" }
+//     ]
+//   }
+//
+// `duration` defaults to 1 week. `target` names one of the simulation's roles
+// or suppliers; targeted events without one hit every target. `message`
+// replaces the generated text pushed to the activity log when the event fires.
+// Each simulation declares which event types its rules implement.
+
+export const EVENT_TYPES = {
+  'demand-spike': {
+    label: 'Demand Spike',
+    color: 'bg-amber-500',
+    targeted: false,
+    fields: { multiplier: { label: 'Demand Multiplier', min: 0, max: 20 } },
+    describe: ({ multiplier }) => `Consumer demand ×${multiplier}`
+  },
+  'supplier-outage': {
+    label: 'Supplier Outage',
+    color: 'bg-red-500',
+    targeted: true,
+    fields: {},
+    describe: (event, target) => `${target} shut down: no shipments leave`
+  },
+  'capacity-cut': {
+    label: 'Capacity Cut',
+    color: 'bg-orange-500',
+    targeted: true,
+    fields: { capacity: { label: 'Capacity (Units/Week)', min: 0, max: 1000000, integer: true } },
+    describe: ({ capacity }, target) => `${target} limited to ${capacity} units/week`
+  },
+  'lead-time-change': {
+    label: 'Lead-Time Change',
+    color: 'bg-sky-500',
+    targeted: true,
+    fields: { extraWeeks: { label: 'Extra Weeks', min: -8, max: 8, integer: true } },
+    describe: ({ extraWeeks }, target) =>
+      `Shipments from ${target} take ${Math.abs(extraWeeks)} ${Math.abs(extraWeeks) === 1 ? 'week' : 'weeks'} ${extraWeeks < 0 ? 'less' : 'longer'}`
+  },
+  'shipment-loss': {
+    label: 'Shipment Loss',
+    color: 'bg-rose-500',
+    targeted: true,
+    fields: { fraction: { label: 'Share Lost', min: 0, max: 1 } },
+    describe: ({ fraction }, target) => `${Math.round(fraction * 100)}% of shipments from ${target} are lost in transit`
+  },
+  'cost-change': {
+    label: 'Cost Change',
+    color: 'bg-violet-500',
+    targeted: false,
+    fields: {
+      holdingFactor: { label: 'Holding Cost ×', min: 0, max: 100, default: 1 },
+      backlogFactor: { label: 'Backlog Cost ×', min: 0, max: 100, default: 1 }
+    },
+    describe: ({ holdingFactor, backlogFactor }) =>
+      [['Holding', holdingFactor], ['Backlog', backlogFactor]]
+        .filter(([, factor]) => factor !== 1)
+        .map(([name, factor]) => `${name} cost ×${factor}`)
+        .join(', ') || 'Costs unchanged'
+  },
+};
+
+export const EMPTY_SCENARIO = Object.freeze({ name: 'No Disruptions', description: '', events: Object.freeze([]) });
+
+const ALL_TARGETS = 'all suppliers';
+
+// Returns a list of problems (empty when valid). `targets` maps the target
+// ids of the simulation to labels, `eventTypes` lists the types it supports.
+export const validateScenario = (scenario, { targets = {}, eventTypes = Object.keys(EVENT_TYPES), totalWeeks } = {}) => {
+  if (!scenario) return [];
+  if (typeof scenario !== 'object' || !Array.isArray(scenario.events)) {
+    return ['Scenario needs an "events" list'];
+  }
+  const errors = [];
+  scenario.events.forEach((event, index) => {
+    const where = `Event ${index + 1}`;
+    const type = EVENT_TYPES[event?.type];
+    if (!type) {
+      errors.push(`${where}: unknown type "${event?.type}"`);
+      return;
+    }
+    if (!eventTypes.includes(event.type)) {
+      errors.push(`${where}: ${type.label} events are not supported by this simulation`);
+    }
+    if (!Number.isInteger(event.week) || event.week < 1 || (totalWeeks && event.week > totalWeeks)) {
+      errors.push(`${where}: week must be a whole number between 1 and ${totalWeeks ?? 'the last week'}`);
+    }
+    if (event.message !== undefined && typeof event.message !== 'string') {
+      errors.push(`${where}: message must be text`);
+    }
+    if (event.duration !== undefined && (!Number.isInteger(event.duration) || event.duration < 1)) {
+      errors.push(`${where}: duration must be a whole number of weeks`);
+    }
+    if (event.target !== undefined && (!type.targeted || !(event.target in targets))) {
+      errors.push(type.targeted
+        ? `${where}: unknown target "${event.target}" (expected ${Object.keys(targets).join(', ')})`
+        : `${where}: ${type.label} events apply to the whole simulation and take no target`);
+    }
+    Object.entries(type.fields).forEach(([key, field]) => {
+      const value = event[key] ?? field.default;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${where}: ${field.label} must be a number`);
+      } else if (field.integer && !Number.isInteger(value)) {
+        errors.push(`${where}: ${field.label} must be a whole number`);
+      } else if (value < field.min || value > field.max) {
+        errors.push(`${where}: ${field.label} must be between ${field.min} and ${field.max}`);
+      }
+    });
+  });
+  return errors;
+};
+
+// Parses and validates a scenario file. Throws with every problem found.
+export const parseScenario = (text, options) => {
+  let scenario;
+  try {
+    scenario = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+  const errors = validateScenario(scenario, options);
+  if (errors.length > 0) throw new Error(errors.join('; '));
+  return {
+    name: typeof scenario.name === 'string' && scenario.name.trim() ? scenario.name.trim() : 'Custom Scenario',
+    description: typeof scenario.description === 'string' ? scenario.description : '',
+    events: scenario.events
+  };
+};
+
+// --- LOOKUPS ---
+
+const getEventEnd = (event) => event.week + (event.duration ?? 1) - 1;
+
+const withDefaults = (event) => {
+  const defaults = Object.fromEntries(Object.entries(EVENT_TYPES[event.type].fields)
+    .filter(([, field]) => field.default !== undefined)
+    .map(([key, field]) => [key, field.default]));
+  return { ...defaults, ...event };
+};
+
+export const getActiveEvents = (scenario, week) =>
+  (scenario?.events ?? []).filter(event => event.week <= week && week <= getEventEnd(event)).map(withDefaults);
+
+// Combined effect of every event active in `week` on `target`; simulation-wide
+// effects (demand, costs) do not depend on the target.
+export const getScenarioEffects = (scenario, week, target = null) => {
+  const effects = {
+    demandMultiplier: 1,
+    outage: false,
+    capacity: null,
+    extraWeeks: 0,
+    lossFraction: 0,
+    holdingFactor: 1,
+    backlogFactor: 1
+  };
+  getActiveEvents(scenario, week).forEach(event => {
+    if (EVENT_TYPES[event.type].targeted && event.target !== undefined && event.target !== target) return;
+    switch (event.type) {
+      case 'demand-spike':
+        effects.demandMultiplier *= event.multiplier;
+        break;
+      case 'supplier-outage':
+        effects.outage = true;
+        break;
+      case 'capacity-cut':
+        effects.capacity = Math.min(effects.capacity ?? Infinity, event.capacity);
+        break;
+      case 'lead-time-change':
+        effects.extraWeeks += event.extraWeeks;
+        break;
+      case 'shipment-loss':
+        effects.lossFraction = 1 - (1 - effects.lossFraction) * (1 - event.fraction);
+        break;
+      case 'cost-change':
+        effects.holdingFactor *= event.holdingFactor;
+        effects.backlogFactor *= event.backlogFactor;
+        break;
+      default:
+        break;
+    }
+  });
+  return effects;
+};
+
+// Scales a week-by-week demand series (week 1 first) by the demand spikes.
+export const applyDemandSpikes = (series, scenario) =>
+  series.map((value, i) => Math.max(0, Math.round(value * getScenarioEffects(scenario, i + 1).demandMultiplier)));
+
+// Text pushed to the activity log when an event fires.
+export const describeEvent = (event, targets = {}) => {
+  if (event.message) return event.message;
+  const type = EVENT_TYPES[event.type];
+  const target = event.target === undefined ? ALL_TARGETS : (targets[event.target] ?? event.target);
+  const duration = event.duration > 1 ? ` for ${event.duration} weeks` : '';
+  return `${type.label}: ${type.describe(withDefaults(event), target)}${duration}.`;
+};
+
+// Events that fire at the start of `week`, with their activity-log message.
+export const getFiringEvents = (scenario, week, targets) =>
+  (scenario?.events ?? [])
+    .filter(event => event.week === week)
+    .map(event => ({ ...event, text: describeEvent(event, targets) }));
+
+// Recovery metrics count from the first demand spike when there is one.
+export const getScenarioShockWeek = (scenario, fallback) => {
+  const spikes = (scenario?.events ?? []).filter(event => event.type === 'demand-spike');
+  return spikes.length > 0 ? Math.min(...spikes.map(event => event.week)) : fallback;
+};
+
+export const formatEventWeeks = (event) => {
+  const end = getEventEnd(event);
+  return end === event.week ? `Wk ${event.week}` : `Wk ${event.week}–${end}`;
+};
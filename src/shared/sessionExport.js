@@ -0,0 +1,78 @@
+// --- SESSION EXPORT ---
+// Common export format for all three simulations. Every session is flattened
+// into one record per week, role and item so the CSV opens cleanly in a
+// spreadsheet; the JSON document wraps the same records with the settings
+// that produced them (and, where available, the full game state).
+
+import { toCSV } from './csv.js';
+
+export const SESSION_FORMAT = 'codesign-with-ai.session';
+export const SESSION_FORMAT_VERSION = 1;
+
+// `lostSales` and `spoiled` (units) are only filled in by simulations that
+// model them.
+export const SESSION_COLUMNS = [
+  'week', 'role', 'item', 'demand', 'order', 'received', 'shipped', 'inventory', 'backlog', 'lostSales', 'spoiled', 'cost', 'reasoning'
+];
+
+// Fills in every column so records from different simulations line up.
+export const sessionRecord = (fields) =>
+  Object.fromEntries(SESSION_COLUMNS.map(col => [col, fields[col] ?? null]));
+
+export const buildSessionDocument = ({ simulation, settings = {}, summary = {}, records, state }) => ({
+  format: SESSION_FORMAT,
+  version: SESSION_FORMAT_VERSION,
+  simulation,
+  exportedAt: new Date().toISOString(),
+  settings,
+  summary,
+  records,
+  ...(state ? { state } : {})
+});
+
+export const sessionToCSV = (session) => toCSV(session.records, SESSION_COLUMNS);
+
+export const sessionToJSON = (session) => JSON.stringify(session, null, 2);
+
+// Reads a JSON document written by `sessionToJSON`, optionally checking that
+// it came from the expected simulation.
+export const parseSession = (text, simulation) => {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+  if (!session || session.format !== SESSION_FORMAT) {
+    throw new Error('File is not an exported session');
+  }
+  if (session.version !== SESSION_FORMAT_VERSION) {
+    throw new Error(`Unsupported session version ${session.version}`);
+  }
+  if (simulation && session.simulation !== simulation) {
+    throw new Error(`Session was exported from "${session.simulation}", not "${simulation}"`);
+  }
+  return session;
+};
+
+// Triggers a browser download of `content`.
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadSession = (session, format) => {
+  const stamp = session.exportedAt.slice(0, 19).replace(/[:T]/g, '-');
+  const base = `${session.simulation}-session-${stamp}`;
+  if (format === 'csv') {
+    downloadFile(`${base}.csv`, sessionToCSV(session), 'text/csv');
+  } else {
+    downloadFile(`${base}.json`, sessionToJSON(session), 'application/json');
+  }
+};
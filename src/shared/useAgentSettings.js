@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { getAgentState, subscribeAgent } from './agentClient';
+
+// Current AI settings and connection status: { settings, status }.
+// Re-renders whenever they change anywhere in the app.
+export const useAgentSettings = () => useSyncExternalStore(subscribeAgent, getAgentState);